@@ -0,0 +1,156 @@
+/**
+ * Extraction Benchmark
+ * 生成包含数千轮对话的 ChatGPT 风格页面，对比完整提取与增量更新的耗时
+ */
+
+(async () => {
+  const params = new URLSearchParams(location.search);
+  const turnCount = parseInt(params.get('turns'), 10) || 3000;
+  const streamChunks = parseInt(params.get('chunks'), 10) || 50;
+  const thread = document.querySelector('.thread');
+  const results = [];
+
+  /**
+   * 生成一轮对话（一问一答）的 DOM
+   */
+  function createTurn(index) {
+    const user = document.createElement('article');
+    user.innerHTML = `
+      <div data-message-author-role="user">
+        <div class="whitespace-pre-wrap">第 ${index + 1} 个问题：如何在 JavaScript 中对数组去重？请给出示例 #${index}</div>
+      </div>`;
+
+    const assistant = document.createElement('article');
+    assistant.innerHTML = `
+      <div data-message-author-role="assistant">
+        <div class="markdown">
+          <p>可以使用 <code>Set</code> 对数组去重（回答 #${index}）。</p>
+          <pre><code class="language-javascript">const unique = [...new Set(items)];</code></pre>
+          <ul><li>时间复杂度 O(n)</li><li>保持原有顺序</li></ul>
+        </div>
+      </div>`;
+
+    return [user, assistant];
+  }
+
+  /**
+   * 记录一次计时
+   */
+  async function measure(label, fn) {
+    const start = performance.now();
+    await fn();
+    const duration = performance.now() - start;
+    results.push({ label, duration });
+    console.log(`${label}: ${duration.toFixed(1)} ms`);
+    return duration;
+  }
+
+  /**
+   * 等待 MutationObserver 回调和侧边栏的合并更新执行完毕
+   */
+  function settle() {
+    return new Promise((resolve) => setTimeout(resolve, 150));
+  }
+
+  function render() {
+    document.getElementById('benchResults').innerHTML = `
+      <strong>${turnCount} 轮对话</strong>
+      <table>
+        ${results.map(({ label, duration }) => `<tr><td>${label}</td><td>${duration.toFixed(1)} ms</td></tr>`).join('')}
+      </table>`;
+  }
+
+  // 1. 生成对话
+  await measure('生成 DOM', () => {
+    const fragment = document.createDocumentFragment();
+    for (let i = 0; i < turnCount; i++) {
+      fragment.append(...createTurn(i));
+    }
+    thread.appendChild(fragment);
+  });
+
+  // 使用固定的选择器，使结果不受 platforms.json 变化影响
+  platformDetector.currentPlatform = {
+    key: 'bench',
+    name: 'Benchmark',
+    urls: [],
+    selectors: {
+      userMessage: '[data-message-author-role="user"]',
+      assistantMessage: '[data-message-author-role="assistant"]',
+      messageContent: '.whitespace-pre-wrap, .markdown',
+      scrollContainer: 'main'
+    }
+  };
+
+  const extractor = window.messageExtractor;
+  const sidebar = window.sidebarManager;
+  sidebar.bookmarkStore = window.bookmarkStore;
+  await window.bookmarkStore.load();
+  sidebar.createSidebar();
+
+  // 2. 完整提取与首次渲染
+  await measure('完整提取', () => extractor.extractMessages());
+  await measure('侧边栏首次渲染', () => sidebar.updateSidebar());
+  await measure('侧边栏无变化时更新', () => sidebar.updateSidebar());
+
+  // 3. 旧方案：每次变化都完整提取并重建列表
+  await measure('完整提取 + 重建列表', () => {
+    extractor.extractMessages();
+    sidebar.sidebarElement.querySelector('.aichathelper-messages').innerHTML = '';
+    sidebar.updateSidebar();
+  });
+
+  // 统计增量处理和侧边栏更新的耗时
+  const timings = { applyMutations: 0, updateSidebar: 0 };
+  ['applyMutations', 'updateSidebar'].forEach((name) => {
+    const target = name === 'applyMutations' ? extractor : sidebar;
+    const original = target[name].bind(target);
+    target[name] = (...args) => {
+      const start = performance.now();
+      const result = original(...args);
+      timings[name] += performance.now() - start;
+      return result;
+    };
+  });
+
+  const observer = new ConversationObserver(extractor, platformDetector, () => sidebar.scheduleUpdate());
+  observer.start();
+
+  // 4. 增量：追加一轮对话
+  thread.append(...createTurn(turnCount));
+  await settle();
+  results.push({ label: '追加一轮：增量处理', duration: timings.applyMutations });
+  results.push({ label: '追加一轮：侧边栏更新', duration: timings.updateSidebar });
+
+  // 5. 增量：模拟回答逐字输出
+  timings.applyMutations = 0;
+  timings.updateSidebar = 0;
+  const lastReply = thread.lastElementChild.querySelector('.markdown');
+  for (let i = 0; i < streamChunks; i++) {
+    const span = document.createElement('span');
+    span.textContent = ` 片段 ${i}`;
+    lastReply.appendChild(span);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+  await settle();
+  results.push({ label: `输出 ${streamChunks} 个片段：增量处理（合计）`, duration: timings.applyMutations });
+  results.push({ label: `输出 ${streamChunks} 个片段：侧边栏更新（合计）`, duration: timings.updateSidebar });
+
+  // 6. 增量：删除第一轮对话
+  timings.applyMutations = 0;
+  timings.updateSidebar = 0;
+  thread.firstElementChild.remove();
+  thread.firstElementChild.remove();
+  await settle();
+  results.push({ label: '删除一轮：增量处理', duration: timings.applyMutations });
+  results.push({ label: '删除一轮：侧边栏更新', duration: timings.updateSidebar });
+
+  observer.stop();
+
+  const count = extractor.getMessageCount();
+  const last = extractor.getMessageByIndex(count - 1);
+  console.assert(count === turnCount, `expected ${turnCount} messages, got ${count}`);
+  console.assert(last.assistantText.endsWith(`片段 ${streamChunks - 1}`), 'streamed reply not picked up');
+
+  render();
+})();
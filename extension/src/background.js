@@ -0,0 +1,328 @@
+/**
+ * Background Service Worker
+ * 为用户自定义的平台动态注册 content script（基于运行时授予的可选主机权限），
+ * 将快捷键命令转发给当前标签页，将各标签页提取的对话写入历史索引，
+ * 将同一提问发送到多个平台的标签页以对比回答，并在后台标签页的回答生成完成时发送桌面通知
+ */
+
+importScripts(
+  'lib/schemaValidator.js',
+  'lib/platformConfigLoader.js',
+  'lib/platformDetector.js',
+  'lib/historyStore.js',
+  'lib/comparisonStore.js'
+);
+
+const historyStore = new HistoryStore();
+const comparisonStore = new ComparisonStore();
+const platformConfigLoader = new PlatformConfigLoader();
+
+const CUSTOM_CONTENT_SCRIPT_ID = 'aichathelper-custom-platforms';
+
+/**
+ * 根据自定义平台和已授予的权限重新注册 content script
+ */
+async function syncCustomContentScripts() {
+  try {
+    const manifest = chrome.runtime.getManifest();
+    const [staticScript] = manifest.content_scripts;
+    const customPlatforms = await PlatformDetector.loadCustomPlatforms();
+
+    // 只需注册内置 content script 尚未覆盖的匹配模式
+    const patterns = Object.values(customPlatforms)
+      .filter((platform) => platform.enabled !== false)
+      .flatMap((platform) => PlatformDetector.toMatchPatterns(platform.urls))
+      .filter((pattern, idx, all) => all.indexOf(pattern) === idx && !staticScript.matches.includes(pattern));
+
+    const grantedPatterns = [];
+    for (const pattern of patterns) {
+      if (await chrome.permissions.contains({ origins: [pattern] })) {
+        grantedPatterns.push(pattern);
+      }
+    }
+
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [CUSTOM_CONTENT_SCRIPT_ID] });
+    if (registered.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: [CUSTOM_CONTENT_SCRIPT_ID] });
+    }
+
+    if (grantedPatterns.length === 0) {
+      console.log('No custom platforms to register');
+      return;
+    }
+
+    await chrome.scripting.registerContentScripts([
+      {
+        id: CUSTOM_CONTENT_SCRIPT_ID,
+        matches: grantedPatterns,
+        js: staticScript.js,
+        css: staticScript.css,
+        runAt: staticScript.run_at,
+        persistAcrossSessions: true
+      }
+    ]);
+    console.log(`Registered content script for custom platforms: ${grantedPatterns.join(', ')}`);
+  } catch (error) {
+    console.error('Failed to sync custom content scripts:', error);
+  }
+}
+
+chrome.runtime.onInstalled.addListener(syncCustomContentScripts);
+chrome.runtime.onStartup.addListener(syncCustomContentScripts);
+chrome.permissions.onAdded.addListener(syncCustomContentScripts);
+chrome.permissions.onRemoved.addListener(syncCustomContentScripts);
+
+const CONFIG_REFRESH_ALARM = 'refresh-platforms-config';
+
+/**
+ * 定期检查远程选择器配置，并立即检查一次
+ */
+function schedulePlatformConfigRefresh() {
+  chrome.alarms.create(CONFIG_REFRESH_ALARM, { periodInMinutes: PlatformConfigLoader.REFRESH_INTERVAL_MINUTES });
+  platformConfigLoader.refresh();
+}
+
+chrome.runtime.onInstalled.addListener(schedulePlatformConfigRefresh);
+chrome.runtime.onStartup.addListener(schedulePlatformConfigRefresh);
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === CONFIG_REFRESH_ALARM) {
+    platformConfigLoader.refresh();
+  }
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'sync') return;
+
+  const customPlatformChanged = Object.keys(changes).some((key) =>
+    key.startsWith(PlatformDetector.CUSTOM_PLATFORM_PREFIX)
+  );
+  if (customPlatformChanged) {
+    syncCustomContentScripts();
+  }
+  if (changes[platformConfigLoader.settingsKey]) {
+    platformConfigLoader.refresh();
+  }
+});
+
+/**
+ * 快捷键与 content script 操作的对应关系
+ */
+const COMMAND_ACTIONS = {
+  'toggle-sidebar': { action: 'toggleSidebar' },
+  'previous-prompt': { action: 'navigatePrompt', target: 'previous' },
+  'next-prompt': { action: 'navigatePrompt', target: 'next' },
+  'first-prompt': { action: 'navigatePrompt', target: 'first' },
+  'last-prompt': { action: 'navigatePrompt', target: 'last' },
+  'command-palette': { action: 'toggleCommandPalette' }
+};
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  const request = COMMAND_ACTIONS[command];
+  if (!request) return;
+
+  const target = tab || (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+  if (!target?.id) return;
+
+  chrome.tabs.sendMessage(target.id, request, () => {
+    // 当前页面不是支持的平台时没有 content script，忽略错误
+    void chrome.runtime.lastError;
+  });
+});
+
+/**
+ * 检查是否启用了历史记录（默认启用）
+ * @returns {Promise<boolean>}
+ */
+async function isHistoryEnabled() {
+  const { historyEnabled } = await chrome.storage.local.get(['historyEnabled']);
+  return historyEnabled !== false;
+}
+
+/**
+ * 向标签页发送消息（标签页没有 content script 时返回 null）
+ * @param {number} tabId - 标签页 ID
+ * @param {Object} message - 消息
+ * @returns {Promise<Object|null>}
+ */
+function sendToTab(tabId, message) {
+  return new Promise((resolve) => {
+    chrome.tabs.sendMessage(tabId, message, (response) => {
+      resolve(chrome.runtime.lastError ? null : response || null);
+    });
+  });
+}
+
+/**
+ * 查找已打开的支持平台的标签页，每个平台取最近使用的一个
+ * @returns {Promise<Array>} [{ platform, platformName, tabId, url, title }]
+ */
+async function findCompareTargets() {
+  const tabs = await chrome.tabs.query({});
+  const statuses = await Promise.all(tabs.map((tab) => sendToTab(tab.id, { action: 'getStatus' })));
+
+  const targets = {};
+  tabs.forEach((tab, idx) => {
+    const status = statuses[idx];
+    if (!status?.platformKey) return;
+
+    const existing = targets[status.platformKey];
+    if (!existing || (tab.lastAccessed || 0) > existing.lastAccessed) {
+      targets[status.platformKey] = {
+        platform: status.platformKey,
+        platformName: status.platform,
+        tabId: tab.id,
+        url: tab.url || '',
+        title: tab.title || '',
+        lastAccessed: tab.lastAccessed || 0
+      };
+    }
+  });
+
+  return Object.values(targets)
+    .sort((a, b) => a.platformName.localeCompare(b.platformName))
+    .map(({ lastAccessed, ...target }) => target);
+}
+
+/**
+ * 将提问发送到多个平台
+ * @param {string} prompt - 提问
+ * @param {Array<string>} platforms - 平台 key
+ * @param {boolean} openView - 发送后是否打开对比页面（从对比页面发送时不需要）
+ * @returns {Promise<Object>} { success, compareId, error }
+ */
+async function broadcastPrompt(prompt, platforms, openView) {
+  const targets = (await findCompareTargets()).filter((target) => platforms.includes(target.platform));
+  if (!prompt.trim() || targets.length === 0) {
+    return { success: false, error: 'noTargets' };
+  }
+
+  const comparison = await comparisonStore.create(prompt, targets);
+  await Promise.all(
+    targets.map(async (target) => {
+      const response = await sendToTab(target.tabId, { action: 'sendComparePrompt', compareId: comparison.id, text: prompt });
+      if (response?.success) {
+        await comparisonStore.updateReply(comparison.id, target.platform, { status: 'answering' });
+      } else {
+        await comparisonStore.updateReply(comparison.id, target.platform, { status: 'failed', error: response?.error || 'noResponse' });
+      }
+    })
+  );
+
+  if (openView) {
+    openCompareView({ id: comparison.id });
+  }
+  return { success: true, compareId: comparison.id };
+}
+
+/**
+ * 打开对比页面
+ * @param {Object} params - 查询参数（id: 显示的对比记录；prompt: 预先填入的提问）
+ */
+function openCompareView(params = {}) {
+  const query = new URLSearchParams(params).toString();
+  chrome.tabs.create({ url: chrome.runtime.getURL(`src/compare.html${query ? `?${query}` : ''}`) });
+}
+
+/**
+ * 记录标签页回报的回答（按标签页找到对应的平台）
+ * @param {Object} request - { compareId, status, text, url }
+ * @param {number} tabId - 回报的标签页
+ * @returns {Promise<void>}
+ */
+async function recordCompareReply(request, tabId) {
+  const comparison = await comparisonStore.get(request.compareId);
+  const platform = comparison && Object.keys(comparison.replies).find((key) => comparison.replies[key].tabId === tabId);
+  if (!platform) return;
+
+  await comparisonStore.updateReply(comparison.id, platform, {
+    status: request.status,
+    text: request.text,
+    url: request.url
+  });
+}
+
+const REPLY_NOTIFICATION_PREFIX = 'reply:';
+
+/**
+ * 回答生成完成时发送桌面通知（需在设置页开启并授予通知权限，只通知超过设定时长的回答）
+ * @param {Object} request - { duration, title, message }
+ * @param {Object} tab - 回答所在的标签页
+ * @returns {Promise<Object>} { success, notified }
+ */
+async function notifyReplyFinished(request, tab) {
+  const { replyNotification } = await chrome.storage.sync.get(['replyNotification']);
+  const settings = { enabled: false, minSeconds: 30, ...replyNotification };
+  if (!settings.enabled || !chrome.notifications || !tab || request.duration < settings.minSeconds * 1000) {
+    return { success: true, notified: false };
+  }
+
+  chrome.notifications.create(`${REPLY_NOTIFICATION_PREFIX}${tab.id}`, {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('icons/icon-128.png'),
+    title: request.title,
+    message: request.message || ''
+  });
+  if (!chrome.notifications.onClicked.hasListener(focusNotifiedTab)) {
+    chrome.notifications.onClicked.addListener(focusNotifiedTab);
+  }
+  return { success: true, notified: true };
+}
+
+/**
+ * 点击通知后切换到回答所在的标签页
+ * @param {string} notificationId - 通知 ID
+ */
+function focusNotifiedTab(notificationId) {
+  if (!notificationId.startsWith(REPLY_NOTIFICATION_PREFIX)) return;
+
+  const tabId = Number(notificationId.slice(REPLY_NOTIFICATION_PREFIX.length));
+  chrome.tabs.update(tabId, { active: true }, (tab) => {
+    if (chrome.runtime.lastError || !tab) return;
+    chrome.windows.update(tab.windowId, { focused: true });
+  });
+  chrome.notifications.clear(notificationId);
+}
+
+// 通知权限为可选权限，授予后才有 chrome.notifications
+chrome.notifications?.onClicked.addListener(focusNotifiedTab);
+
+/**
+ * Service Worker 处理的消息（返回 Promise，结果作为响应）
+ */
+const MESSAGE_HANDLERS = {
+  recordHistory: async (request) => {
+    if (await isHistoryEnabled()) {
+      await historyStore.saveConversation(request.record);
+    }
+    return { success: true };
+  },
+  getCompareTargets: async () => ({ success: true, targets: await findCompareTargets() }),
+  broadcastPrompt: (request) => broadcastPrompt(request.text || '', request.platforms || [], request.openView !== false),
+  compareUpdate: async (request, sender) => {
+    await recordCompareReply(request, sender.tab?.id);
+    return { success: true };
+  },
+  openCompareView: async (request) => {
+    openCompareView(request.prompt ? { prompt: request.prompt } : {});
+    return { success: true };
+  },
+  notifyReplyFinished: (request, sender) => notifyReplyFinished(request, sender.tab),
+  refreshPlatformsConfig: () => platformConfigLoader.refresh(),
+  reportConfigHealth: async (request) => {
+    const cache = await platformConfigLoader.reportHealth(request.version, request.healthy);
+    return { success: true, version: cache.current?.version || null };
+  }
+};
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  const handler = MESSAGE_HANDLERS[request.action];
+  if (!handler) return false;
+
+  handler(request, sender)
+    .then(sendResponse)
+    .catch((error) => {
+      console.error(`Failed to handle ${request.action}:`, error);
+      sendResponse({ success: false, error: error.message });
+    });
+  return true;
+});
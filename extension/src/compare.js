@@ -0,0 +1,237 @@
+/**
+ * Compare Script
+ * 多平台对比页：把同一个提问发送到多个平台的标签页，并排显示各平台的回答
+ * 回答由各标签页的 CompareResponder 回报给 Service Worker 写入存储，这里监听存储变化实时刷新
+ */
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const comparisonStore = new ComparisonStore();
+  const compareForm = document.getElementById('compareForm');
+  const compareTargets = document.getElementById('compareTargets');
+  const compareMessage = document.getElementById('compareMessage');
+  const compareSendBtn = document.getElementById('compareSendBtn');
+  const compareSelect = document.getElementById('compareSelect');
+  const compareQuestion = document.getElementById('compareQuestion');
+  const compareGrid = document.getElementById('compareGrid');
+  const deleteCompareBtn = document.getElementById('deleteCompareBtn');
+
+  const STATUS_KEYS = {
+    sending: 'compareStatusSending',
+    answering: 'compareStatusAnswering',
+    done: 'compareStatusDone',
+    failed: 'compareStatusFailed'
+  };
+
+  const params = new URLSearchParams(window.location.search);
+  let comparisons = [];
+  let selectedId = params.get('id');
+
+  /**
+   * HTML 转义
+   */
+  function escapeHtml(text) {
+    const map = {
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#039;'
+    };
+    return String(text).replace(/[&<>"']/g, (m) => map[m]);
+  }
+
+  /**
+   * 向 Service Worker 发送消息
+   */
+  function sendMessage(message) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        resolve(chrome.runtime.lastError ? null : response);
+      });
+    });
+  }
+
+  /**
+   * 显示操作结果
+   */
+  function showMessage(text, isError = false) {
+    compareMessage.textContent = text;
+    compareMessage.classList.toggle('error', isError);
+  }
+
+  /**
+   * 发送失败原因的说明
+   */
+  function describeError(error) {
+    const keys = {
+      inputNotFound: 'compareErrorInputNotFound',
+      sendFailed: 'compareErrorSendFailed',
+      noResponse: 'compareErrorNoResponse',
+      noTargets: 'compareNoTargets'
+    };
+    return keys[error] ? i18n.t(keys[error]) : error;
+  }
+
+  /**
+   * 列出已打开的平台标签页
+   */
+  async function loadTargets() {
+    const response = await sendMessage({ action: 'getCompareTargets' });
+    const targets = response?.targets || [];
+
+    if (targets.length === 0) {
+      compareTargets.innerHTML = `<p class="compare-empty">${i18n.t('compareNoTargets')}</p>`;
+      compareSendBtn.disabled = true;
+      return;
+    }
+
+    compareTargets.innerHTML = targets
+      .map(
+        (target) => `
+          <label class="form-checkbox compare-target" title="${escapeHtml(target.title)}">
+            <input type="checkbox" name="platform" value="${escapeHtml(target.platform)}" checked>
+            <span>${escapeHtml(target.platformName)}</span>
+          </label>
+        `
+      )
+      .join('');
+    compareSendBtn.disabled = false;
+  }
+
+  /**
+   * 渲染对比记录选择框
+   */
+  function renderSelect() {
+    compareSelect.hidden = comparisons.length === 0;
+    deleteCompareBtn.hidden = comparisons.length === 0;
+    compareSelect.innerHTML = comparisons
+      .map((comparison) => {
+        const label = i18n.t('compareEntry', [new Date(comparison.createdAt).toLocaleString(), comparison.prompt.slice(0, 40)]);
+        return `<option value="${escapeHtml(comparison.id)}">${escapeHtml(label)}</option>`;
+      })
+      .join('');
+    compareSelect.value = selectedId;
+  }
+
+  /**
+   * 渲染选中的对比（每个平台一列）
+   */
+  function renderComparison() {
+    const comparison = comparisons.find((item) => item.id === selectedId);
+    if (!comparison) {
+      compareQuestion.textContent = '';
+      compareGrid.innerHTML = `<p class="compare-empty">${i18n.t('compareNoComparisons')}</p>`;
+      return;
+    }
+
+    compareQuestion.textContent = comparison.prompt;
+    compareGrid.innerHTML = Object.entries(comparison.replies)
+      .map(([platform, reply]) => {
+        const body = reply.status === 'failed'
+          ? `<p class="compare-error">${escapeHtml(describeError(reply.error))}</p>`
+          : `<div class="compare-reply">${reply.text ? escapeHtml(reply.text) : `<span class="compare-waiting">${i18n.t('compareWaiting')}</span>`}</div>`;
+
+        return `
+          <article class="compare-column">
+            <header class="compare-column-header">
+              <span class="compare-platform">${escapeHtml(reply.platformName || platform)}</span>
+              <span class="badge compare-status ${reply.status}">${i18n.t(STATUS_KEYS[reply.status])}</span>
+            </header>
+            ${body}
+            <div class="row-actions">
+              <button class="options-button small" data-action="focus" data-platform="${escapeHtml(platform)}">${i18n.t('compareOpenTab')}</button>
+              <button class="options-button small" data-action="copy" data-platform="${escapeHtml(platform)}" ${reply.text ? '' : 'disabled'}>${i18n.t('compareCopyReply')}</button>
+            </div>
+          </article>
+        `;
+      })
+      .join('');
+  }
+
+  /**
+   * 重新读取对比记录并刷新页面
+   */
+  async function reload() {
+    comparisons = await comparisonStore.getAll();
+    if (!comparisons.some((item) => item.id === selectedId)) {
+      selectedId = comparisons[0]?.id || null;
+    }
+    renderSelect();
+    renderComparison();
+  }
+
+  /**
+   * 绑定事件
+   */
+  compareForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const text = compareForm.elements.prompt.value.trim();
+    const platforms = Array.from(compareForm.querySelectorAll('input[name="platform"]:checked')).map((input) => input.value);
+    if (!text || platforms.length === 0) {
+      showMessage(i18n.t('compareSelectPlatforms'), true);
+      return;
+    }
+
+    compareSendBtn.disabled = true;
+    showMessage(i18n.t('compareSending'));
+    const response = await sendMessage({ action: 'broadcastPrompt', text, platforms, openView: false });
+    compareSendBtn.disabled = false;
+
+    if (!response?.success) {
+      showMessage(describeError(response?.error || 'noResponse'), true);
+      return;
+    }
+    showMessage('');
+    selectedId = response.compareId;
+    await reload();
+  });
+
+  document.getElementById('reloadTargetsBtn').addEventListener('click', loadTargets);
+
+  compareSelect.addEventListener('change', () => {
+    selectedId = compareSelect.value;
+    renderComparison();
+  });
+
+  deleteCompareBtn.addEventListener('click', async () => {
+    if (!selectedId) return;
+    await comparisonStore.remove(selectedId);
+    selectedId = null;
+    await reload();
+  });
+
+  compareGrid.addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-action]');
+    const comparison = comparisons.find((item) => item.id === selectedId);
+    if (!button || !comparison) return;
+
+    const reply = comparison.replies[button.dataset.platform];
+    if (button.dataset.action === 'focus') {
+      chrome.tabs.update(reply.tabId, { active: true }, (tab) => {
+        if (chrome.runtime.lastError) {
+          // 标签页已关闭，改为打开对话地址
+          chrome.tabs.create({ url: reply.url });
+          return;
+        }
+        chrome.windows.update(tab.windowId, { focused: true });
+      });
+    } else if (button.dataset.action === 'copy') {
+      await navigator.clipboard.writeText(reply.text);
+      button.textContent = i18n.t('copied');
+    }
+  });
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[comparisonStore.storageKey]) {
+      reload();
+    }
+  });
+
+  // 初始化
+  await i18n.load();
+  i18n.localize();
+  if (params.get('prompt')) {
+    compareForm.elements.prompt.value = params.get('prompt');
+  }
+  await Promise.all([loadTargets(), reload()]);
+});
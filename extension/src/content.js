@@ -21,20 +21,52 @@
 
     console.log(`AIChatHelper initialized for ${platform.name}`);
 
+    // 加载界面语言（设置页中手动指定语言时使用对应的语言包）
+    await window.i18n.load();
+
     // 2. 初始化消息提取器
     if (!window.messageExtractor) {
       window.messageExtractor = new MessageExtractor(window.platformDetector);
     }
 
-    // 3. 初始化侧边栏管理器
+    // 3. 初始化导出器、统计与侧边栏管理器
+    if (!window.conversationExporter) {
+      window.conversationExporter = new ConversationExporter(window.messageExtractor, window.platformDetector);
+    }
+
+    if (!window.conversationStats) {
+      window.conversationStats = new ConversationStats(window.messageExtractor, window.platformDetector);
+    }
+    await window.conversationStats.load();
+
     if (!window.sidebarManager) {
       window.sidebarManager = new SidebarManager(window.messageExtractor, window.platformDetector);
     }
 
-    // 4. 创建侧边栏
+    // 4. 加载外观偏好并创建侧边栏
+    if (!window.sidebarPreferences) {
+      window.sidebarPreferences = new SidebarPreferences(window.platformDetector);
+      window.sidebarManager.sidebarPreferences = window.sidebarPreferences;
+    }
+    await window.sidebarPreferences.load();
+    window.sidebarPreferences.watch(() => window.sidebarManager.applyPreferences());
+    // 检测设置变化后重新标记侧边栏中的提问
+    window.sensitiveDataDetector?.watch(() => window.sidebarManager.updateSidebar());
     window.sidebarManager.createSidebar();
+    // 在页面上点击展开折叠的消息后同步侧边栏中的折叠按钮
+    if (window.turnFolder) {
+      window.turnFolder.onChange = () => window.sidebarManager.updateSidebar();
+    }
 
-    // 5. 初始提取消息
+    // 5. 加载书签并初始提取消息
+    if (!window.bookmarkStore) {
+      window.bookmarkStore = new BookmarkStore(window.platformDetector);
+      window.sidebarManager.bookmarkStore = window.bookmarkStore;
+      if (window.miniMap) window.miniMap.bookmarkStore = window.bookmarkStore;
+    }
+    await window.bookmarkStore.load();
+    await window.selectorDiagnostics?.load();
+    await window.sensitiveDataDetector?.load();
     window.messageExtractor.extractMessages();
     window.sidebarManager.updateSidebar();
 
@@ -45,47 +77,206 @@
       }
     });
 
-    // 7. 监听 DOM 变化，自动更新消息列表
-    const observer = new MutationObserver(() => {
-      if (window.messageExtractor.shouldRefresh()) {
-        window.sidebarManager.refresh();
+    // 7. 监听对话容器的 DOM 变化，增量更新消息列表和阅读位置
+    if (!window.conversationObserver) {
+      window.conversationObserver = new ConversationObserver(window.messageExtractor, window.platformDetector);
+    }
+    if (!window.scrollSpy) {
+      window.scrollSpy = new ScrollSpy(window.messageExtractor);
+      window.sidebarManager.scrollSpy = window.scrollSpy;
+    }
+    window.scrollSpy.onActiveChange = (index) => window.sidebarManager.updateActiveItem(index);
+    window.scrollSpy.start();
+
+    // 记录浏览过的分支，对话内容同时写入跨对话历史索引
+    if (!window.branchTracker) {
+      window.branchTracker = new BranchTracker(window.messageExtractor);
+    }
+    window.branchTracker.reset();
+    if (!window.historyRecorder) {
+      window.historyRecorder = new HistoryRecorder(window.messageExtractor, window.platformDetector);
+    }
+    window.historyRecorder.reset();
+    window.historyRecorder.schedule();
+
+    window.conversationObserver.onChange = (changes) => {
+      window.scrollSpy.sync();
+      window.streamingDetector?.check();
+      // 回答生成中只在增删轮次时更新侧边栏，历史、分支和对比等到生成结束后的完整提取再处理
+      if (window.streamingDetector?.isStreaming()) {
+        if (changes.added || changes.removed || changes.resync) {
+          window.sidebarManager.scheduleUpdate();
+        }
+        return;
       }
-    });
+      window.sidebarManager.scheduleUpdate();
+      window.branchTracker.schedule();
+      window.historyRecorder.schedule();
+      window.compareResponder?.track();
+    };
+    window.conversationObserver.start();
 
-    observer.observe(document.body, {
-      childList: true,
-      subtree: true,
-      characterData: false,
-      attributes: false
-    });
+    // 检测回答是否仍在生成：生成中侧边栏显示实时标记，结束后完整提取一次
+    if (window.streamingDetector) {
+      window.streamingDetector.onStart = () => window.sidebarManager.updateSidebar();
+      window.streamingDetector.onFinish = ({ message, duration }) => {
+        window.conversationObserver.resync();
+        // 后台标签页中的回答完成时请求桌面通知（是否通知由设置决定）
+        if (document.hidden && message) {
+          chrome.runtime.sendMessage({
+            action: 'notifyReplyFinished',
+            duration,
+            title: i18n.t('replyFinishedTitle', platform.name),
+            message: message.preview
+          });
+        }
+      };
+      window.streamingDetector.start();
+    }
 
-    // 8. 监听来自 popup 的消息
-    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    // 8. 监听单页应用的路由变化，切换对话时重新绑定
+    if (!window.navigationWatcher) {
+      window.navigationWatcher = new NavigationWatcher(window.platformDetector);
+    }
+    window.navigationWatcher.onChange = async () => {
+      window.historyRecorder.flush();
+      window.historyRecorder.reset();
+      window.branchTracker.reset();
+      window.inputGuard?.hide();
+      window.streamingDetector?.stop();
+      window.conversationObserver.stop();
+      window.messageExtractor.clearMessages();
+      window.sidebarManager.resetConversation();
+      await window.bookmarkStore.load();
+
+      window.conversationObserver.start();
+      window.conversationObserver.resync();
+      window.streamingDetector?.start();
+
+      // 新对话可能尚未渲染完成，稍后再完整提取一次
+      window.sidebarManager.refresh();
+    };
+    window.navigationWatcher.start();
+
+    // 发送前检查输入框中的密钥和个人信息
+    window.inputGuard?.start();
+
+    // 尚未验证的远程选择器配置：页面渲染后检查能否提取到消息，回报给 Service Worker
+    // 对话页上一条消息都提取不到时回滚到上一个可用版本，并用回滚后的配置重新提取
+    const configInfo = window.platformDetector.getConfigInfo();
+    if (configInfo?.source === 'remote' && !configInfo.verified) {
+      setTimeout(() => {
+        const healthy = window.messageExtractor.getMessageCount() > 0;
+        if (!healthy && !window.platformDetector.hasConversationId()) return;
+
+        chrome.runtime.sendMessage({ action: 'reportConfigHealth', version: configInfo.version, healthy }, async () => {
+          if (chrome.runtime.lastError || healthy) return;
+          await window.platformDetector.init();
+          window.platformDetector.detectPlatform();
+          window.sidebarManager.refresh();
+        });
+      }, 10000);
+    }
+
+    // 9. 处理扩展操作（来自 popup、快捷键和命令面板）
+    const handleAction = (request) => {
       if (request.action === 'toggleSidebar') {
         window.sidebarManager.toggleSidebar();
-        sendResponse({ success: true });
+        return { success: true };
       } else if (request.action === 'refreshMessages') {
         window.sidebarManager.refresh();
-        sendResponse({ success: true });
+        return { success: true };
+      } else if (request.action === 'navigatePrompt') {
+        const index = request.index ?? window.sidebarManager.getNavigationTarget(request.target);
+        if (index >= 0) {
+          window.sidebarManager.scrollToMessage(index);
+        }
+        return { success: index >= 0 };
+      } else if (request.action === 'focusSearch') {
+        window.sidebarManager.focusSearch();
+        return { success: true };
+      } else if (request.action === 'switchView') {
+        window.sidebarManager.show();
+        window.sidebarManager.switchView(request.view);
+        return { success: true };
+      } else if (request.action === 'toggleCommandPalette') {
+        window.commandPalette.toggle();
+        return { success: true };
+      } else if (request.action === 'exportConversation') {
+        try {
+          return window.conversationExporter.download(request.format);
+        } catch (error) {
+          console.error('Failed to export conversation:', error);
+          return { success: false, error: error.message };
+        }
+      } else if (request.action === 'insertPrompt') {
+        return { success: window.promptInserter?.insert(request.text) || false };
+      } else if (request.action === 'sendComparePrompt') {
+        // 填入后要等待发送按钮可用，返回 Promise
+        return window.compareResponder
+          ? window.compareResponder.submit(request.compareId, request.text)
+          : { success: false, error: 'inputNotFound' };
+      } else if (request.action === 'openCompare') {
+        chrome.runtime.sendMessage({ action: 'openCompareView', prompt: request.prompt || '' });
+        return { success: true };
+      } else if (request.action === 'getStats') {
+        if (request.model) {
+          window.conversationStats.setModel(request.model);
+        }
+        return window.conversationStats.compute();
       } else if (request.action === 'getStatus') {
-        sendResponse({
+        return {
           platform: platform.name,
+          platformKey: platform.key,
           messageCount: window.messageExtractor.getMessageCount(),
-          sidebarVisible: window.sidebarManager.isVisible
-        });
+          sidebarVisible: window.sidebarManager.isVisible,
+          streaming: window.streamingDetector?.getProgress() || null,
+          config: window.platformDetector.getConfigInfo()
+        };
       }
-    });
+      return undefined;
+    };
 
-    // 9. 定期刷新消息（每 5 秒检查一次）
-    setInterval(() => {
-      if (window.messageExtractor.shouldRefresh()) {
-        window.sidebarManager.refresh();
+    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+      const response = handleAction(request);
+      if (response instanceof Promise) {
+        response
+          .then(sendResponse)
+          .catch((error) => {
+            console.error(`Failed to handle ${request.action}:`, error);
+            sendResponse({ success: false, error: error.message });
+          });
+        return true;
       }
-    }, 5000);
+      if (response !== undefined) {
+        sendResponse(response);
+      }
+      return false;
+    });
+
+    // 10. 命令面板（Ctrl+K / ⌘K）
+    if (!window.commandPalette) {
+      window.commandPalette = new CommandPalette(window.messageExtractor);
+    }
+    window.commandPalette.runAction = handleAction;
+    window.addEventListener(
+      'keydown',
+      (e) => {
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && e.key.toLowerCase() === 'k') {
+          e.preventDefault();
+          e.stopImmediatePropagation();
+          window.commandPalette.toggle();
+        }
+      },
+      true
+    );
 
-    // 10. 页面卸载时清理
+    // 11. 页面卸载时清理
     window.addEventListener('beforeunload', () => {
-      observer.disconnect();
+      window.historyRecorder.flush();
+      window.navigationWatcher.stop();
+      window.conversationObserver.stop();
+      window.scrollSpy.stop();
       window.sidebarManager.destroy();
     });
 
@@ -0,0 +1,193 @@
+/**
+ * History Script
+ * 历史记录页：搜索所有平台上记录过的提问，并打开原对话
+ */
+
+/**
+ * 每次加载的结果数量
+ */
+const PAGE_SIZE = 100;
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const historyStore = new HistoryStore();
+  const filters = document.getElementById('historyFilters');
+  const historyList = document.getElementById('historyList');
+  const historySummary = document.getElementById('historySummary');
+  const historyEnabled = document.getElementById('historyEnabled');
+  const loadMoreBtn = document.getElementById('loadMoreBtn');
+
+  let results = [];
+  let searchTimer = null;
+
+  /**
+   * HTML 转义
+   */
+  function escapeHtml(text) {
+    const map = {
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#039;'
+    };
+    return String(text).replace(/[&<>"']/g, (m) => map[m]);
+  }
+
+  /**
+   * 高亮匹配的关键词
+   */
+  function highlight(text, query) {
+    const escaped = escapeHtml(text);
+    if (!query) return escaped;
+
+    const pattern = new RegExp(escapeHtml(query).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+    return escaped.replace(pattern, (match) => `<mark>${match}</mark>`);
+  }
+
+  /**
+   * 截取包含关键词的片段
+   */
+  function snippet(text, query, length = 200) {
+    const position = query ? text.toLowerCase().indexOf(query.toLowerCase()) : -1;
+    const start = position > length / 2 ? position - length / 4 : 0;
+    const clipped = text.slice(start, start + length);
+    return `${start > 0 ? '…' : ''}${clipped}${start + length < text.length ? '…' : ''}`;
+  }
+
+  /**
+   * 读取筛选条件（日期按本地时间计算整天）
+   */
+  function readFilters() {
+    const elements = filters.elements;
+    const from = elements.from.value ? new Date(`${elements.from.value}T00:00:00`).getTime() : 0;
+    const to = elements.to.value ? new Date(`${elements.to.value}T23:59:59.999`).getTime() : Infinity;
+    return {
+      query: elements.query.value.trim(),
+      platform: elements.platform.value,
+      from,
+      to
+    };
+  }
+
+  /**
+   * 渲染结果列表
+   */
+  function renderResults(query) {
+    if (results.length === 0) {
+      historyList.innerHTML = `<li class="history-empty">${i18n.t('historyNoResults')}</li>`;
+      return;
+    }
+
+    historyList.innerHTML = results
+      .map((turn) => {
+        const conversation = turn.conversation || {};
+        const reply = turn.assistantPreview
+          ? `<p class="history-reply">${highlight(snippet(turn.assistantPreview, query, 120), query)}</p>`
+          : '';
+        const branch = turn.branch || turn.current === false
+          ? `<span class="badge branch" title="${i18n.t(turn.current === false ? 'historyBranchOther' : 'historyBranchCurrent')}">${turn.branch ? i18n.t('branchLabel', [turn.branch.index, turn.branch.total]) : i18n.t('branchOther')}</span>`
+          : '';
+
+        return `
+          <li class="history-item">
+            <div class="history-meta">
+              <span class="badge">${escapeHtml(conversation.platformName || turn.platform)}</span>
+              ${branch}
+              <span class="history-title">${escapeHtml(conversation.title || i18n.t('historyUntitled'))}</span>
+              <time>${new Date(turn.askedAt).toLocaleString()}</time>
+            </div>
+            <p class="history-prompt">${highlight(snippet(turn.userText, query), query)}</p>
+            ${reply}
+            <div class="row-actions">
+              ${conversation.url ? `<a class="options-button small" href="${escapeHtml(conversation.url)}" target="_blank" rel="noopener">${i18n.t('historyOpen')}</a>` : ''}
+              <button class="options-button small" data-action="copy" data-id="${escapeHtml(turn.id)}">${i18n.t('historyCopyPrompt')}</button>
+              <button class="options-button small" data-action="delete" data-key="${escapeHtml(turn.conversationKey)}">${i18n.t('historyDeleteConversation')}</button>
+            </div>
+          </li>
+        `;
+      })
+      .join('');
+  }
+
+  /**
+   * 执行搜索
+   * @param {boolean} append - 是否追加下一页
+   */
+  async function search(append = false) {
+    const options = readFilters();
+    const page = await historyStore.search({
+      ...options,
+      limit: PAGE_SIZE,
+      offset: append ? results.length : 0
+    });
+
+    results = append ? [...results, ...page] : page;
+    loadMoreBtn.hidden = page.length < PAGE_SIZE;
+    renderResults(options.query);
+  }
+
+  /**
+   * 更新统计和平台筛选项
+   */
+  async function renderSummary() {
+    const [{ conversations, turns }, platforms] = await Promise.all([historyStore.count(), historyStore.getPlatforms()]);
+    historySummary.textContent = i18n.t('historySummary', [conversations, turns]);
+
+    const select = filters.elements.platform;
+    const selected = select.value;
+    select.innerHTML =
+      `<option value="">${i18n.t('historyAllPlatforms')}</option>` +
+      platforms
+        .map(
+          (item) =>
+            `<option value="${escapeHtml(item.platform)}">${escapeHtml(i18n.t('historyPlatformOption', [item.platformName || item.platform, item.conversationCount]))}</option>`
+        )
+        .join('');
+    select.value = selected;
+  }
+
+  /**
+   * 绑定事件
+   */
+  filters.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => search(), 200);
+  });
+  filters.addEventListener('submit', (e) => e.preventDefault());
+
+  loadMoreBtn.addEventListener('click', () => search(true));
+
+  historyList.addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    if (button.dataset.action === 'copy') {
+      const turn = results.find((item) => item.id === button.dataset.id);
+      await navigator.clipboard.writeText(turn.userText);
+      button.textContent = i18n.t('copied');
+    } else if (button.dataset.action === 'delete') {
+      await historyStore.deleteConversation(button.dataset.key);
+      await renderSummary();
+      await search();
+    }
+  });
+
+  historyEnabled.addEventListener('change', () => {
+    chrome.storage.local.set({ historyEnabled: historyEnabled.checked });
+  });
+
+  document.getElementById('clearHistoryBtn').addEventListener('click', async () => {
+    if (!confirm(i18n.t('historyClearConfirm'))) return;
+    await historyStore.clear();
+    await renderSummary();
+    await search();
+  });
+
+  // 初始化
+  await i18n.load();
+  i18n.localize();
+  const stored = await chrome.storage.local.get(['historyEnabled']);
+  historyEnabled.checked = stored.historyEnabled !== false;
+  await renderSummary();
+  await search();
+});
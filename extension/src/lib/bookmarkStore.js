@@ -0,0 +1,139 @@
+/**
+ * Bookmark Store Module
+ * 用于持久化提问的星标和备注（按平台和对话 ID 区分）
+ */
+
+class BookmarkStore {
+  constructor(platformDetector) {
+    this.platformDetector = platformDetector;
+    this.storageKey = null;
+    this.bookmarks = {};
+  }
+
+  /**
+   * 生成当前对话的存储键
+   * @returns {string}
+   */
+  getStorageKey() {
+    const platform = this.platformDetector.getPlatformConfig();
+    return `bookmarks:${platform?.key || 'unknown'}:${this.platformDetector.getConversationId()}`;
+  }
+
+  /**
+   * 旧版本按对话 URL 生成的存储键（用于迁移）
+   * @returns {string}
+   */
+  getLegacyStorageKey() {
+    const platform = this.platformDetector.getPlatformConfig();
+    return `bookmarks:${platform?.key || 'unknown'}:${window.location.origin}${window.location.pathname}`;
+  }
+
+  /**
+   * 从 storage 加载当前对话的书签（切换对话后需要重新调用）
+   * @returns {Promise<Object>}
+   */
+  load() {
+    const storageKey = this.getStorageKey();
+    const legacyKey = this.getLegacyStorageKey();
+    this.storageKey = storageKey;
+
+    return new Promise((resolve) => {
+      chrome.storage.local.get([storageKey, legacyKey], (result) => {
+        // 加载期间已切换到其他对话，忽略过期结果
+        if (this.storageKey !== storageKey) {
+          resolve(this.bookmarks);
+          return;
+        }
+
+        this.bookmarks = result[storageKey] || result[legacyKey] || {};
+        if (!result[storageKey] && result[legacyKey]) {
+          this.save();
+          chrome.storage.local.remove(legacyKey);
+        }
+        resolve(this.bookmarks);
+      });
+    });
+  }
+
+  /**
+   * 保存书签到 storage（无书签时删除该键）
+   */
+  save() {
+    if (!this.storageKey) return;
+
+    if (Object.keys(this.bookmarks).length === 0) {
+      chrome.storage.local.remove(this.storageKey);
+    } else {
+      chrome.storage.local.set({ [this.storageKey]: this.bookmarks });
+    }
+  }
+
+  /**
+   * 获取消息对应的书签
+   * @param {Object} message - 消息对象
+   * @returns {Object|null} { starred, note, preview, updatedAt }
+   */
+  get(message) {
+    return (message?.hash && this.bookmarks[message.hash]) || null;
+  }
+
+  /**
+   * 是否已加星标
+   * @param {Object} message - 消息对象
+   * @returns {boolean}
+   */
+  isStarred(message) {
+    return Boolean(this.get(message)?.starred);
+  }
+
+  /**
+   * 切换星标
+   * @param {Object} message - 消息对象
+   * @returns {boolean} 切换后的星标状态
+   */
+  toggleStar(message) {
+    const starred = !this.isStarred(message);
+    this.update(message, { starred });
+    return starred;
+  }
+
+  /**
+   * 设置备注
+   * @param {Object} message - 消息对象
+   * @param {string} note - 备注内容（空字符串表示删除）
+   */
+  setNote(message, note) {
+    this.update(message, { note: note.trim() });
+  }
+
+  /**
+   * 更新书签字段，星标和备注均为空时移除该书签
+   * @param {Object} message - 消息对象
+   * @param {Object} changes - 要更新的字段
+   */
+  update(message, changes) {
+    if (!message?.hash) return;
+
+    const bookmark = {
+      ...this.bookmarks[message.hash],
+      ...changes,
+      preview: message.preview,
+      updatedAt: Date.now()
+    };
+
+    if (!bookmark.starred && !bookmark.note) {
+      delete this.bookmarks[message.hash];
+    } else {
+      this.bookmarks[message.hash] = bookmark;
+    }
+
+    this.save();
+  }
+}
+
+// 创建全局实例
+window.bookmarkStore = null;
+
+if (window.platformDetector) {
+  window.bookmarkStore = new BookmarkStore(window.platformDetector);
+}
@@ -0,0 +1,190 @@
+/**
+ * Branch Tracker Module
+ * 页面上只渲染当前选中的分支（编辑提问后的“< 2/3 >”），
+ * 这里把浏览过程中见过的每条分支合并为一棵树，供导出和历史索引使用
+ */
+
+class BranchTracker {
+  constructor(messageExtractor) {
+    this.messageExtractor = messageExtractor;
+    this.root = { key: null, depth: -1, children: [] };
+    this.nodes = new Map(); // key → 节点
+    this.recordTimer = null;
+  }
+
+  /**
+   * 合并短时间内的多次变化（切换分支时页面会分几次重新渲染）
+   */
+  static get RECORD_DELAY() {
+    return 1000;
+  }
+
+  /**
+   * 清空分支树（切换对话后调用）
+   */
+  reset() {
+    clearTimeout(this.recordTimer);
+    this.root = { key: null, depth: -1, children: [] };
+    this.nodes.clear();
+  }
+
+  /**
+   * 消息列表变化后延迟合并
+   */
+  schedule() {
+    clearTimeout(this.recordTimer);
+    this.recordTimer = setTimeout(() => this.record(), BranchTracker.RECORD_DELAY);
+  }
+
+  /**
+   * 将当前显示的对话路径合并到分支树
+   * 同一父节点下按提问内容哈希识别节点；节点 key 默认沿用消息 hash（与未识别分支时的历史记录一致），
+   * 只有不同分支中出现相同的提问时才改用包含父节点的 key
+   * @returns {Array} 当前路径上的节点
+   */
+  record() {
+    clearTimeout(this.recordTimer);
+    const messages = this.messageExtractor.getMessages();
+    const path = [];
+    let parent = this.root;
+
+    messages.forEach((msg) => {
+      let node = parent.children.find((child) => child.hash === msg.hash);
+      if (!node) {
+        const key = this.nodes.has(msg.hash) ? this.messageExtractor.hashText(`${parent.key}:${msg.hash}`) : msg.hash;
+        node = {
+          key,
+          hash: msg.hash,
+          parentKey: parent.key,
+          depth: parent.depth + 1,
+          userText: '',
+          assistantText: '',
+          branch: null,
+          current: false,
+          revision: 0,
+          children: []
+        };
+        parent.children.push(node);
+        this.nodes.set(key, node);
+      }
+
+      this.update(node, {
+        userText: msg.userText,
+        assistantText: msg.assistantText,
+        branch: msg.branch ? { ...msg.branch } : node.branch
+      });
+      path.push(node);
+      parent = node;
+    });
+
+    // 更新节点是否位于当前显示的路径上
+    const onPath = new Set(path);
+    this.nodes.forEach((node) => this.update(node, { current: onPath.has(node) }));
+
+    return path;
+  }
+
+  /**
+   * 更新节点字段，内容变化时递增 revision
+   * @param {Object} node - 节点
+   * @param {Object} fields - 新的字段值
+   */
+  update(node, fields) {
+    let changed = false;
+    Object.entries(fields).forEach(([name, value]) => {
+      const same = name === 'branch'
+        ? node.branch?.index === value?.index && node.branch?.total === value?.total
+        : node[name] === value;
+      if (!same) {
+        node[name] = value;
+        changed = true;
+      }
+    });
+    if (changed) node.revision++;
+  }
+
+  /**
+   * 是否见过多个分支
+   * @returns {boolean}
+   */
+  hasBranches() {
+    for (const node of this.nodes.values()) {
+      if (!node.current || node.branch) return true;
+    }
+    return false;
+  }
+
+  /**
+   * 节点的子节点（按分支序号排序，未识别序号的按发现顺序排在后面）
+   * @param {Object} node - 节点
+   * @returns {Array}
+   */
+  getChildren(node) {
+    return [...node.children].sort((a, b) => (a.branch?.index ?? Infinity) - (b.branch?.index ?? Infinity));
+  }
+
+  /**
+   * 按深度优先顺序列出所有节点（不含子节点引用，可直接发送给 Service Worker）
+   * @returns {Array} [{ key, parentKey, depth, userText, assistantText, branch, current, revision }]
+   */
+  getNodes() {
+    const result = [];
+    const walk = (node) => {
+      this.getChildren(node).forEach((child) => {
+        const { children, hash, ...fields } = child;
+        result.push(fields);
+        walk(child);
+      });
+    };
+    walk(this.root);
+    return result;
+  }
+
+  /**
+   * 嵌套结构的分支树
+   * @returns {Array} 第一轮的各个分支 [{ key, index, branch, current, user, assistant, children }]
+   */
+  getTree() {
+    const build = (node) => ({
+      key: node.key,
+      index: node.depth,
+      branch: node.branch,
+      current: node.current,
+      user: { text: node.userText },
+      assistant: node.assistantText ? { text: node.assistantText } : null,
+      children: this.getChildren(node).map(build)
+    });
+    return this.getChildren(this.root).map(build);
+  }
+
+  /**
+   * 不在当前路径上的分支（每项为从当前路径分出的子树，按深度优先顺序列出其中的节点）
+   * @returns {Array} [{ index, branch, nodes }]
+   */
+  getAlternatives() {
+    const alternatives = [];
+    const collect = (node, nodes) => {
+      nodes.push(node);
+      this.getChildren(node).forEach((child) => collect(child, nodes));
+      return nodes;
+    };
+    const walk = (node) => {
+      this.getChildren(node).forEach((child) => {
+        if (child.current) {
+          walk(child);
+        } else {
+          alternatives.push({ index: child.depth, branch: child.branch, nodes: collect(child, []) });
+        }
+      });
+    };
+    walk(this.root);
+    return alternatives;
+  }
+}
+
+// 创建全局实例
+window.branchTracker = null;
+
+if (window.messageExtractor) {
+  window.branchTracker = new BranchTracker(window.messageExtractor);
+}
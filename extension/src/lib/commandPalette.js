@@ -0,0 +1,311 @@
+/**
+ * Command Palette Module
+ * 页面内的命令面板（Ctrl+K）：模糊搜索提问并跳转，或执行扩展操作
+ */
+
+class CommandPalette {
+  constructor(messageExtractor, runAction) {
+    this.messageExtractor = messageExtractor;
+    this.runAction = runAction;
+    this.element = null;
+    this.items = [];
+    this.selected = 0;
+    this.previousFocus = null;
+    this.shadowHost = window.shadowHost || null;
+  }
+
+  /**
+   * 可执行的扩展操作（request 与 content.js 中的消息处理一致）
+   */
+  static get ACTIONS() {
+    return [
+      { label: i18n.t('paletteToggleSidebar'), keywords: 'toggle sidebar', request: { action: 'toggleSidebar' } },
+      { label: i18n.t('paletteSearch'), keywords: 'search find', request: { action: 'focusSearch' } },
+      { label: i18n.t('paletteRefresh'), keywords: 'refresh reload', request: { action: 'refreshMessages' } },
+      { label: i18n.t('commandFirstPrompt'), keywords: 'first top', request: { action: 'navigatePrompt', target: 'first' } },
+      { label: i18n.t('commandLastPrompt'), keywords: 'last bottom latest', request: { action: 'navigatePrompt', target: 'last' } },
+      { label: i18n.t('paletteExport', 'Markdown'), keywords: 'export markdown md', request: { action: 'exportConversation', format: 'markdown' } },
+      { label: i18n.t('paletteExport', 'JSON'), keywords: 'export json', request: { action: 'exportConversation', format: 'json' } },
+      { label: i18n.t('paletteExport', 'HTML'), keywords: 'export html', request: { action: 'exportConversation', format: 'html' } },
+      { label: i18n.t('paletteLibrary'), keywords: 'prompt library template', request: { action: 'switchView', view: 'library' } },
+      { label: i18n.t('paletteDiagnostics'), keywords: 'diagnostics selector', request: { action: 'switchView', view: 'diagnostics' } },
+      { label: i18n.t('paletteStats'), keywords: 'stats token count context', request: { action: 'switchView', view: 'stats' } },
+      { label: i18n.t('paletteCompare'), keywords: 'compare platforms broadcast', request: { action: 'openCompare' } }
+    ];
+  }
+
+  /**
+   * 最多显示的结果数量
+   */
+  static get MAX_RESULTS() {
+    return 50;
+  }
+
+  /**
+   * 模糊匹配打分：查询中的每个词都需按顺序出现在文本中
+   * 连续匹配和词首匹配得分更高
+   * @param {string} query - 查询
+   * @param {string} text - 文本
+   * @returns {number} 得分，不匹配时返回 -1
+   */
+  static fuzzyScore(query, text) {
+    const haystack = text.toLowerCase();
+    let total = 0;
+
+    for (const token of query.toLowerCase().split(/\s+/).filter(Boolean)) {
+      // 整词出现时直接给高分
+      const exact = haystack.indexOf(token);
+      if (exact >= 0) {
+        total += token.length * 10 - Math.min(exact, 50) / 10;
+        continue;
+      }
+
+      let score = 0;
+      let position = -1;
+      for (const char of token) {
+        const next = haystack.indexOf(char, position + 1);
+        if (next < 0) return -1;
+
+        score += 1;
+        if (next === position + 1) score += 5;
+        if (next === 0 || /[\s\-_/.,，。:：]/.test(haystack[next - 1])) score += 3;
+        position = next;
+      }
+      total += score;
+    }
+
+    return total;
+  }
+
+  /**
+   * 是否已打开
+   * @returns {boolean}
+   */
+  isOpen() {
+    return Boolean(this.element && !this.element.hidden);
+  }
+
+  /**
+   * 打开或关闭
+   */
+  toggle() {
+    if (this.isOpen()) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  /**
+   * 打开命令面板
+   */
+  open() {
+    if (!this.element) {
+      this.create();
+    }
+
+    this.previousFocus = this.shadowHost ? this.shadowHost.getActiveElement() : document.activeElement;
+    this.element.classList.toggle('aichathelper-dark', Boolean(window.sidebarManager?.isDark));
+    this.element.hidden = false;
+
+    const input = this.element.querySelector('.aichathelper-palette-input');
+    input.value = '';
+    this.update('');
+    input.focus();
+  }
+
+  /**
+   * 关闭命令面板并恢复之前的焦点
+   */
+  close() {
+    if (!this.element) return;
+
+    this.element.hidden = true;
+    if (this.previousFocus?.isConnected) {
+      this.previousFocus.focus();
+    }
+    this.previousFocus = null;
+  }
+
+  /**
+   * 创建 DOM
+   */
+  create() {
+    const element = document.createElement('div');
+    element.className = 'aichathelper-palette';
+    element.hidden = true;
+    element.innerHTML = `
+      <div class="aichathelper-palette-dialog" role="dialog" aria-label="${i18n.t('paletteTitle')}">
+        <input type="text" class="aichathelper-palette-input" placeholder="${i18n.t('palettePlaceholder')}" spellcheck="false">
+        <div class="aichathelper-palette-list" role="listbox"></div>
+        <div class="aichathelper-palette-hint">${i18n.t('paletteHint')}</div>
+      </div>
+    `;
+    if (this.shadowHost) {
+      this.shadowHost.append(element);
+    } else {
+      document.body.appendChild(element);
+    }
+    this.element = element;
+
+    const input = element.querySelector('.aichathelper-palette-input');
+    input.addEventListener('input', () => this.update(input.value));
+
+    // 阻止按键触发宿主页面的快捷键
+    element.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      this.handleKeydown(e);
+    });
+
+    element.addEventListener('mousedown', (e) => {
+      if (e.target === element) {
+        this.close();
+      }
+    });
+
+    element.querySelector('.aichathelper-palette-list').addEventListener('click', (e) => {
+      const option = e.target.closest('.aichathelper-palette-item');
+      if (option) {
+        this.execute(this.items[parseInt(option.dataset.position, 10)]);
+      }
+    });
+  }
+
+  /**
+   * 处理面板内的按键
+   * @param {KeyboardEvent} e
+   */
+  handleKeydown(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      this.close();
+    } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (this.items.length > 0) {
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        this.selected = (this.selected + step + this.items.length) % this.items.length;
+        this.renderSelection();
+      }
+    } else if (e.key === 'Enter' && !e.isComposing) {
+      e.preventDefault();
+      this.execute(this.items[this.selected]);
+    }
+  }
+
+  /**
+   * 根据查询生成结果列表
+   * @param {string} query - 查询
+   * @returns {Array<Object>} { type, label, detail, request, score }
+   */
+  search(query) {
+    const actionsOnly = query.startsWith('>');
+    const text = (actionsOnly ? query.slice(1) : query).trim();
+
+    const actions = CommandPalette.ACTIONS.map((action) => ({
+      type: 'action',
+      label: action.label,
+      detail: i18n.t('paletteAction'),
+      request: action.request,
+      score: text ? CommandPalette.fuzzyScore(text, `${action.label} ${action.keywords}`) : 0
+    }));
+
+    const prompts = actionsOnly
+      ? []
+      : this.messageExtractor.getMessages().map((msg) => ({
+        type: 'prompt',
+        label: msg.preview,
+        detail: `#${msg.index + 1}`,
+        request: { action: 'navigatePrompt', index: msg.index },
+        score: text ? CommandPalette.fuzzyScore(text, msg.userText) : 0
+      }));
+
+    // 无查询时先列出操作，再按顺序列出提问
+    if (!text) {
+      return [...actions, ...prompts].slice(0, CommandPalette.MAX_RESULTS);
+    }
+
+    return [...actions, ...prompts]
+      .filter((item) => item.score >= 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, CommandPalette.MAX_RESULTS);
+  }
+
+  /**
+   * 更新结果列表
+   * @param {string} query - 查询
+   */
+  update(query) {
+    this.items = this.search(query);
+    this.selected = 0;
+    this.render();
+  }
+
+  /**
+   * 执行选中的结果
+   * @param {Object} item - 结果
+   */
+  execute(item) {
+    if (!item) return;
+
+    this.close();
+    this.runAction?.(item.request);
+  }
+
+  /**
+   * 渲染结果列表
+   */
+  render() {
+    const list = this.element.querySelector('.aichathelper-palette-list');
+
+    if (this.items.length === 0) {
+      list.innerHTML = `<div class="aichathelper-palette-empty">${i18n.t('noMatches')}</div>`;
+      return;
+    }
+
+    list.innerHTML = this.items
+      .map(
+        (item, position) => `
+        <div class="aichathelper-palette-item ${item.type}" role="option" data-position="${position}">
+          <span class="aichathelper-palette-label">${this.escapeHtml(item.label)}</span>
+          <span class="aichathelper-palette-detail">${this.escapeHtml(item.detail)}</span>
+        </div>`
+      )
+      .join('');
+    this.renderSelection();
+  }
+
+  /**
+   * 更新选中项
+   */
+  renderSelection() {
+    const options = this.element.querySelectorAll('.aichathelper-palette-item');
+    options.forEach((option, position) => {
+      option.classList.toggle('selected', position === this.selected);
+      option.setAttribute('aria-selected', String(position === this.selected));
+    });
+    options[this.selected]?.scrollIntoView({ block: 'nearest' });
+  }
+
+  /**
+   * HTML 转义
+   * @param {string} text - 原始文本
+   * @returns {string}
+   */
+  escapeHtml(text) {
+    const map = {
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#039;'
+    };
+    return String(text).replace(/[&<>"']/g, (m) => map[m]);
+  }
+}
+
+// 创建全局实例
+window.commandPalette = null;
+
+if (window.messageExtractor) {
+  window.commandPalette = new CommandPalette(window.messageExtractor);
+}
@@ -0,0 +1,126 @@
+/**
+ * Compare Responder Module
+ * 多平台对比：在当前平台发送 Service Worker 转来的提问，
+ * 并把 MessageExtractor 提取到的回答持续回报给 Service Worker，直到回答不再变化
+ */
+
+class CompareResponder {
+  constructor(messageExtractor, promptInserter) {
+    this.messageExtractor = messageExtractor;
+    this.promptInserter = promptInserter;
+    this.pending = null; // { compareId, prompt, message, text, settleTimer }
+  }
+
+  /**
+   * 回答在该时长内没有变化即视为完成
+   */
+  static get SETTLE_DELAY() {
+    return 5000;
+  }
+
+  /**
+   * 填入提问后等待发送按钮可用的最长时间
+   */
+  static get SEND_TIMEOUT() {
+    return 3000;
+  }
+
+  /**
+   * 规范化提问文本（忽略空白差异，用于在消息列表中找到发送的提问）
+   * @param {string} text - 文本
+   * @returns {string}
+   */
+  static normalize(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * 填入并发送提问
+   * @param {string} compareId - 对比 ID
+   * @param {string} prompt - 提问
+   * @returns {Promise<Object>} { success, error }
+   */
+  async submit(compareId, prompt) {
+    if (!this.promptInserter?.insert(prompt)) {
+      return { success: false, error: 'inputNotFound' };
+    }
+
+    // 输入框内容变化后，站点通常要稍后才显示或启用发送按钮；按钮可用后才点击
+    const deadline = Date.now() + CompareResponder.SEND_TIMEOUT;
+    while (!this.promptInserter.canSend()) {
+      if (Date.now() > deadline) {
+        // 输入区域内始终没有发送按钮时视为未找到输入区域，不在整个页面中查找
+        return { success: false, error: this.promptInserter.getSendButton() ? 'sendFailed' : 'inputNotFound' };
+      }
+      await new Promise((resolve) => setTimeout(resolve, 200));
+    }
+    if (!this.promptInserter.send()) {
+      return { success: false, error: 'sendFailed' };
+    }
+
+    this.finish();
+    this.pending = { compareId, prompt: CompareResponder.normalize(prompt), message: null, text: null, settleTimer: null };
+    this.track();
+    return { success: true };
+  }
+
+  /**
+   * 消息列表变化后检查回答（由 content.js 在对话变化时调用）
+   */
+  track() {
+    const pending = this.pending;
+    if (!pending) return;
+
+    // 从后往前找到发送的提问（切换到新对话地址后消息对象会重新创建）
+    const messages = this.messageExtractor.getMessages();
+    if (!pending.message || !messages.includes(pending.message)) {
+      pending.message = [...messages].reverse().find((msg) => CompareResponder.normalize(msg.userText) === pending.prompt) || null;
+    }
+    if (!pending.message) return;
+
+    const text = pending.message.assistantText;
+    if (text === pending.text) return;
+
+    pending.text = text;
+    this.report('answering', text);
+
+    clearTimeout(pending.settleTimer);
+    pending.settleTimer = setTimeout(() => {
+      if (this.pending === pending && pending.text) {
+        this.report('done', pending.text);
+        this.finish();
+      }
+    }, CompareResponder.SETTLE_DELAY);
+  }
+
+  /**
+   * 向 Service Worker 回报回答
+   * @param {string} status - 'answering' | 'done'
+   * @param {string} text - 回答文本
+   */
+  report(status, text) {
+    chrome.runtime.sendMessage(
+      { action: 'compareUpdate', compareId: this.pending.compareId, status, text, url: window.location.href },
+      () => {
+        if (chrome.runtime.lastError) {
+          console.warn('Failed to report comparison reply:', chrome.runtime.lastError.message);
+        }
+      }
+    );
+  }
+
+  /**
+   * 停止跟踪当前的对比
+   */
+  finish() {
+    clearTimeout(this.pending?.settleTimer);
+    this.pending = null;
+  }
+}
+
+// 创建全局实例
+window.compareResponder = null;
+
+if (window.messageExtractor && window.promptInserter) {
+  window.compareResponder = new CompareResponder(window.messageExtractor, window.promptInserter);
+}
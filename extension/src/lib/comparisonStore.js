@@ -0,0 +1,122 @@
+/**
+ * Comparison Store Module
+ * 保存“同一提问发送到多个平台”的对比记录（Service Worker 写入，对比页面读取）
+ * 数据保存在 chrome.storage.local 中，对比页面通过 storage.onChanged 实时刷新
+ */
+
+class ComparisonStore {
+  constructor() {
+    this.storageKey = 'comparisons';
+    this.queue = Promise.resolve(); // 串行执行读改写，避免多个平台同时回报时互相覆盖
+  }
+
+  /**
+   * 最多保留的对比记录数
+   */
+  static get MAX_ENTRIES() {
+    return 20;
+  }
+
+  /**
+   * 读取全部对比记录（最新的在前）
+   * @returns {Promise<Array>}
+   */
+  getAll() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([this.storageKey], (result) => {
+        resolve(result[this.storageKey] || []);
+      });
+    });
+  }
+
+  /**
+   * 读取单个对比记录
+   * @param {string} id - 对比 ID
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    return (await this.getAll()).find((comparison) => comparison.id === id) || null;
+  }
+
+  /**
+   * 在队列中修改记录并保存
+   * @param {Function} mutate - (comparisons) => 新的 comparisons
+   * @returns {Promise<Array>}
+   */
+  update(mutate) {
+    const run = this.queue.then(async () => {
+      const comparisons = mutate(await this.getAll());
+      await new Promise((resolve) => {
+        chrome.storage.local.set({ [this.storageKey]: comparisons }, resolve);
+      });
+      return comparisons;
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * 新建对比记录
+   * 每个平台的回答状态：sending 正在发送；answering 已发送，等待或正在输出回答；done 回答已完成；failed 发送失败
+   * @param {string} prompt - 提问
+   * @param {Array} targets - [{ platform, platformName, tabId }]
+   * @returns {Promise<Object>} 对比记录
+   */
+  async create(prompt, targets) {
+    const now = Date.now();
+    const comparison = {
+      id: `c${now.toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      prompt,
+      createdAt: now,
+      replies: Object.fromEntries(
+        targets.map((target) => [
+          target.platform,
+          {
+            platformName: target.platformName,
+            tabId: target.tabId,
+            url: target.url || '',
+            status: 'sending',
+            text: '',
+            error: '',
+            updatedAt: now
+          }
+        ])
+      )
+    };
+
+    await this.update((comparisons) => [comparison, ...comparisons].slice(0, ComparisonStore.MAX_ENTRIES));
+    return comparison;
+  }
+
+  /**
+   * 更新某个平台的回答
+   * @param {string} id - 对比 ID
+   * @param {string} platform - 平台 key
+   * @param {Object} changes - { status, text, error, url }
+   * @returns {Promise<void>}
+   */
+  async updateReply(id, platform, changes) {
+    await this.update((comparisons) =>
+      comparisons.map((comparison) => {
+        const reply = comparison.id === id && comparison.replies[platform];
+        if (!reply) return comparison;
+        return {
+          ...comparison,
+          replies: {
+            ...comparison.replies,
+            [platform]: { ...reply, ...changes, updatedAt: Date.now() }
+          }
+        };
+      })
+    );
+  }
+
+  /**
+   * 删除对比记录
+   * @param {string} id - 对比 ID
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    await this.update((comparisons) => comparisons.filter((comparison) => comparison.id !== id));
+  }
+}
@@ -0,0 +1,502 @@
+/**
+ * Conversation Exporter Module
+ * 用于将当前对话导出为 Markdown、JSON 和 HTML 文件
+ */
+
+class ConversationExporter {
+  constructor(messageExtractor, platformDetector) {
+    this.messageExtractor = messageExtractor;
+    this.platformDetector = platformDetector;
+    this.branchTracker = window.branchTracker || null;
+  }
+
+  /**
+   * 支持的导出格式
+   */
+  static get FORMATS() {
+    return {
+      markdown: { extension: 'md', mimeType: 'text/markdown;charset=utf-8' },
+      json: { extension: 'json', mimeType: 'application/json;charset=utf-8' },
+      html: { extension: 'html', mimeType: 'text/html;charset=utf-8' }
+    };
+  }
+
+  /**
+   * 导出时需要跳过的元素（复制按钮、图标等界面元素）
+   */
+  static get SKIPPED_TAGS() {
+    return ['SCRIPT', 'STYLE', 'BUTTON', 'SVG', 'NOSCRIPT', 'IFRAME', 'TEMPLATE', 'INPUT', 'TEXTAREA', 'SELECT'];
+  }
+
+  /**
+   * 构建结构化的对话数据
+   * turns 为当前显示的分支；branches 为浏览过程中见过的所有分支组成的树
+   * @returns {Object}
+   */
+  buildConversation() {
+    const platform = this.platformDetector.getPlatformConfig();
+    const messages = this.messageExtractor.getMessages();
+    this.branchTracker?.record();
+
+    return {
+      schema: 'aichathelper.conversation',
+      schemaVersion: 2,
+      platform: {
+        key: platform?.key || 'unknown',
+        name: this.platformDetector.getPlatformName()
+      },
+      conversationId: this.platformDetector.getConversationId(),
+      url: window.location.href,
+      title: document.title,
+      exportedAt: new Date().toISOString(),
+      turns: messages.map((msg, idx) => this.buildTurn(msg, idx)),
+      branches: this.branchTracker?.getTree() || [],
+      alternatives: this.branchTracker?.hasBranches() ? this.branchTracker.getAlternatives() : []
+    };
+  }
+
+  /**
+   * 分支标签（如“分支 2/3”），没有分支时返回空字符串
+   * @param {Object|null} branch - { index, total }
+   * @returns {string}
+   */
+  getBranchLabel(branch) {
+    return branch ? i18n.t('branchLabel', [branch.index, branch.total]) : '';
+  }
+
+  /**
+   * 轮次标题（序号、提问和分支）
+   * @param {number} index - 轮次索引
+   * @param {Object|null} branch - { index, total }
+   * @returns {string}
+   */
+  getTurnHeading(index, branch) {
+    const label = this.getBranchLabel(branch);
+    return `${index + 1}. ${i18n.t('exportPrompt')}${label ? ` · ${label}` : ''}`;
+  }
+
+  /**
+   * 构建单轮对话数据
+   * @param {Object} message - 消息对象
+   * @param {number} index - 轮次索引
+   * @returns {Object}
+   */
+  buildTurn(message, index) {
+    const assistantContent = this.messageExtractor.getContentElement(message, 'assistant');
+
+    return {
+      index,
+      extractedAt: message.timestamp?.toISOString?.() || null,
+      branch: message.branch || null,
+      user: {
+        text: message.userText
+      },
+      assistant: message.assistantElement
+        ? {
+            text: message.assistantText,
+            markdown: assistantContent ? this.htmlToMarkdown(assistantContent) : message.assistantText,
+            html: assistantContent ? this.sanitizeHtml(assistantContent) : ''
+          }
+        : null
+    };
+  }
+
+  /**
+   * 序列化为 Markdown
+   * @param {Object} conversation - 结构化对话数据
+   * @returns {string}
+   */
+  toMarkdown(conversation) {
+    const lines = [
+      `# ${conversation.title || conversation.platform.name}`,
+      '',
+      `- ${i18n.t('exportPlatform', conversation.platform.name)}`,
+      `- ${i18n.t('exportLink', conversation.url)}`,
+      `- ${i18n.t('exportTime', conversation.exportedAt)}`,
+      ''
+    ];
+
+    conversation.turns.forEach((turn) => {
+      lines.push('---', '', `## ${this.getTurnHeading(turn.index, turn.branch)}`, '', turn.user.text, '');
+      if (turn.assistant) {
+        lines.push(`### ${i18n.t('exportReply')}`, '', turn.assistant.markdown, '');
+      }
+    });
+
+    // 未显示的分支只保存了纯文本
+    if (conversation.alternatives.length > 0) {
+      lines.push('---', '', `## ${i18n.t('exportOtherBranches')}`, '');
+      conversation.alternatives.forEach((alternative) => {
+        lines.push(`### ${i18n.t('exportBranchFrom', [alternative.index + 1, this.getBranchLabel(alternative.branch) || i18n.t('branchOther')])}`, '');
+        alternative.nodes.forEach((node) => {
+          lines.push(`#### ${this.getTurnHeading(node.depth, node.branch)}`, '', node.userText, '');
+          if (node.assistantText) {
+            lines.push(`##### ${i18n.t('exportReply')}`, '', node.assistantText, '');
+          }
+        });
+      });
+    }
+
+    return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim() + '\n';
+  }
+
+  /**
+   * 序列化为 JSON
+   * @param {Object} conversation - 结构化对话数据
+   * @returns {string}
+   */
+  toJSON(conversation) {
+    // alternatives 只是 branches 的另一种组织方式，不重复写入
+    const { alternatives, ...data } = conversation;
+    return JSON.stringify(data, null, 2);
+  }
+
+  /**
+   * 序列化为独立的 HTML 文件
+   * @param {Object} conversation - 结构化对话数据
+   * @returns {string}
+   */
+  toHTML(conversation) {
+    const escape = (text) => this.escapeHtml(text || '');
+    const turns = conversation.turns
+      .map(
+        (turn) => `
+    <section class="turn">
+      <div class="role">${escape(this.getTurnHeading(turn.index, turn.branch))}</div>
+      <div class="user">${escape(turn.user.text)}</div>
+      ${turn.assistant ? `<div class="role">${i18n.t('exportReply')}</div>\n      <div class="assistant">${turn.assistant.html || escape(turn.assistant.text)}</div>` : ''}
+    </section>`
+      )
+      .join('\n');
+    const alternatives = conversation.alternatives
+      .map(
+        (alternative) => `
+    <section class="branch">
+      <h3>${escape(i18n.t('exportBranchFrom', [alternative.index + 1, this.getBranchLabel(alternative.branch) || i18n.t('branchOther')]))}</h3>
+      ${alternative.nodes
+        .map(
+          (node) => `<div class="role">${escape(this.getTurnHeading(node.depth, node.branch))}</div>
+      <div class="user">${escape(node.userText)}</div>
+      ${node.assistantText ? `<div class="role">${i18n.t('exportReply')}</div>\n      <div class="assistant plain">${escape(node.assistantText)}</div>` : ''}`
+        )
+        .join('\n      ')}
+    </section>`
+      )
+      .join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="${i18n.getLanguage().replace('_', '-')}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escape(conversation.title)}</title>
+  <style>
+    body { max-width: 860px; margin: 0 auto; padding: 24px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Helvetica Neue', sans-serif; font-size: 15px; line-height: 1.6; color: #333333; }
+    header { border-bottom: 1px solid #e5e5e5; margin-bottom: 24px; }
+    header p { color: #666666; font-size: 13px; margin: 4px 0; }
+    .turn { border-bottom: 1px solid #e5e5e5; padding: 16px 0; }
+    .role { font-weight: 600; color: #10a37f; margin: 12px 0 6px; }
+    .user { white-space: pre-wrap; background-color: #f5f5f5; border-radius: 6px; padding: 10px 12px; }
+    pre { background-color: #1e1e1e; color: #e0e0e0; border-radius: 6px; padding: 12px; overflow-x: auto; }
+    code { font-family: 'SFMono-Regular', Consolas, 'Liberation Mono', Menlo, monospace; font-size: 13px; }
+    table { border-collapse: collapse; }
+    th, td { border: 1px solid #e5e5e5; padding: 6px 10px; }
+    blockquote { border-left: 3px solid #e5e5e5; margin: 0; padding-left: 12px; color: #666666; }
+    .branch { border-left: 3px solid #1a73e8; margin: 16px 0; padding-left: 16px; }
+    .assistant.plain { white-space: pre-wrap; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escape(conversation.title || conversation.platform.name)}</h1>
+    <p>${escape(i18n.t('exportPlatform', conversation.platform.name))}</p>
+    <p>${i18n.t('exportLink', `<a href="${escape(conversation.url)}">${escape(conversation.url)}</a>`)}</p>
+    <p>${escape(i18n.t('exportTime', conversation.exportedAt))}</p>
+  </header>
+  <main>
+${turns}
+${alternatives ? `    <h2>${i18n.t('exportOtherBranches')}</h2>\n${alternatives}` : ''}
+  </main>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * 生成指定格式的导出文件
+   * @param {string} format - 'markdown' | 'json' | 'html'
+   * @returns {Object} { filename, mimeType, content }
+   */
+  exportAs(format) {
+    const spec = ConversationExporter.FORMATS[format];
+    if (!spec) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    const conversation = this.buildConversation();
+    const serializers = {
+      markdown: () => this.toMarkdown(conversation),
+      json: () => this.toJSON(conversation),
+      html: () => this.toHTML(conversation)
+    };
+
+    return {
+      filename: `${this.getBaseFilename(conversation)}.${spec.extension}`,
+      mimeType: spec.mimeType,
+      content: serializers[format]()
+    };
+  }
+
+  /**
+   * 导出并触发浏览器下载
+   * @param {string} format - 'markdown' | 'json' | 'html'
+   * @returns {Object} { success, filename, turnCount }
+   */
+  download(format) {
+    // 导出前重新提取，保证内容最新
+    this.messageExtractor.extractMessages();
+
+    const { filename, mimeType, content } = this.exportAs(format);
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    console.log(`Exported conversation as ${filename}`);
+    return { success: true, filename, turnCount: this.messageExtractor.getMessageCount() };
+  }
+
+  /**
+   * 生成文件名（平台-标题-时间）
+   * @param {Object} conversation - 结构化对话数据
+   * @returns {string}
+   */
+  getBaseFilename(conversation) {
+    const title = (conversation.title || 'conversation')
+      .replace(/[\\/:*?"<>|\s]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 60);
+    const time = conversation.exportedAt.slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+    return `${conversation.platform.key}-${title || 'conversation'}-${time}`;
+  }
+
+  /**
+   * 将 DOM 内容转换为 Markdown（保留代码块、列表和表格）
+   * @param {Element} element - 正文元素
+   * @returns {string}
+   */
+  htmlToMarkdown(element) {
+    return this.convertChildren(element, { listDepth: 0 })
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * 转换所有子节点
+   * @param {Node} node - 父节点
+   * @param {Object} context - 转换上下文
+   * @returns {string}
+   */
+  convertChildren(node, context) {
+    return Array.from(node.childNodes)
+      .map((child) => this.convertNode(child, context))
+      .join('');
+  }
+
+  /**
+   * 转换单个节点
+   * @param {Node} node - DOM 节点
+   * @param {Object} context - 转换上下文
+   * @returns {string}
+   */
+  convertNode(node, context) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return node.textContent.replace(/\s+/g, ' ');
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      return '';
+    }
+
+    const tag = node.tagName.toUpperCase();
+    if (ConversationExporter.SKIPPED_TAGS.includes(tag) || node.getAttribute('aria-hidden') === 'true') {
+      return '';
+    }
+
+    const inner = () => this.convertChildren(node, context);
+
+    switch (tag) {
+      case 'H1':
+      case 'H2':
+      case 'H3':
+      case 'H4':
+      case 'H5':
+      case 'H6':
+        return `\n\n${'#'.repeat(Number(tag[1]))} ${inner().trim()}\n\n`;
+      case 'P':
+        return `\n\n${inner().trim()}\n\n`;
+      case 'BR':
+        return '\n';
+      case 'HR':
+        return '\n\n---\n\n';
+      case 'STRONG':
+      case 'B':
+        return `**${inner()}**`;
+      case 'EM':
+      case 'I':
+        return `*${inner()}*`;
+      case 'DEL':
+      case 'S':
+        return `~~${inner()}~~`;
+      case 'CODE':
+        return `\`${node.textContent}\``;
+      case 'PRE':
+        return this.convertCodeBlock(node);
+      case 'A': {
+        const href = node.getAttribute('href');
+        return href ? `[${inner().trim()}](${href})` : inner();
+      }
+      case 'IMG':
+        return `![${node.getAttribute('alt') || ''}](${node.getAttribute('src') || ''})`;
+      case 'UL':
+      case 'OL':
+        return this.convertList(node, context);
+      case 'BLOCKQUOTE':
+        return `\n\n${inner().trim().split('\n').map((line) => `> ${line}`).join('\n')}\n\n`;
+      case 'TABLE':
+        return this.convertTable(node);
+      case 'DIV':
+      case 'SECTION':
+      case 'ARTICLE':
+        return `\n${inner()}\n`;
+      default:
+        return inner();
+    }
+  }
+
+  /**
+   * 转换代码块
+   * @param {Element} pre - pre 元素
+   * @returns {string}
+   */
+  convertCodeBlock(pre) {
+    const code = pre.querySelector('code') || pre;
+    const language = this.messageExtractor.detectCodeLanguage(pre);
+    const text = code.textContent.replace(/\n$/, '');
+    const fence = text.includes('```') ? '````' : '```';
+    return `\n\n${fence}${language}\n${text}\n${fence}\n\n`;
+  }
+
+  /**
+   * 转换列表（支持嵌套）
+   * @param {Element} list - ul/ol 元素
+   * @param {Object} context - 转换上下文
+   * @returns {string}
+   */
+  convertList(list, context) {
+    const ordered = list.tagName.toUpperCase() === 'OL';
+    const start = parseInt(list.getAttribute('start'), 10) || 1;
+    const indent = '  '.repeat(context.listDepth);
+    const childContext = { ...context, listDepth: context.listDepth + 1 };
+
+    const items = Array.from(list.children)
+      .filter((child) => child.tagName.toUpperCase() === 'LI')
+      .map((li, idx) => {
+        const marker = ordered ? `${start + idx}.` : '-';
+        const content = this.convertChildren(li, childContext)
+          .replace(/\n{2,}/g, '\n')
+          .trim();
+        return `${indent}${marker} ${content}`;
+      });
+
+    const block = items.join('\n');
+    return context.listDepth > 0 ? `\n${block}\n` : `\n\n${block}\n\n`;
+  }
+
+  /**
+   * 转换表格为 GFM 表格
+   * @param {Element} table - table 元素
+   * @returns {string}
+   */
+  convertTable(table) {
+    const rows = Array.from(table.querySelectorAll('tr')).map((tr) =>
+      Array.from(tr.children).map((cell) =>
+        this.convertChildren(cell, { listDepth: 0 })
+          .replace(/\s*\n\s*/g, ' ')
+          .replace(/\|/g, '\\|')
+          .trim()
+      )
+    );
+    if (rows.length === 0) return '';
+
+    const columnCount = Math.max(...rows.map((row) => row.length));
+    const pad = (row) => [...row, ...Array(columnCount - row.length).fill('')];
+    const [header, ...body] = rows.map(pad);
+
+    const lines = [
+      `| ${header.join(' | ')} |`,
+      `| ${header.map(() => '---').join(' | ')} |`,
+      ...body.map((row) => `| ${row.join(' | ')} |`)
+    ];
+    return `\n\n${lines.join('\n')}\n\n`;
+  }
+
+  /**
+   * 清理 DOM 内容用于 HTML 导出（移除脚本、按钮和多余属性）
+   * @param {Element} element - 正文元素
+   * @returns {string}
+   */
+  sanitizeHtml(element) {
+    const allowedAttributes = ['href', 'src', 'alt', 'title', 'colspan', 'rowspan', 'start'];
+    const clone = element.cloneNode(true);
+
+    const skippedSelector = ConversationExporter.SKIPPED_TAGS.map((tag) => tag.toLowerCase()).join(', ');
+    clone.querySelectorAll(`${skippedSelector}, [aria-hidden="true"]`).forEach((el) => el.remove());
+
+    [clone, ...clone.querySelectorAll('*')].forEach((el) => {
+      const language = el.tagName.toUpperCase() === 'CODE' ? (el.className || '').toString().match(/(?:language|lang)-[\w+#-]+/) : null;
+      Array.from(el.attributes).forEach((attr) => {
+        const value = attr.value.trim().toLowerCase();
+        if (!allowedAttributes.includes(attr.name) || value.startsWith('javascript:')) {
+          el.removeAttribute(attr.name);
+        }
+      });
+      if (language) {
+        el.setAttribute('class', language[0]);
+      }
+    });
+
+    return clone.innerHTML.trim();
+  }
+
+  /**
+   * HTML 转义
+   * @param {string} text - 原始文本
+   * @returns {string}
+   */
+  escapeHtml(text) {
+    const map = {
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#039;'
+    };
+    return text.replace(/[&<>"']/g, (m) => map[m]);
+  }
+}
+
+// 创建全局实例
+window.conversationExporter = null;
+
+// 在 messageExtractor 初始化后创建实例
+if (window.messageExtractor && window.platformDetector) {
+  window.conversationExporter = new ConversationExporter(window.messageExtractor, window.platformDetector);
+}
@@ -0,0 +1,144 @@
+/**
+ * Conversation Observer Module
+ * 只监听对话容器的 DOM 变化，并将变更记录交给 MessageExtractor 增量处理
+ */
+
+class ConversationObserver {
+  constructor(messageExtractor, platformDetector, onChange) {
+    this.messageExtractor = messageExtractor;
+    this.platformDetector = platformDetector;
+    this.onChange = onChange;
+    this.streamingDetector = window.streamingDetector || null;
+    this.observer = null;
+    this.container = null;
+    this.discoveryTimer = null;
+    this.watchdogTimer = null;
+    this.handleMutations = this.handleMutations.bind(this);
+  }
+
+  /**
+   * 开始监听
+   */
+  start() {
+    this.stop();
+    this.observer = new MutationObserver(this.handleMutations);
+    this.observeContainer();
+
+    // 对话容器可能被宿主页面整体替换，定期检查其是否仍在文档中（开销为常数）
+    this.watchdogTimer = setInterval(() => {
+      if (this.container && !this.container.isConnected) {
+        this.resync();
+      }
+    }, 2000);
+  }
+
+  /**
+   * 停止监听
+   */
+  stop() {
+    this.observer?.disconnect();
+    this.observer = null;
+    this.container = null;
+    clearTimeout(this.discoveryTimer);
+    clearInterval(this.watchdogTimer);
+  }
+
+  /**
+   * 监听对话容器；尚未找到对话时监听 document.body 等待对话出现
+   */
+  observeContainer() {
+    this.observer.disconnect();
+    this.container = this.findContainer();
+    this.observer.observe(this.container || document.body, {
+      childList: true,
+      subtree: true,
+      characterData: false,
+      attributes: false
+    });
+  }
+
+  /**
+   * 查找包含全部对话的最小容器
+   * @returns {Element|null}
+   */
+  findContainer() {
+    const messages = this.messageExtractor.getMessages();
+    const first = messages[0]?.userElement;
+    if (!first?.isConnected) return null;
+
+    // 首条提问与最后一个对话元素的最近公共祖先
+    const lastMessage = messages[messages.length - 1];
+    const last = lastMessage.assistantElement || lastMessage.userElement;
+    if (last !== first) {
+      let ancestor = first.parentElement;
+      while (ancestor && !ancestor.contains(last)) {
+        ancestor = ancestor.parentElement;
+      }
+      if (ancestor && ancestor !== document.body) {
+        return ancestor;
+      }
+    }
+
+    // 只有一个对话元素时无法确定其容器，使用平台配置的滚动容器
+    const selector = this.platformDetector.getPlatformConfig()?.selectors.scrollContainer;
+    let scrollContainer = null;
+    try {
+      scrollContainer = selector ? document.querySelector(selector) : null;
+    } catch (error) {
+      console.warn(`Invalid selector: ${selector}`, error);
+    }
+    if (scrollContainer && scrollContainer !== document.body && scrollContainer.contains(first)) {
+      return scrollContainer;
+    }
+
+    return null;
+  }
+
+  /**
+   * 处理 DOM 变更
+   * @param {Array<MutationRecord>} mutations - 变更记录
+   */
+  handleMutations(mutations) {
+    // 尚未匹配到对话元素：等待页面稳定后做一次完整提取
+    if (!this.messageExtractor.isTracking()) {
+      if (mutations.some((mutation) => mutation.addedNodes.length > 0)) {
+        clearTimeout(this.discoveryTimer);
+        this.discoveryTimer = setTimeout(() => this.resync(), 500);
+      }
+      return;
+    }
+
+    // 回答生成中：忽略回答内部的逐字变化，生成结束后由 resync 完整提取一次
+    const streamingElement = this.streamingDetector?.getStreamingElement();
+    const relevant = streamingElement ? mutations.filter((mutation) => !streamingElement.contains(mutation.target)) : mutations;
+    if (relevant.length === 0) return;
+
+    const changes = this.messageExtractor.applyMutations(relevant);
+    if (!changes) return;
+
+    // 仍在监听整个页面时，尝试收窄到对话容器
+    if (!this.container) {
+      this.observeContainer();
+    }
+
+    this.onChange?.(changes);
+  }
+
+  /**
+   * 完整重新提取并重新确定对话容器
+   */
+  resync() {
+    this.messageExtractor.extractMessages();
+    if (this.observer) {
+      this.observeContainer();
+    }
+    this.onChange?.({ resync: true });
+  }
+}
+
+// 创建全局实例
+window.conversationObserver = null;
+
+if (window.messageExtractor && window.platformDetector) {
+  window.conversationObserver = new ConversationObserver(window.messageExtractor, window.platformDetector);
+}
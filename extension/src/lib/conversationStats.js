@@ -0,0 +1,220 @@
+/**
+ * Conversation Stats Module
+ * 用于统计当前对话的字数、词数和估算 token 数，判断是否接近模型的上下文上限
+ * 同时在 content script（计算）和 popup（模型列表）中使用
+ */
+
+class ConversationStats {
+  constructor(messageExtractor, platformDetector) {
+    this.messageExtractor = messageExtractor;
+    this.platformDetector = platformDetector;
+    this.storageKey = 'statsModels';
+    this.models = {}; // 平台 key → 选择的模型
+  }
+
+  /**
+   * 模型的 token 估算参数（按分词器特点近似，非精确计数）
+   * charsPerToken: 非 CJK 文本平均每个 token 的字符数
+   * cjkTokensPerChar: 每个中日韩字符平均占用的 token 数
+   */
+  static get MODELS() {
+    return {
+      'gpt-4o': { name: i18n.t('modelGpt4o'), contextWindow: 128000, charsPerToken: 4, cjkTokensPerChar: 0.8 },
+      'gpt-4': { name: 'GPT-4 / GPT-3.5', contextWindow: 128000, charsPerToken: 4, cjkTokensPerChar: 1.2 },
+      claude: { name: 'Claude', contextWindow: 200000, charsPerToken: 3.5, cjkTokensPerChar: 1.2 },
+      gemini: { name: 'Gemini', contextWindow: 1000000, charsPerToken: 4, cjkTokensPerChar: 0.8 },
+      deepseek: { name: 'DeepSeek', contextWindow: 128000, charsPerToken: 3.8, cjkTokensPerChar: 0.6 },
+      qwen: { name: i18n.t('modelQwen'), contextWindow: 128000, charsPerToken: 3.8, cjkTokensPerChar: 0.7 },
+      kimi: { name: 'Kimi', contextWindow: 128000, charsPerToken: 3.8, cjkTokensPerChar: 0.7 },
+      doubao: { name: i18n.t('modelDoubao'), contextWindow: 128000, charsPerToken: 3.8, cjkTokensPerChar: 0.7 }
+    };
+  }
+
+  /**
+   * 各平台默认使用的模型
+   */
+  static get PLATFORM_MODELS() {
+    return {
+      chatgpt: 'gpt-4o',
+      claude: 'claude',
+      gemini: 'gemini',
+      deepseek: 'deepseek',
+      qwen: 'qwen',
+      kimi: 'kimi',
+      doubao: 'doubao'
+    };
+  }
+
+  /**
+   * 单轮长度分布的分段上限（估算 token 数）
+   */
+  static get HISTOGRAM_BUCKETS() {
+    return [100, 500, 1000, 2000, 5000];
+  }
+
+  /**
+   * 达到上下文窗口的该比例时提示接近上限
+   */
+  static get WARNING_RATIO() {
+    return 0.8;
+  }
+
+  /**
+   * 统计一段文本
+   * 字符数按 Unicode 字符计；词数为拉丁词数加中日韩字符数；
+   * token 数为非中日韩文本按字符数折算加中日韩字符按个数折算
+   * @param {string} text - 文本
+   * @param {Object} model - MODELS 中的模型参数
+   * @returns {Object} { characters, words, tokens }
+   */
+  static measure(text, model) {
+    if (!text) {
+      return { characters: 0, words: 0, tokens: 0 };
+    }
+
+    const cjkPattern = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/g;
+    const cjkCount = (text.match(cjkPattern) || []).length;
+    const latinWords = (text.match(/[A-Za-z0-9\u00c0-\u024f]+(?:['\u2019-][A-Za-z0-9\u00c0-\u024f]+)*/g) || []).length;
+    const otherLength = text.replace(cjkPattern, '').replace(/\s+/g, ' ').trim().length;
+
+    return {
+      characters: Array.from(text).length,
+      words: latinWords + cjkCount,
+      tokens: Math.ceil(otherLength / model.charsPerToken + cjkCount * model.cjkTokensPerChar)
+    };
+  }
+
+  /**
+   * 格式化 token 数（1.2k、35k、1M）
+   * @param {number} count - 数量
+   * @returns {string}
+   */
+  static formatCount(count) {
+    if (count >= 1000000) return `${parseFloat((count / 1000000).toFixed(1))}M`;
+    if (count >= 10000) return `${Math.round(count / 1000)}k`;
+    if (count >= 1000) return `${parseFloat((count / 1000).toFixed(1))}k`;
+    return String(count);
+  }
+
+  /**
+   * 当前平台的 key
+   * @returns {string}
+   */
+  getPlatformKey() {
+    return this.platformDetector.getPlatformConfig()?.key || 'unknown';
+  }
+
+  /**
+   * 从 storage 加载各平台选择的模型
+   * @returns {Promise<Object>}
+   */
+  load() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([this.storageKey], (result) => {
+        this.models = result[this.storageKey] || {};
+        resolve(this.models);
+      });
+    });
+  }
+
+  /**
+   * 获取当前平台使用的模型 key
+   * @returns {string}
+   */
+  getModelKey() {
+    const platformKey = this.getPlatformKey();
+    const saved = this.models[platformKey];
+    if (saved && ConversationStats.MODELS[saved]) return saved;
+    return ConversationStats.PLATFORM_MODELS[platformKey] || 'gpt-4o';
+  }
+
+  /**
+   * 设置当前平台使用的模型并保存
+   * @param {string} modelKey - MODELS 中的模型 key
+   */
+  setModel(modelKey) {
+    if (!ConversationStats.MODELS[modelKey]) return;
+
+    this.models = { ...this.models, [this.getPlatformKey()]: modelKey };
+    chrome.storage.local.set({ [this.storageKey]: this.models });
+  }
+
+  /**
+   * 计算当前对话的统计信息（纯数据，可直接发送给 popup）
+   * @returns {Object} { model, totals, contextUsage, turns, longestPrompts, histogram }
+   */
+  compute() {
+    const modelKey = this.getModelKey();
+    const model = ConversationStats.MODELS[modelKey];
+    const messages = this.messageExtractor.getMessages();
+
+    const turns = messages.map((msg, index) => {
+      const user = ConversationStats.measure(msg.userText, model);
+      const assistant = ConversationStats.measure(msg.assistantText, model);
+      const codeBlocks = this.messageExtractor.getOutline(msg).filter((entry) => entry.type === 'code').length;
+      return {
+        index,
+        preview: msg.preview,
+        user,
+        assistant,
+        codeBlocks,
+        tokens: user.tokens + assistant.tokens
+      };
+    });
+
+    const totals = turns.reduce(
+      (sum, turn) => ({
+        turns: sum.turns + 1,
+        characters: sum.characters + turn.user.characters + turn.assistant.characters,
+        words: sum.words + turn.user.words + turn.assistant.words,
+        tokens: sum.tokens + turn.tokens,
+        userTokens: sum.userTokens + turn.user.tokens,
+        assistantTokens: sum.assistantTokens + turn.assistant.tokens,
+        codeBlocks: sum.codeBlocks + turn.codeBlocks
+      }),
+      { turns: 0, characters: 0, words: 0, tokens: 0, userTokens: 0, assistantTokens: 0, codeBlocks: 0 }
+    );
+
+    const longestPrompts = [...turns]
+      .sort((a, b) => b.user.characters - a.user.characters)
+      .slice(0, 5)
+      .map((turn) => ({ index: turn.index, preview: turn.preview, characters: turn.user.characters, tokens: turn.user.tokens }));
+
+    return {
+      model: { key: modelKey, name: model.name, contextWindow: model.contextWindow },
+      totals,
+      contextUsage: totals.tokens / model.contextWindow,
+      turns,
+      longestPrompts,
+      histogram: this.buildHistogram(turns)
+    };
+  }
+
+  /**
+   * 按单轮估算 token 数统计长度分布
+   * @param {Array} turns - 每轮统计
+   * @returns {Array} [{ label, count }]
+   */
+  buildHistogram(turns) {
+    const limits = ConversationStats.HISTOGRAM_BUCKETS;
+    const buckets = [...limits, Infinity].map((limit, idx) => ({
+      label: limit === Infinity
+        ? `≥${ConversationStats.formatCount(limits[idx - 1])}`
+        : `${idx === 0 ? '<' : `${ConversationStats.formatCount(limits[idx - 1])}–`}${ConversationStats.formatCount(limit)}`,
+      count: 0
+    }));
+
+    turns.forEach((turn) => {
+      const bucket = limits.findIndex((limit) => turn.tokens < limit);
+      buckets[bucket === -1 ? limits.length : bucket].count++;
+    });
+    return buckets;
+  }
+}
+
+// 创建全局实例
+window.conversationStats = null;
+
+if (window.messageExtractor && window.platformDetector) {
+  window.conversationStats = new ConversationStats(window.messageExtractor, window.platformDetector);
+}
@@ -0,0 +1,230 @@
+/**
+ * Diagnostics Panel Module
+ * 侧边栏中的选择器诊断视图：显示每条选择器链的匹配情况，并支持选取元素生成选择器
+ */
+
+class DiagnosticsPanel {
+  constructor(selectorDiagnostics, elementPicker, platformDetector, onSelectorsChanged) {
+    this.selectorDiagnostics = selectorDiagnostics;
+    this.elementPicker = elementPicker;
+    this.platformDetector = platformDetector;
+    this.onSelectorsChanged = onSelectorsChanged;
+    this.container = null;
+    this.suggestions = null;
+    this.status = '';
+  }
+
+  /**
+   * 可通过选取元素生成选择器的角色
+   */
+  static get PICKABLE_ROLES() {
+    return ['userMessage', 'assistantMessage', 'inputBox', 'sendButton'];
+  }
+
+  /**
+   * 挂载到侧边栏容器
+   * @param {Element} container - 视图容器
+   */
+  mount(container) {
+    this.container = container;
+    container.innerHTML = `
+      <div class="aichathelper-diagnostics-toolbar">
+        <button data-action="probe">${i18n.t('diagProbe')}</button>
+        <button data-action="pick" data-role="userMessage">${i18n.t('diagPickUserMessage')}</button>
+        <button data-action="pick" data-role="assistantMessage">${i18n.t('diagPickAssistantMessage')}</button>
+      </div>
+      <div class="aichathelper-diagnostics-body"></div>
+    `;
+
+    container.addEventListener('click', (e) => this.handleClick(e));
+  }
+
+  /**
+   * 处理按钮点击
+   * @param {Event} e - 点击事件
+   */
+  handleClick(e) {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+
+    switch (button.dataset.action) {
+      case 'probe':
+        this.render();
+        break;
+      case 'pick':
+        this.startPicking(button.dataset.role);
+        break;
+      case 'save':
+        this.saveSuggestion(this.suggestions.role, button.dataset.selector);
+        break;
+      case 'dismiss':
+        this.suggestions = null;
+        this.render();
+        break;
+    }
+  }
+
+  /**
+   * 开始选取页面元素
+   * @param {string} role - 选择器名称
+   */
+  startPicking(role) {
+    this.setStatus(i18n.t('diagPickHint', this.getRoleLabel(role)));
+
+    this.elementPicker.start({
+      ignore: (element) => Boolean(window.shadowHost?.contains(element) || element.closest('#aichathelper-sidebar')),
+      onPick: (element) => {
+        const selectors = ElementPicker.suggestSelectors(element, role);
+        this.suggestions = { role, selectors };
+        this.setStatus(selectors.length > 0 ? '' : i18n.t('diagNoSuggestion'));
+      },
+      onCancel: () => this.setStatus('')
+    });
+  }
+
+  /**
+   * 保存选中的选择器为平台覆盖配置
+   * @param {string} role - 选择器名称
+   * @param {string} selector - 选择器
+   */
+  async saveSuggestion(role, selector) {
+    try {
+      await this.platformDetector.overrideSelector(role, selector);
+      this.suggestions = null;
+      this.setStatus(i18n.t('diagSaved', [this.getRoleLabel(role), selector]));
+      this.onSelectorsChanged?.();
+    } catch (error) {
+      console.error('Failed to save selector override:', error);
+      this.setStatus(i18n.t('saveFailed', error.message));
+    }
+  }
+
+  /**
+   * 设置状态提示并重新渲染
+   * @param {string} text - 提示文本
+   */
+  setStatus(text) {
+    this.status = text;
+    this.render();
+  }
+
+  /**
+   * 获取角色名称
+   * @param {string} role - 选择器名称
+   * @returns {string}
+   */
+  getRoleLabel(role) {
+    return SelectorDiagnostics.ROLES.find((item) => item.key === role)?.label || role;
+  }
+
+  /**
+   * 渲染诊断信息
+   */
+  render() {
+    if (!this.container) return;
+
+    const body = this.container.querySelector('.aichathelper-diagnostics-body');
+    const report = this.selectorDiagnostics.probe();
+
+    body.innerHTML = `
+      ${this.status ? `<div class="aichathelper-library-status">${this.escapeHtml(this.status)}</div>` : ''}
+      ${this.renderSuggestions()}
+      ${report.map((entry) => this.renderEntry(entry)).join('')}
+    `;
+  }
+
+  /**
+   * 渲染选择器建议
+   * @returns {string} HTML
+   */
+  renderSuggestions() {
+    if (!this.suggestions || this.suggestions.selectors.length === 0) return '';
+
+    const items = this.suggestions.selectors
+      .map(
+        (item) => `
+        <li>
+          <code>${this.escapeHtml(item.selector)}</code>
+          <span class="aichathelper-diag-count">${item.count}</span>
+          <button data-action="save" data-selector="${this.escapeHtml(item.selector)}">${i18n.t('diagUse')}</button>
+        </li>`
+      )
+      .join('');
+
+    return `
+      <div class="aichathelper-diag-suggestions">
+        <div class="aichathelper-diag-title">${i18n.t('diagSuggestions', this.escapeHtml(this.getRoleLabel(this.suggestions.role)))}</div>
+        <ol class="aichathelper-diag-chain">${items}</ol>
+        <button data-action="dismiss">${i18n.t('actionClose')}</button>
+      </div>
+    `;
+  }
+
+  /**
+   * 渲染单条选择器链
+   * @param {Object} entry - 诊断信息
+   * @returns {string} HTML
+   */
+  renderEntry(entry) {
+    const ok = entry.matchedIndex >= 0;
+    const matched = entry.selectors[entry.matchedIndex];
+    const selectors = entry.selectors
+      .map(
+        (item, idx) => `
+        <li class="${idx === entry.matchedIndex ? 'matched' : ''} ${item.valid ? '' : 'invalid'}" title="${this.escapeHtml(item.error || '')}">
+          <code>${this.escapeHtml(item.selector)}</code>
+          <span class="aichathelper-diag-count">${item.valid ? item.count : i18n.t('diagInvalid')}</span>
+        </li>`
+      )
+      .join('');
+
+    const lastWorked = entry.lastWorked
+      ? i18n.t('diagLastWorked', [
+          this.formatTime(entry.lastWorked.lastMatchedAt),
+          entry.lastWorked.count,
+          `<code>${this.escapeHtml(entry.lastWorked.selector)}</code>`
+        ])
+      : i18n.t('diagNeverWorked');
+
+    return `
+      <div class="aichathelper-diag-entry ${ok ? 'ok' : 'fail'}">
+        <div class="aichathelper-diag-title">
+          <span>${ok ? '✓' : '✗'} ${this.escapeHtml(entry.label)}</span>
+          <span class="aichathelper-diag-count">${ok ? i18n.t('diagMatchCount', matched.count) : i18n.t('diagUnmatched')}</span>
+        </div>
+        ${entry.selectors.length > 0 ? `<ol class="aichathelper-diag-chain">${selectors}</ol>` : `<div class="aichathelper-diag-meta">${i18n.t('diagNotConfigured')}</div>`}
+        ${entry.fallback ? `<div class="aichathelper-diag-meta">${lastWorked}</div>` : ''}
+        ${DiagnosticsPanel.PICKABLE_ROLES.includes(entry.key) && !ok ? `<button data-action="pick" data-role="${entry.key}">${i18n.t('diagPickElement')}</button>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * 格式化相对时间
+   * @param {number} timestamp - 时间戳
+   * @returns {string}
+   */
+  formatTime(timestamp) {
+    const seconds = Math.round((Date.now() - timestamp) / 1000);
+    if (seconds < 60) return i18n.t('timeJustNow');
+    if (seconds < 3600) return i18n.t('timeMinutesAgo', Math.floor(seconds / 60));
+    if (seconds < 86400) return i18n.t('timeHoursAgo', Math.floor(seconds / 3600));
+    return new Date(timestamp).toLocaleString();
+  }
+
+  /**
+   * HTML 转义
+   * @param {string} text - 原始文本
+   * @returns {string}
+   */
+  escapeHtml(text) {
+    const map = {
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#039;'
+    };
+    return String(text).replace(/[&<>"']/g, (m) => map[m]);
+  }
+}
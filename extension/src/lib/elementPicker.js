@@ -0,0 +1,281 @@
+/**
+ * Element Picker Module
+ * 交互式选取页面元素，并为其生成稳定的 CSS 选择器建议
+ */
+
+class ElementPicker {
+  constructor() {
+    this.active = false;
+    this.overlay = null;
+    this.label = null;
+    this.options = null;
+    this.handleMove = this.handleMove.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+    this.handleKeydown = this.handleKeydown.bind(this);
+    this.blockEvent = this.blockEvent.bind(this);
+  }
+
+  /**
+   * 各类选择器的提示词（出现在选择器中时提高得分）
+   */
+  static get ROLE_HINTS() {
+    return {
+      userMessage: ['user', 'human', 'query', 'question', 'prompt', 'request'],
+      assistantMessage: ['assistant', 'bot', 'ai', 'answer', 'response', 'model', 'markdown']
+    };
+  }
+
+  /**
+   * 开始选取
+   * @param {Object} options - { ignore(element) => boolean, onPick(element), onCancel() }
+   */
+  start(options) {
+    if (this.active) this.stop();
+
+    this.active = true;
+    this.options = options;
+
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'aichathelper-picker-overlay';
+    this.label = document.createElement('div');
+    this.label.className = 'aichathelper-picker-label';
+    document.body.append(this.overlay, this.label);
+
+    document.addEventListener('mousemove', this.handleMove, true);
+    document.addEventListener('click', this.handleClick, true);
+    document.addEventListener('keydown', this.handleKeydown, true);
+    ['mousedown', 'mouseup', 'pointerdown', 'pointerup'].forEach((type) => {
+      document.addEventListener(type, this.blockEvent, true);
+    });
+  }
+
+  /**
+   * 结束选取
+   */
+  stop() {
+    if (!this.active) return;
+
+    this.active = false;
+    this.overlay?.remove();
+    this.label?.remove();
+    this.overlay = null;
+    this.label = null;
+
+    document.removeEventListener('mousemove', this.handleMove, true);
+    document.removeEventListener('click', this.handleClick, true);
+    document.removeEventListener('keydown', this.handleKeydown, true);
+    ['mousedown', 'mouseup', 'pointerdown', 'pointerup'].forEach((type) => {
+      document.removeEventListener(type, this.blockEvent, true);
+    });
+  }
+
+  /**
+   * 是否应忽略该元素（扩展自身的界面）
+   * @param {Element} element
+   * @returns {boolean}
+   */
+  isIgnored(element) {
+    return !element || element === this.overlay || element === this.label || Boolean(this.options?.ignore?.(element));
+  }
+
+  /**
+   * 鼠标移动时高亮悬停元素
+   * @param {MouseEvent} e
+   */
+  handleMove(e) {
+    const target = e.target;
+    if (this.isIgnored(target)) {
+      this.overlay.style.display = 'none';
+      this.label.style.display = 'none';
+      return;
+    }
+
+    const rect = target.getBoundingClientRect();
+    Object.assign(this.overlay.style, {
+      display: 'block',
+      top: `${rect.top}px`,
+      left: `${rect.left}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`
+    });
+
+    this.label.textContent = ElementPicker.describeElement(target);
+    Object.assign(this.label.style, {
+      display: 'block',
+      top: `${Math.max(0, rect.top - 22)}px`,
+      left: `${rect.left}px`
+    });
+  }
+
+  /**
+   * 点击时选中元素
+   * @param {MouseEvent} e
+   */
+  handleClick(e) {
+    if (this.isIgnored(e.target)) return;
+
+    e.preventDefault();
+    e.stopImmediatePropagation();
+
+    const { onPick } = this.options;
+    this.stop();
+    onPick?.(e.target);
+  }
+
+  /**
+   * Escape 取消选取
+   * @param {KeyboardEvent} e
+   */
+  handleKeydown(e) {
+    if (e.key !== 'Escape') return;
+
+    e.preventDefault();
+    e.stopImmediatePropagation();
+
+    const { onCancel } = this.options;
+    this.stop();
+    onCancel?.();
+  }
+
+  /**
+   * 阻止选取过程中的按下事件触发宿主页面逻辑
+   * @param {Event} e
+   */
+  blockEvent(e) {
+    if (!this.isIgnored(e.target)) {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+    }
+  }
+
+  /**
+   * 生成元素的简短描述（tag#id.class）
+   * @param {Element} element
+   * @returns {string}
+   */
+  static describeElement(element) {
+    const id = element.id ? `#${element.id}` : '';
+    const classes = Array.from(element.classList).slice(0, 2).map((cls) => `.${cls}`).join('');
+    return `${element.tagName.toLowerCase()}${id}${classes}`;
+  }
+
+  /**
+   * 判断 class / id / 属性值是否稳定（排除哈希、数字序列和原子化样式）
+   * @param {string} token
+   * @returns {boolean}
+   */
+  static isStableToken(token) {
+    return (
+      token.length > 0 &&
+      token.length <= 40 &&
+      !/\d{3,}/.test(token) &&
+      !/[:[\]/()!@%.#]/.test(token) &&
+      !/^[a-f0-9]{6,}$/i.test(token) &&
+      !/__[\w-]{5}$/.test(token) &&
+      !/^(css|sc|jsx|svelte|emotion)-/.test(token) &&
+      !/^_/.test(token)
+    );
+  }
+
+  /**
+   * 为单个元素生成候选选择器
+   * @param {Element} element
+   * @returns {Array<string>}
+   */
+  static candidateSelectors(element) {
+    const tag = element.tagName.toLowerCase();
+    const candidates = [];
+
+    for (const attr of Array.from(element.attributes)) {
+      const isDataAttr = attr.name.startsWith('data-') && !attr.name.startsWith('data-v-');
+      if ((isDataAttr || attr.name === 'role') && ElementPicker.isStableToken(attr.value)) {
+        candidates.push(`[${attr.name}="${CSS.escape(attr.value)}"]`);
+        candidates.push(`${tag}[${attr.name}="${CSS.escape(attr.value)}"]`);
+      }
+    }
+
+    if (element.id && ElementPicker.isStableToken(element.id)) {
+      candidates.push(`#${CSS.escape(element.id)}`);
+    }
+
+    const classes = Array.from(element.classList).filter((cls) => ElementPicker.isStableToken(cls));
+    classes.forEach((cls) => candidates.push(`${tag}.${CSS.escape(cls)}`));
+    if (classes.length >= 2) {
+      candidates.push(`${tag}.${CSS.escape(classes[0])}.${CSS.escape(classes[1])}`);
+    }
+
+    return candidates;
+  }
+
+  /**
+   * 为选中的元素（及其祖先）生成排序后的选择器建议
+   * @param {Element} element - 选中的元素
+   * @param {string} role - 选择器名称，用于提示词加分
+   * @param {number} limit - 返回数量
+   * @returns {Array<Object>} { selector, count, depth }
+   */
+  static suggestSelectors(element, role, limit = 5) {
+    const hints = ElementPicker.ROLE_HINTS[role] || [];
+    const suggestions = new Map();
+    let node = element;
+    let depth = 0;
+
+    while (node && node !== document.body && depth < 8) {
+      for (const selector of ElementPicker.candidateSelectors(node)) {
+        if (suggestions.has(selector)) continue;
+
+        let matches;
+        try {
+          matches = Array.from(document.querySelectorAll(selector));
+        } catch (error) {
+          continue;
+        }
+        if (!matches.includes(node)) continue;
+
+        suggestions.set(selector, {
+          selector,
+          count: matches.length,
+          depth,
+          score: ElementPicker.scoreSelector(selector, matches, depth, hints)
+        });
+      }
+      node = node.parentElement;
+      depth++;
+    }
+
+    return [...suggestions.values()]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ selector, count, depth: level }) => ({ selector, count, depth: level }));
+  }
+
+  /**
+   * 为候选选择器打分
+   * @param {string} selector - 选择器
+   * @param {Array<Element>} matches - 匹配的元素
+   * @param {number} depth - 相对选中元素的层级
+   * @param {Array<string>} hints - 角色提示词
+   * @returns {number}
+   */
+  static scoreSelector(selector, matches, depth, hints) {
+    let score = 0;
+    const lower = selector.toLowerCase();
+
+    if (selector.includes('[data-') || selector.includes('[role=')) score += 30;
+    if (selector.startsWith('#')) score -= 10; // 对话气泡会重复出现，id 通常只匹配一个
+    if (hints.some((hint) => lower.includes(hint))) score += 25;
+    if (matches.length > 1) score += 10;
+    if (matches.length > 200) score -= 30;
+    score -= depth * 5;
+    score -= selector.split(/[.[]/).length - 2; // 越简单越稳定
+
+    // 匹配结果互相嵌套时，说明选择器过于宽泛
+    const nested = matches.length <= 200 && matches.some((el) => matches.some((other) => other !== el && el.contains(other)));
+    if (nested) score -= 20;
+
+    return score;
+  }
+}
+
+// 创建全局实例
+window.elementPicker = new ElementPicker();
@@ -0,0 +1,138 @@
+/**
+ * History Recorder Module
+ * 将当前对话中新增或变化的轮次发送给 Service Worker，写入跨对话历史索引
+ */
+
+class HistoryRecorder {
+  constructor(messageExtractor, platformDetector) {
+    this.messageExtractor = messageExtractor;
+    this.platformDetector = platformDetector;
+    this.branchTracker = window.branchTracker || null;
+    this.sent = new Map(); // hash → 已发送时的消息状态
+    this.conversation = null;
+    this.flushTimer = null;
+  }
+
+  /**
+   * 合并短时间内的多次变化（回答逐字输出时不会频繁写入）
+   */
+  static get FLUSH_DELAY() {
+    return 3000;
+  }
+
+  /**
+   * 发送的回答摘要长度（与 HistoryStore 保存的长度一致）
+   */
+  static get ANSWER_PREVIEW_LENGTH() {
+    return 300;
+  }
+
+  /**
+   * 开始记录当前对话（切换对话后需要重新调用）
+   * 尚未分配对话 ID 的新对话页面不记录，待站点跳转到对话地址后再记录
+   */
+  reset() {
+    clearTimeout(this.flushTimer);
+    this.sent.clear();
+    this.conversation = this.platformDetector.hasConversationId()
+      ? {
+        conversationId: this.platformDetector.getConversationId(),
+        url: window.location.href,
+        title: document.title
+      }
+      : null;
+  }
+
+  /**
+   * 消息列表变化后延迟发送
+   */
+  schedule() {
+    if (!this.conversation) return;
+
+    // 标题通常在对话首轮完成后才更新
+    this.conversation.title = document.title;
+
+    clearTimeout(this.flushTimer);
+    this.flushTimer = setTimeout(() => this.flush(), HistoryRecorder.FLUSH_DELAY);
+  }
+
+  /**
+   * 立即发送尚未发送的变化（切换对话前调用，确保使用旧对话的 ID）
+   */
+  flush() {
+    clearTimeout(this.flushTimer);
+
+    const platform = this.platformDetector.getPlatformConfig();
+    const messages = this.messageExtractor.getMessages();
+    if (!platform || !this.conversation || messages.length === 0) return;
+
+    const entries = this.getEntries(messages);
+    const turns = entries
+      .filter((entry) => this.sent.get(entry.turn.hash) !== entry.state)
+      .map((entry) => entry.turn);
+    const hashes = entries.map((entry) => entry.turn.hash);
+
+    // 没有变化的轮次，且没有轮次被删除
+    if (turns.length === 0 && hashes.length === this.sent.size) return;
+
+    const record = {
+      platform: platform.key,
+      platformName: platform.name,
+      ...this.conversation,
+      turns,
+      hashes
+    };
+
+    chrome.runtime.sendMessage({ action: 'recordHistory', record }, () => {
+      if (chrome.runtime.lastError) {
+        console.warn('Failed to record history:', chrome.runtime.lastError.message);
+      }
+    });
+
+    this.sent.clear();
+    entries.forEach((entry) => this.sent.set(entry.turn.hash, entry.state));
+  }
+
+  /**
+   * 需要写入的轮次及其状态
+   * 有分支记录时写入分支树中的所有节点（包括当前未显示的分支），否则写入当前消息列表
+   * @param {Array} messages - 当前消息列表
+   * @returns {Array} [{ turn, state }]
+   */
+  getEntries(messages) {
+    const answer = (text) => text.slice(0, HistoryRecorder.ANSWER_PREVIEW_LENGTH);
+
+    if (this.branchTracker) {
+      this.branchTracker.record();
+      return this.branchTracker.getNodes().map((node) => ({
+        turn: {
+          hash: node.key,
+          index: node.depth,
+          userText: node.userText,
+          assistantText: answer(node.assistantText),
+          parentKey: node.parentKey,
+          branch: node.branch,
+          current: node.current
+        },
+        state: `${node.revision}:${node.depth}`
+      }));
+    }
+
+    return messages.map((msg) => ({
+      turn: {
+        hash: msg.hash,
+        index: msg.index,
+        userText: msg.userText,
+        assistantText: answer(msg.assistantText)
+      },
+      state: `${msg.id}:${msg.version}:${msg.index}`
+    }));
+  }
+}
+
+// 创建全局实例
+window.historyRecorder = null;
+
+if (window.messageExtractor && window.platformDetector) {
+  window.historyRecorder = new HistoryRecorder(window.messageExtractor, window.platformDetector);
+}
@@ -0,0 +1,262 @@
+/**
+ * History Store Module
+ * 基于 IndexedDB 的跨对话提问索引（Service Worker 写入，历史记录页面查询）
+ */
+
+class HistoryStore {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  static get DB_NAME() {
+    return 'aichathelper-history';
+  }
+
+  static get DB_VERSION() {
+    return 1;
+  }
+
+  /**
+   * 每轮对话保存的回答摘要长度
+   */
+  static get ANSWER_PREVIEW_LENGTH() {
+    return 300;
+  }
+
+  /**
+   * 生成对话的主键
+   * @param {string} platform - 平台 key
+   * @param {string} conversationId - 对话 ID
+   * @returns {string}
+   */
+  static conversationKey(platform, conversationId) {
+    return `${platform}:${conversationId}`;
+  }
+
+  /**
+   * 打开数据库（首次调用时创建对象仓库）
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(HistoryStore.DB_NAME, HistoryStore.DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+
+          const conversations = db.createObjectStore('conversations', { keyPath: 'key' });
+          conversations.createIndex('updatedAt', 'updatedAt');
+
+          const turns = db.createObjectStore('turns', { keyPath: 'id' });
+          turns.createIndex('conversationKey', 'conversationKey');
+          turns.createIndex('askedAt', 'askedAt');
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * 将 IDBRequest 包装为 Promise
+   * @param {IDBRequest} request
+   * @returns {Promise<any>}
+   */
+  static promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * 保存一个对话的提问
+   * @param {Object} record - { platform, platformName, conversationId, url, title, turns, hashes }
+   *   turns 为新增或变化的轮次 [{ hash, index, userText, assistantText }]，
+   *   hashes 为对话当前全部轮次的 hash，不在其中的已保存轮次会被删除
+   * @returns {Promise<void>}
+   */
+  async saveConversation(record) {
+    const db = await this.open();
+    const key = HistoryStore.conversationKey(record.platform, record.conversationId);
+    const now = Date.now();
+
+    const tx = db.transaction(['conversations', 'turns'], 'readwrite');
+    const conversations = tx.objectStore('conversations');
+    const turns = tx.objectStore('turns');
+
+    const existing = await HistoryStore.promisify(conversations.get(key));
+    conversations.put({
+      key,
+      platform: record.platform,
+      platformName: record.platformName,
+      conversationId: record.conversationId,
+      url: record.url,
+      title: record.title,
+      turnCount: record.hashes.length,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    });
+
+    // 删除已不在对话中的轮次，并保留仍存在的轮次首次出现的时间
+    // 其他分支中的轮次（current 为 false）不会出现在重新打开页面后的记录中，予以保留
+    const storedTurns = await HistoryStore.promisify(turns.index('conversationKey').getAll(key));
+    const current = new Set(record.hashes);
+    const askedAt = {};
+    storedTurns.forEach((turn) => {
+      if (current.has(turn.hash)) {
+        askedAt[turn.hash] = turn.askedAt;
+      } else if (turn.current !== false) {
+        turns.delete(turn.id);
+      }
+    });
+
+    record.turns.forEach((turn) => {
+      turns.put({
+        id: `${key}:${turn.hash}`,
+        conversationKey: key,
+        platform: record.platform,
+        hash: turn.hash,
+        index: turn.index,
+        userText: turn.userText,
+        assistantPreview: (turn.assistantText || '').slice(0, HistoryStore.ANSWER_PREVIEW_LENGTH),
+        parentKey: turn.parentKey || null,
+        branch: turn.branch || null,
+        current: turn.current !== false,
+        askedAt: askedAt[turn.hash] || now,
+        updatedAt: now
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * 搜索提问（按提问时间倒序）
+   * @param {Object} options - { query, platform, from, to, limit, offset }
+   *   from / to 为时间戳，query 不区分大小写，同时匹配提问和回答摘要
+   * @returns {Promise<Array<Object>>} 提问列表，每项附带 conversation 信息
+   */
+  async search({ query = '', platform = '', from = 0, to = Infinity, limit = 100, offset = 0 } = {}) {
+    const db = await this.open();
+    const tx = db.transaction(['conversations', 'turns'], 'readonly');
+    const needle = query.trim().toLowerCase();
+
+    const conversations = {};
+    (await HistoryStore.promisify(tx.objectStore('conversations').getAll())).forEach((conversation) => {
+      conversations[conversation.key] = conversation;
+    });
+
+    const range = IDBKeyRange.bound(from || 0, Number.isFinite(to) ? to : Number.MAX_SAFE_INTEGER);
+    const results = [];
+    let skipped = 0;
+
+    return new Promise((resolve, reject) => {
+      const request = tx.objectStore('turns').index('askedAt').openCursor(range, 'prev');
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || results.length >= limit) {
+          resolve(results);
+          return;
+        }
+
+        const turn = cursor.value;
+        const matchesPlatform = !platform || turn.platform === platform;
+        const matchesQuery =
+          !needle ||
+          turn.userText.toLowerCase().includes(needle) ||
+          turn.assistantPreview.toLowerCase().includes(needle);
+
+        if (matchesPlatform && matchesQuery) {
+          if (skipped < offset) {
+            skipped++;
+          } else {
+            results.push({ ...turn, conversation: conversations[turn.conversationKey] || null });
+          }
+        }
+        cursor.continue();
+      };
+    });
+  }
+
+  /**
+   * 获取已记录的平台及各平台的对话数量
+   * @returns {Promise<Array<Object>>} { platform, platformName, conversationCount }
+   */
+  async getPlatforms() {
+    const db = await this.open();
+    const conversations = await HistoryStore.promisify(
+      db.transaction('conversations', 'readonly').objectStore('conversations').getAll()
+    );
+
+    const platforms = {};
+    conversations.forEach((conversation) => {
+      const entry = platforms[conversation.platform] || {
+        platform: conversation.platform,
+        platformName: conversation.platformName,
+        conversationCount: 0
+      };
+      entry.conversationCount++;
+      platforms[conversation.platform] = entry;
+    });
+    return Object.values(platforms);
+  }
+
+  /**
+   * 统计记录数量
+   * @returns {Promise<Object>} { conversations, turns }
+   */
+  async count() {
+    const db = await this.open();
+    const tx = db.transaction(['conversations', 'turns'], 'readonly');
+    const [conversations, turns] = await Promise.all([
+      HistoryStore.promisify(tx.objectStore('conversations').count()),
+      HistoryStore.promisify(tx.objectStore('turns').count())
+    ]);
+    return { conversations, turns };
+  }
+
+  /**
+   * 删除一个对话及其全部提问
+   * @param {string} key - 对话主键
+   * @returns {Promise<void>}
+   */
+  async deleteConversation(key) {
+    const db = await this.open();
+    const tx = db.transaction(['conversations', 'turns'], 'readwrite');
+    tx.objectStore('conversations').delete(key);
+
+    const turns = tx.objectStore('turns');
+    const ids = await HistoryStore.promisify(turns.index('conversationKey').getAllKeys(key));
+    ids.forEach((id) => turns.delete(id));
+
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * 清空全部历史记录
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const db = await this.open();
+    const tx = db.transaction(['conversations', 'turns'], 'readwrite');
+    tx.objectStore('conversations').clear();
+    tx.objectStore('turns').clear();
+
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+}
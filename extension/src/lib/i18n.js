@@ -0,0 +1,125 @@
+/**
+ * I18n Module
+ * 界面文本的国际化：默认使用 chrome.i18n（跟随浏览器语言），
+ * 在设置页手动指定语言时改为读取对应的 _locales 语言包
+ * 同时在 content script、弹窗、设置页和历史记录页中使用
+ */
+
+class I18n {
+  constructor() {
+    this.storageKey = 'uiLanguage';
+    this.language = 'auto';
+    this.messages = null; // 手动指定语言时加载的语言包
+  }
+
+  /**
+   * 可选的界面语言（auto 为跟随浏览器）
+   */
+  static get LANGUAGES() {
+    return ['auto', 'zh_CN', 'en'];
+  }
+
+  /**
+   * 读取语言设置，并在手动指定语言时加载对应的语言包
+   * @returns {Promise<string>} 实际使用的语言
+   */
+  async load() {
+    this.language = await new Promise((resolve) => {
+      chrome.storage.sync.get([this.storageKey], (result) => {
+        const language = result[this.storageKey];
+        resolve(I18n.LANGUAGES.includes(language) ? language : 'auto');
+      });
+    });
+
+    this.messages = null;
+    if (this.language !== 'auto') {
+      try {
+        const response = await fetch(chrome.runtime.getURL(`_locales/${this.language}/messages.json`));
+        this.messages = await response.json();
+      } catch (error) {
+        console.error('Failed to load locale messages:', error);
+      }
+    }
+
+    return this.getLanguage();
+  }
+
+  /**
+   * 保存语言设置（已打开的页面刷新后生效）
+   * @param {string} language - LANGUAGES 中的值
+   * @returns {Promise<void>}
+   */
+  setLanguage(language) {
+    return new Promise((resolve) => {
+      chrome.storage.sync.set({ [this.storageKey]: I18n.LANGUAGES.includes(language) ? language : 'auto' }, resolve);
+    });
+  }
+
+  /**
+   * 当前实际使用的语言（auto 时根据浏览器语言判断）
+   * @returns {string} 'zh_CN' 或 'en'
+   */
+  getLanguage() {
+    if (this.language !== 'auto') return this.language;
+    return /^zh/i.test(chrome.i18n.getUILanguage()) ? 'zh_CN' : 'en';
+  }
+
+  /**
+   * 获取文本
+   * @param {string} key - 语言包中的 key
+   * @param {Array|string|number} substitutions - 占位符的值
+   * @returns {string} 找不到时返回 key
+   */
+  t(key, substitutions = []) {
+    const values = (Array.isArray(substitutions) ? substitutions : [substitutions]).map(String);
+    const entry = this.messages?.[key];
+    if (entry) {
+      return I18n.format(entry, values);
+    }
+    return chrome.i18n.getMessage(key, values) || key;
+  }
+
+  /**
+   * 按 chrome.i18n 的规则替换语言包条目中的占位符
+   * @param {Object} entry - { message, placeholders }
+   * @param {Array<string>} values - 占位符的值
+   * @returns {string}
+   */
+  static format(entry, values) {
+    const placeholders = entry.placeholders || {};
+    const resolve = (text) => text.replace(/\$(\d)/g, (match, index) => values[index - 1] ?? '');
+
+    return entry.message
+      .replace(/\$([a-zA-Z0-9_@]+)\$/g, (match, name) => {
+        const placeholder = placeholders[name.toLowerCase()];
+        return placeholder ? resolve(placeholder.content) : match;
+      })
+      .replace(/\$\$/g, '$');
+  }
+
+  /**
+   * 替换页面中带 data-i18n 属性的元素文本
+   * data-i18n: 文本；data-i18n-html: HTML；data-i18n-placeholder / data-i18n-title: 对应属性
+   * @param {Element|Document} root - 根节点
+   */
+  localize(root = document) {
+    if (root === document) {
+      document.documentElement.lang = this.getLanguage().replace('_', '-');
+    }
+    root.querySelectorAll('[data-i18n]').forEach((el) => {
+      el.textContent = this.t(el.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-html]').forEach((el) => {
+      el.innerHTML = this.t(el.dataset.i18nHtml);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach((el) => {
+      el.placeholder = this.t(el.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach((el) => {
+      el.title = this.t(el.dataset.i18nTitle);
+    });
+  }
+}
+
+// 创建全局实例
+window.i18n = new I18n();
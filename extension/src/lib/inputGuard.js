@@ -0,0 +1,280 @@
+/**
+ * Input Guard Module
+ * 检查平台输入框中的提问：输入时提示检测到的敏感信息，发送时拦截，
+ * 由用户选择脱敏、忽略或仍然发送，并写入本地脱敏记录
+ */
+
+class InputGuard {
+  constructor(sensitiveDataDetector, promptInserter, platformDetector) {
+    this.sensitiveDataDetector = sensitiveDataDetector;
+    this.promptInserter = promptInserter;
+    this.platformDetector = platformDetector;
+    this.shadowHost = window.shadowHost || null;
+    this.panel = null;
+    this.findings = [];
+    this.text = '';
+    this.allowedText = null; // 用户确认可以发送的文本
+    this.checkTimer = null;
+    this.isStarted = false;
+    this.handleInput = (e) => this.onInput(e);
+    this.handleKeydown = (e) => this.onKeydown(e);
+    this.handleClick = (e) => this.onClick(e);
+  }
+
+  /**
+   * 停止输入后延迟检查的时长
+   */
+  static get CHECK_DELAY() {
+    return 300;
+  }
+
+  /**
+   * 开始监听输入框（在捕获阶段处理，先于页面自身的发送逻辑）
+   */
+  start() {
+    if (this.isStarted) return;
+    this.isStarted = true;
+    document.addEventListener('input', this.handleInput, true);
+    document.addEventListener('keydown', this.handleKeydown, true);
+    document.addEventListener('click', this.handleClick, true);
+  }
+
+  /**
+   * 停止监听并关闭提示
+   */
+  stop() {
+    this.isStarted = false;
+    document.removeEventListener('input', this.handleInput, true);
+    document.removeEventListener('keydown', this.handleKeydown, true);
+    document.removeEventListener('click', this.handleClick, true);
+    clearTimeout(this.checkTimer);
+    this.hide();
+  }
+
+  /**
+   * 是否启用了输入检查
+   * @returns {boolean}
+   */
+  isEnabled() {
+    const { enabled, guardInput } = this.sensitiveDataDetector.settings;
+    return enabled && guardInput;
+  }
+
+  /**
+   * 事件目标是否位于输入框内
+   * @param {Node} target - 事件目标
+   * @returns {boolean}
+   */
+  isInInputBox(target) {
+    const inputBox = this.promptInserter.getInputBox();
+    return Boolean(inputBox && target && inputBox.contains(target));
+  }
+
+  /**
+   * 读取输入框中的文本
+   * @returns {string}
+   */
+  getText() {
+    const inputBox = this.promptInserter.getInputBox();
+    if (!inputBox) return '';
+    return 'value' in inputBox && typeof inputBox.value === 'string' ? inputBox.value : inputBox.innerText || inputBox.textContent || '';
+  }
+
+  /**
+   * 输入时延迟检查
+   * @param {Event} e - input 事件
+   */
+  onInput(e) {
+    if (!this.isEnabled() || !this.isInInputBox(e.target)) return;
+    clearTimeout(this.checkTimer);
+    this.checkTimer = setTimeout(() => this.check(), InputGuard.CHECK_DELAY);
+  }
+
+  /**
+   * Enter 发送（Shift+Enter 换行、输入法组字中除外）
+   * @param {KeyboardEvent} e - keydown 事件
+   */
+  onKeydown(e) {
+    if (e.key === 'Escape' && this.panel) {
+      this.hide();
+      return;
+    }
+    if (e.key !== 'Enter' || e.shiftKey || e.isComposing || !this.isInInputBox(e.target)) return;
+    this.intercept(e);
+  }
+
+  /**
+   * 点击发送按钮
+   * @param {MouseEvent} e - click 事件
+   */
+  onClick(e) {
+    // 扩展自身发起的发送（对比提问、「仍然发送」）不拦截
+    if (this.promptInserter.sending) return;
+
+    const sendButton = this.promptInserter.getSendButton();
+    if (sendButton && sendButton.contains(e.target)) {
+      this.intercept(e);
+    }
+  }
+
+  /**
+   * 检查输入框，有敏感信息时显示提示（不拦截）
+   */
+  check() {
+    const text = this.getText();
+    const findings = this.isEnabled() && text !== this.allowedText ? this.sensitiveDataDetector.scan(text) : [];
+    if (findings.length > 0) {
+      this.show(text, findings, false);
+    } else {
+      this.hide();
+    }
+  }
+
+  /**
+   * 发送前检查，有未确认的敏感信息时阻止发送
+   * @param {Event} e - 触发发送的事件
+   */
+  intercept(e) {
+    if (!this.isEnabled()) return;
+
+    const text = this.getText();
+    if (text === this.allowedText) return;
+
+    const findings = this.sensitiveDataDetector.scan(text);
+    if (findings.length === 0) return;
+
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    clearTimeout(this.checkTimer);
+    this.show(text, findings, true);
+  }
+
+  /**
+   * 显示提示面板（位于输入框上方）
+   * @param {string} text - 检查的文本
+   * @param {Array} findings - 检测结果
+   * @param {boolean} blocked - 是否拦截了发送
+   */
+  show(text, findings, blocked) {
+    this.text = text;
+    this.findings = findings;
+
+    if (!this.panel) {
+      this.panel = document.createElement('div');
+      this.panel.className = 'aichathelper-guard';
+      this.panel.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (button) this.handleAction(button.dataset.action);
+      });
+      if (this.shadowHost) {
+        this.shadowHost.append(this.panel);
+      } else {
+        document.body.appendChild(this.panel);
+      }
+    }
+
+    this.panel.classList.toggle('blocked', blocked);
+    this.panel.classList.toggle('aichathelper-dark', Boolean(window.sidebarManager?.isDark));
+    this.panel.innerHTML = `
+      <div class="aichathelper-guard-title">⚠ ${i18n.t(blocked ? 'sensitiveBlocked' : 'sensitiveWarning', findings.length)}</div>
+      <ul class="aichathelper-guard-list">
+        ${findings
+          .map(
+            (item) => `
+          <li>
+            <span class="aichathelper-guard-label">${this.escapeHtml(item.label)}</span>
+            <code>${this.escapeHtml(SensitiveDataDetector.mask(item.text))}</code>
+          </li>`
+          )
+          .join('')}
+      </ul>
+      <div class="aichathelper-guard-actions">
+        <button class="aichathelper-guard-btn primary" data-action="redact">${i18n.t('sensitiveRedact')}</button>
+        ${blocked ? `<button class="aichathelper-guard-btn" data-action="send">${i18n.t('sensitiveSendAnyway')}</button>` : ''}
+        <button class="aichathelper-guard-btn" data-action="ignore">${i18n.t('sensitiveIgnore')}</button>
+      </div>
+    `;
+    this.position();
+  }
+
+  /**
+   * 将面板放在输入框上方，与输入框左对齐
+   */
+  position() {
+    const inputBox = this.promptInserter.getInputBox();
+    if (!this.panel || !inputBox) return;
+
+    const rect = inputBox.getBoundingClientRect();
+    this.panel.style.left = `${Math.max(8, rect.left)}px`;
+    this.panel.style.bottom = `${Math.max(8, window.innerHeight - rect.top + 8)}px`;
+    this.panel.style.width = `${Math.min(Math.max(rect.width, 280), 480)}px`;
+  }
+
+  /**
+   * 关闭提示面板
+   */
+  hide() {
+    this.panel?.remove();
+    this.panel = null;
+    this.findings = [];
+  }
+
+  /**
+   * 处理面板上的操作
+   * @param {string} action - redact 脱敏 / ignore 忽略 / send 仍然发送
+   */
+  handleAction(action) {
+    const { text, findings } = this;
+    this.hide();
+    this.record(action === 'redact' ? 'redacted' : action === 'send' ? 'sentAnyway' : 'ignored', findings);
+
+    if (action === 'redact') {
+      this.promptInserter.insert(this.sensitiveDataDetector.redact(text, findings));
+      this.promptInserter.getInputBox()?.focus();
+    } else {
+      this.allowedText = text;
+      if (action === 'send') {
+        this.promptInserter.send();
+      }
+    }
+  }
+
+  /**
+   * 写入脱敏记录（只记录类型和数量）
+   * @param {string} action - 操作
+   * @param {Array} findings - 检测结果
+   */
+  record(action, findings) {
+    this.sensitiveDataDetector
+      .log({
+        platform: this.platformDetector.getPlatformConfig()?.key || window.location.hostname,
+        url: `${window.location.origin}${window.location.pathname}`,
+        action,
+        findings
+      })
+      .catch((error) => console.error('Failed to record redaction:', error));
+  }
+
+  /**
+   * HTML 转义
+   * @param {string} text - 原始文本
+   * @returns {string}
+   */
+  escapeHtml(text) {
+    const map = {
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#039;'
+    };
+    return text.replace(/[&<>"']/g, (m) => map[m]);
+  }
+}
+
+// 创建全局实例
+window.inputGuard = null;
+
+if (window.sensitiveDataDetector && window.promptInserter && window.platformDetector) {
+  window.inputGuard = new InputGuard(window.sensitiveDataDetector, window.promptInserter, window.platformDetector);
+}
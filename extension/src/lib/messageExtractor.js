@@ -8,25 +8,35 @@ class MessageExtractor {
     this.platformDetector = platformDetector;
     this.messages = [];
     this.lastExtractTime = 0;
+    this.selectorDiagnostics = window.selectorDiagnostics || null;
+    this.nextId = 1;
+    this.turnMap = new Map(); // 对话元素（提问或回答）→ 消息对象
+    this.matchedSelectors = {}; // 各选择器链中最近一次命中的选择器，用于增量更新
   }
 
   /**
    * 使用选择器查找元素
    * @param {string|Array} selectors - CSS 选择器或选择器数组
+   * @param {string|null} role - 选择器名称，提供时记录选择器链的诊断信息
    * @returns {NodeList|null}
    */
-  findElements(selectors) {
+  findElements(selectors, role = null) {
     if (Array.isArray(selectors)) {
-      for (const selector of selectors) {
+      for (const [index, selector] of selectors.entries()) {
         try {
           const elements = document.querySelectorAll(selector);
           if (elements.length > 0) {
+            if (role) {
+              this.matchedSelectors[role] = selector;
+            }
+            this.recordSelectorHealth(role, selectors, index, elements.length);
             return elements;
           }
         } catch (error) {
           console.warn(`Invalid selector: ${selector}`, error);
         }
       }
+      this.recordSelectorHealth(role, selectors, -1, 0);
       return null;
     } else {
       try {
@@ -39,36 +49,130 @@ class MessageExtractor {
   }
 
   /**
-   * 提取元素中的文本内容
+   * 记录选择器链的匹配情况
+   * @param {string|null} role - 选择器名称
+   * @param {Array<string>} chain - 选择器链
+   * @param {number} matchedIndex - 命中的选择器序号
+   * @param {number} count - 命中的元素数量
+   */
+  recordSelectorHealth(role, chain, matchedIndex, count) {
+    if (role && this.selectorDiagnostics) {
+      this.selectorDiagnostics.record(role, chain, matchedIndex, count);
+    }
+  }
+
+  /**
+   * 查找元素中的正文元素
    * @param {Element} element - DOM 元素
    * @param {string|Array} contentSelector - 内容选择器
-   * @returns {string}
+   * @returns {Element|null}
    */
-  extractText(element, contentSelector) {
-    if (!element) return '';
-
-    let textElement = element;
+  findContentElement(element, contentSelector) {
+    if (!element) return null;
 
     if (contentSelector) {
-      const found = this.findElements(contentSelector);
-      if (found && found.length > 0) {
-        // 如果是数组选择器，需要在当前元素内查找
-        const selectorArray = Array.isArray(contentSelector) ? contentSelector : [contentSelector];
-        for (const selector of selectorArray) {
+      // 只在当前元素内查找，避免每条消息都查询整个文档
+      const selectorArray = Array.isArray(contentSelector) ? contentSelector : [contentSelector];
+      for (const selector of selectorArray) {
+        try {
           const child = element.querySelector(selector);
           if (child) {
-            textElement = child;
-            break;
+            return child;
           }
+        } catch (error) {
+          console.warn(`Invalid selector: ${selector}`, error);
         }
       }
     }
 
-    return textElement.textContent?.trim() || '';
+    return element;
+  }
+
+  /**
+   * 提取元素中的文本内容
+   * @param {Element} element - DOM 元素
+   * @param {string|Array} contentSelector - 内容选择器
+   * @returns {string}
+   */
+  extractText(element, contentSelector) {
+    const textElement = this.findContentElement(element, contentSelector);
+    return textElement?.textContent?.trim() || '';
+  }
+
+  /**
+   * 获取消息的正文元素（用于导出等需要保留格式的场景）
+   * @param {Object} message - 消息对象
+   * @param {string} role - 'user' 或 'assistant'
+   * @returns {Element|null}
+   */
+  getContentElement(message, role) {
+    const element = role === 'user' ? message.userElement : message.assistantElement;
+    if (!element) return null;
+
+    const platform = this.platformDetector.getPlatformConfig();
+    if (platform?.key === 'deepseek') {
+      return element.querySelector(role === 'user' ? '.fbb737a4' : '.ds-markdown') || element;
+    }
+
+    return this.findContentElement(element, platform?.selectors.messageContent);
+  }
+
+  /**
+   * 识别代码块语言（language-xxx / lang-xxx / data-language）
+   * @param {Element} pre - pre 元素
+   * @returns {string}
+   */
+  detectCodeLanguage(pre) {
+    const candidates = [pre.querySelector('code'), pre].filter(Boolean);
+    for (const el of candidates) {
+      const match = (el.className || '').toString().match(/(?:language|lang)-([\w+#-]+)/);
+      if (match) return match[1];
+      const dataLanguage = el.getAttribute('data-language');
+      if (dataLanguage) return dataLanguage;
+    }
+    return '';
+  }
+
+  /**
+   * 获取 AI 回答的大纲（按文档顺序的标题和代码块），按消息 version 缓存
+   * @param {Object} message - 消息对象
+   * @returns {Array} [{ type: 'heading', level, text, element } | { type: 'code', language, text, lineCount, element }]
+   */
+  getOutline(message) {
+    if (!message?.assistantElement) return [];
+    if (message.outline?.version === message.version) {
+      return message.outline.entries;
+    }
+
+    const entries = [];
+    const content = this.getContentElement(message, 'assistant');
+    content.querySelectorAll('h1, h2, h3, h4, h5, h6, pre').forEach((element) => {
+      if (element.tagName.toUpperCase() === 'PRE') {
+        const text = (element.querySelector('code') || element).textContent.replace(/\n$/, '');
+        if (text.trim()) {
+          entries.push({
+            type: 'code',
+            language: this.detectCodeLanguage(element),
+            text,
+            lineCount: text.split('\n').length,
+            element
+          });
+        }
+      } else {
+        const text = element.textContent.trim();
+        if (text) {
+          entries.push({ type: 'heading', level: parseInt(element.tagName.slice(1), 10), text, element });
+        }
+      }
+    });
+
+    message.outline = { version: message.version, entries };
+    return entries;
   }
 
   /**
    * 提取消息列表
+   * 每条消息包含用户提问及其对应的 AI 回答
    * @returns {Array} 消息数组
    */
   extractMessages() {
@@ -87,30 +191,51 @@ class MessageExtractor {
     const userSelectors = [
       platform.selectors.userMessage,
       ...(platform.selectors.fallbackSelectors?.userMessage || [])
-    ];
+    ].filter(Boolean);
+    const assistantSelectors = [
+      platform.selectors.assistantMessage,
+      ...(platform.selectors.fallbackSelectors?.assistantMessage || [])
+    ].filter(Boolean);
 
-    const userElements = this.findElements(userSelectors);
+    const userElements = this.findElements(userSelectors, 'userMessage');
     if (!userElements || userElements.length === 0) {
       console.warn('No user messages found');
+      this.setMessages([]);
       return [];
     }
 
-    userElements.forEach((userElement, index) => {
+    const assistantElements = Array.from(this.findElements(assistantSelectors, 'assistantMessage') || []);
+    const userList = Array.from(userElements);
+    let assistantCursor = 0;
+
+    userList.forEach((userElement, index) => {
+      const nextUserElement = userList[index + 1] || null;
+
+      // 跳过位于当前提问之前的回答
+      while (
+        assistantCursor < assistantElements.length &&
+        !this.isBefore(userElement, assistantElements[assistantCursor])
+      ) {
+        assistantCursor++;
+      }
+
+      // 当前提问之后、下一个提问之前的第一条回答即为对应回答
+      let assistantElement = null;
+      const candidate = assistantElements[assistantCursor];
+      if (candidate && (!nextUserElement || this.isBefore(candidate, nextUserElement))) {
+        assistantElement = candidate;
+        assistantCursor++;
+      }
+
       const userText = this.extractText(userElement, platform.selectors.messageContent);
 
       if (userText.length > 0) {
-        messages.push({
-          index,
-          userText,
-          userElement,
-          timestamp: new Date(),
-          preview: this.getPreview(userText)
-        });
+        const assistantText = this.extractText(assistantElement, platform.selectors.messageContent);
+        messages.push(this.createMessage(messages.length, userElement, userText, assistantElement, assistantText));
       }
     });
 
-    this.messages = messages;
-    this.lastExtractTime = Date.now();
+    this.setMessages(messages);
 
     console.log(`Extracted ${messages.length} messages`);
     return messages;
@@ -122,7 +247,7 @@ class MessageExtractor {
    * @returns {Array} 消息数组
    */
   extractMessagesForDeepSeek() {
-    const messages = [];
+    const turns = [];
     const messageElements = document.querySelectorAll('.ds-message');
 
     messageElements.forEach((element) => {
@@ -131,24 +256,450 @@ class MessageExtractor {
       if (userContent) {
         const userText = userContent.textContent?.trim() || '';
         if (userText.length > 0) {
-          messages.push({
-            index: messages.length,
-            userText,
-            userElement: element,
-            timestamp: new Date(),
-            preview: this.getPreview(userText)
-          });
+          turns.push({ userElement: element, userText, assistantElement: null, assistantText: '' });
         }
+        return;
+      }
+
+      // AI 回答归属于最近一条尚未配对的用户消息
+      const assistantContent = element.querySelector('.ds-markdown');
+      const lastTurn = turns[turns.length - 1];
+      if (assistantContent && lastTurn && !lastTurn.assistantElement) {
+        lastTurn.assistantElement = element;
+        lastTurn.assistantText = assistantContent.textContent?.trim() || '';
       }
     });
 
-    this.messages = messages;
-    this.lastExtractTime = Date.now();
+    // 配对完成后再构造消息对象，内容未变化的轮次复用后 version 保持不变
+    const messages = turns.map((turn, idx) =>
+      this.createMessage(idx, turn.userElement, turn.userText, turn.assistantElement, turn.assistantText)
+    );
+    this.setMessages(messages);
+
+    this.recordSelectorHealth('userMessage', ['.ds-message .fbb737a4'], messages.length > 0 ? 0 : -1, messages.length);
 
     console.log(`[DeepSeek] Extracted ${messages.length} user messages`);
     return messages;
   }
 
+  /**
+   * 构造消息对象（一问一答）
+   * @param {number} index - 消息索引
+   * @param {Element} userElement - 用户消息元素
+   * @param {string} userText - 用户消息文本
+   * @param {Element|null} assistantElement - AI 回答元素
+   * @param {string} assistantText - AI 回答文本
+   * @returns {Object}
+   */
+  createMessage(index, userElement, userText, assistantElement, assistantText) {
+    // 同一提问元素复用已有的消息对象，保持 id 稳定
+    const previous = this.turnMap.get(userElement);
+    if (previous && previous.userElement === userElement) {
+      previous.index = index;
+      this.setUserText(previous, userText);
+      this.setAssistant(previous, assistantElement, assistantText);
+      this.updateBranch(previous);
+      return previous;
+    }
+
+    return {
+      id: `m${this.nextId++}`,
+      version: 0,
+      index,
+      userText,
+      userElement,
+      assistantText,
+      assistantElement,
+      assistantPreview: assistantText ? this.getPreview(assistantText) : '',
+      branch: this.detectBranch(userElement),
+      timestamp: new Date(),
+      preview: this.getPreview(userText)
+    };
+  }
+
+  /**
+   * 更新提问文本（内容变化时递增 version，供侧边栏判断是否需要重新渲染）
+   * @param {Object} message - 消息对象
+   * @param {string} userText - 提问文本
+   */
+  setUserText(message, userText) {
+    if (message.userText === userText) return;
+    message.userText = userText;
+    message.preview = this.getPreview(userText);
+    message.version++;
+  }
+
+  /**
+   * 更新消息对应的 AI 回答
+   * @param {Object} message - 消息对象
+   * @param {Element|null} assistantElement - AI 回答元素
+   * @param {string} assistantText - AI 回答文本
+   */
+  setAssistant(message, assistantElement, assistantText) {
+    if (message.assistantElement === assistantElement && message.assistantText === assistantText) return;
+    message.assistantElement = assistantElement;
+    message.assistantText = assistantText;
+    message.assistantPreview = assistantText ? this.getPreview(assistantText) : '';
+    message.version++;
+  }
+
+  /**
+   * 查找提问的分支切换控件（编辑提问后出现的“< 2/3 >”）
+   * 在 turnContainer 选择器匹配的最近祖先元素内查找 branchControl，未配置 turnContainer 时在父元素内查找
+   * @param {Element} userElement - 提问元素
+   * @returns {Element|null}
+   */
+  getBranchControl(userElement) {
+    const selectors = this.platformDetector.getPlatformConfig()?.selectors;
+    if (!selectors?.branchControl || !userElement) return null;
+
+    try {
+      const scope = (selectors.turnContainer && userElement.closest(selectors.turnContainer)) || userElement.parentElement;
+      return scope?.querySelector(selectors.branchControl) || null;
+    } catch (error) {
+      console.warn(`Invalid selector: ${selectors.branchControl}`, error);
+      return null;
+    }
+  }
+
+  /**
+   * 解析分支控件的文本（如“2/3”、“2 / 3”）
+   * @param {string} text - 控件文本
+   * @returns {Object|null} { index, total }，index 从 1 开始；只有一个分支时返回 null
+   */
+  static parseBranchLabel(text) {
+    const match = (text || '').match(/(\d+)\s*\/\s*(\d+)/);
+    if (!match) return null;
+
+    const index = parseInt(match[1], 10);
+    const total = parseInt(match[2], 10);
+    if (total < 2 || index < 1 || index > total) return null;
+    return { index, total };
+  }
+
+  /**
+   * 识别提问当前显示的分支
+   * @param {Element} userElement - 提问元素
+   * @returns {Object|null} { index, total }
+   */
+  detectBranch(userElement) {
+    const control = this.getBranchControl(userElement);
+    return control ? MessageExtractor.parseBranchLabel(control.textContent) : null;
+  }
+
+  /**
+   * 重新识别消息的分支（变化时递增 version）
+   * @param {Object} message - 消息对象
+   */
+  updateBranch(message) {
+    const branch = this.detectBranch(message.userElement);
+    if (message.branch?.index === branch?.index && message.branch?.total === branch?.total) return;
+    message.branch = branch;
+    message.version++;
+  }
+
+  /**
+   * 点击页面上的分支切换按钮（控件中的第一个和最后一个按钮）
+   * 切换后页面重新渲染对话，由 ConversationObserver 增量更新消息列表
+   * @param {Object} message - 消息对象
+   * @param {number} direction - -1 上一个分支，1 下一个分支
+   * @returns {boolean} 是否已点击
+   */
+  switchBranch(message, direction) {
+    const control = this.getBranchControl(message?.userElement);
+    if (!control) return false;
+
+    const buttons = control.querySelectorAll('button');
+    const button = direction < 0 ? buttons[0] : buttons[buttons.length - 1];
+    if (!button || button.disabled || buttons.length < 2) return false;
+
+    button.click();
+    return true;
+  }
+
+  /**
+   * 替换消息列表并重建元素索引
+   * @param {Array} messages - 按文档顺序排列的消息
+   */
+  setMessages(messages) {
+    this.turnMap.clear();
+    messages.forEach((msg) => this.trackMessage(msg));
+    this.assignHashes(messages);
+    this.messages = messages;
+    this.lastExtractTime = Date.now();
+  }
+
+  /**
+   * 记录消息的元素映射
+   * @param {Object} message - 消息对象
+   */
+  trackMessage(message) {
+    this.turnMap.set(message.userElement, message);
+    if (message.assistantElement) {
+      this.turnMap.set(message.assistantElement, message);
+    }
+  }
+
+  /**
+   * 是否已确定对话元素的选择器（可以进行增量更新）
+   * @returns {boolean}
+   */
+  isTracking() {
+    const platform = this.platformDetector.getPlatformConfig();
+    return Boolean(platform) && (platform.key === 'deepseek' || Boolean(this.matchedSelectors.userMessage));
+  }
+
+  /**
+   * 获取对话元素的匹配规则
+   * @returns {Object|null} { selector, classify(element) => 'user' | 'assistant' | null }
+   */
+  getTurnMatcher() {
+    const platform = this.platformDetector.getPlatformConfig();
+    if (!platform) return null;
+
+    if (platform.key === 'deepseek') {
+      return {
+        selector: '.ds-message',
+        classify: (element) => {
+          if (element.querySelector('.fbb737a4')) return 'user';
+          if (element.querySelector('.ds-markdown')) return 'assistant';
+          return null;
+        }
+      };
+    }
+
+    const user = this.matchedSelectors.userMessage;
+    const assistant = this.matchedSelectors.assistantMessage;
+    if (!user) return null;
+
+    return {
+      selector: assistant ? `${user}, ${assistant}` : user,
+      classify: (element) => {
+        if (element.matches(user)) return 'user';
+        if (assistant && element.matches(assistant)) return 'assistant';
+        return null;
+      }
+    };
+  }
+
+  /**
+   * 读取对话元素的文本
+   * @param {Element} element - 对话元素
+   * @param {string} kind - 'user' | 'assistant'
+   * @returns {string}
+   */
+  extractTurnText(element, kind) {
+    const platform = this.platformDetector.getPlatformConfig();
+    if (platform.key === 'deepseek') {
+      return element.querySelector(kind === 'user' ? '.fbb737a4' : '.ds-markdown')?.textContent?.trim() || '';
+    }
+    return this.extractText(element, platform.selectors.messageContent);
+  }
+
+  /**
+   * 根据 MutationObserver 的变更记录增量更新消息列表
+   * 只处理新增、移除的对话元素，以及内容发生变化的对话元素
+   * @param {Array<MutationRecord>} mutations - 变更记录
+   * @returns {Object|null} { added, removed, updated }，没有变化时返回 null
+   */
+  applyMutations(mutations) {
+    const matcher = this.getTurnMatcher();
+    if (!matcher) return null;
+
+    const candidates = new Set();
+    const removedCandidates = new Set();
+    const branchScope = this.platformDetector.getPlatformConfig()?.selectors?.turnContainer || null;
+    const collect = (node, target) => {
+      if (node.nodeType !== Node.ELEMENT_NODE) return;
+      if (node.matches(matcher.selector)) target.add(node);
+      node.querySelectorAll(matcher.selector).forEach((el) => target.add(el));
+    };
+
+    for (const mutation of mutations) {
+      mutation.removedNodes.forEach((node) => collect(node, removedCandidates));
+      mutation.addedNodes.forEach((node) => collect(node, candidates));
+
+      // 变化发生在对话元素内部（如回答逐字输出）
+      const target = mutation.target.nodeType === Node.ELEMENT_NODE ? mutation.target : mutation.target.parentElement;
+      const turn = target?.closest(matcher.selector);
+      if (turn) {
+        candidates.add(turn);
+      } else if (branchScope) {
+        // 分支控件位于提问元素之外，控件文本变化时重新识别同一轮中的提问
+        const scope = target?.closest(branchScope);
+        scope?.querySelectorAll(matcher.selector).forEach((el) => candidates.add(el));
+      }
+    }
+
+    const result = { added: 0, removed: 0, updated: 0 };
+    let structureChanged = false;
+
+    // 1. 移除已脱离文档的对话元素
+    removedCandidates.forEach((element) => {
+      const message = this.turnMap.get(element);
+      if (!message || element.isConnected) return;
+
+      this.turnMap.delete(element);
+      if (message.userElement === element) {
+        if (message.assistantElement) this.turnMap.delete(message.assistantElement);
+        this.messages.splice(this.messages.indexOf(message), 1);
+        result.removed++;
+        structureChanged = true;
+      } else if (message.assistantElement === element) {
+        this.setAssistant(message, null, '');
+        result.updated++;
+      }
+    });
+
+    // 2. 按文档顺序处理新增或内容变化的对话元素（保证提问先于其回答）
+    const elements = [...candidates]
+      .filter((element) => element.isConnected)
+      .sort((a, b) => (a === b ? 0 : this.isBefore(a, b) ? -1 : 1));
+
+    for (const element of elements) {
+      const kind = matcher.classify(element);
+      if (!kind) continue;
+
+      const text = this.extractTurnText(element, kind);
+      const existing = this.turnMap.get(element);
+
+      if (existing) {
+        const version = existing.version;
+        if (existing.userElement === element) {
+          this.setUserText(existing, text);
+          structureChanged = structureChanged || existing.version !== version;
+          this.updateBranch(existing);
+        } else {
+          this.setAssistant(existing, element, text);
+        }
+        if (existing.version !== version) result.updated++;
+      } else if (kind === 'user' && text.length > 0) {
+        this.insertUserTurn(element, text);
+        result.added++;
+        structureChanged = true;
+      } else if (kind === 'assistant' && this.attachAssistantTurn(element, text)) {
+        result.updated++;
+      }
+    }
+
+    if (structureChanged) {
+      this.messages.forEach((msg, idx) => {
+        msg.index = idx;
+      });
+      this.assignHashes(this.messages);
+    }
+    this.lastExtractTime = Date.now();
+
+    return result.added || result.removed || result.updated ? result : null;
+  }
+
+  /**
+   * 按文档顺序插入新的提问
+   * @param {Element} element - 提问元素
+   * @param {string} text - 提问文本
+   */
+  insertUserTurn(element, text) {
+    const position = this.findInsertPosition(element);
+    const message = this.createMessage(position, element, text, null, '');
+    this.messages.splice(position, 0, message);
+    this.trackMessage(message);
+
+    // 插入到中间时，前一条提问中位于新提问之后的回答归属新提问
+    const previous = this.messages[position - 1];
+    if (previous?.assistantElement && this.isBefore(element, previous.assistantElement)) {
+      const { assistantElement, assistantText } = previous;
+      this.setAssistant(previous, null, '');
+      this.setAssistant(message, assistantElement, assistantText);
+      this.turnMap.set(assistantElement, message);
+    }
+  }
+
+  /**
+   * 将新的回答关联到其前面最近的提问
+   * @param {Element} element - 回答元素
+   * @param {string} text - 回答文本
+   * @returns {boolean} 是否关联成功
+   */
+  attachAssistantTurn(element, text) {
+    const owner = this.messages[this.findInsertPosition(element) - 1];
+    if (!owner) return false;
+
+    // 与完整提取保持一致：每条提问只关联其后的第一条回答
+    const current = owner.assistantElement;
+    if (current && current.isConnected && this.isBefore(current, element)) return false;
+    if (current) this.turnMap.delete(current);
+
+    this.setAssistant(owner, element, text);
+    this.turnMap.set(element, owner);
+    return true;
+  }
+
+  /**
+   * 二分查找元素在消息列表中的插入位置（按提问元素的文档顺序）
+   * @param {Element} element - DOM 元素
+   * @returns {number} 第一个位于该元素之后的提问的序号
+   */
+  findInsertPosition(element) {
+    const messages = this.messages;
+
+    // 常见情况：追加到末尾
+    const last = messages[messages.length - 1];
+    if (!last || this.isBefore(last.userElement, element)) {
+      return messages.length;
+    }
+
+    let low = 0;
+    let high = messages.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.isBefore(messages[mid].userElement, element)) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * 为消息分配内容哈希（用于在刷新后重新关联书签等状态）
+   * 相同内容的提问按出现顺序追加序号以区分
+   * @param {Array} messages - 消息数组
+   */
+  assignHashes(messages) {
+    const occurrences = {};
+    messages.forEach((msg) => {
+      const hash = this.hashText(msg.userText);
+      occurrences[hash] = (occurrences[hash] || 0) + 1;
+      msg.hash = occurrences[hash] > 1 ? `${hash}-${occurrences[hash]}` : hash;
+    });
+  }
+
+  /**
+   * 计算文本的 FNV-1a 哈希（忽略空白差异）
+   * @param {string} text - 原始文本
+   * @returns {string} 8 位十六进制哈希
+   */
+  hashText(text) {
+    const normalized = text.replace(/\s+/g, ' ').trim();
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < normalized.length; i++) {
+      hash ^= normalized.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+
+  /**
+   * 判断元素 a 在文档中是否位于元素 b 之前
+   * @param {Element} a
+   * @param {Element} b
+   * @returns {boolean}
+   */
+  isBefore(a, b) {
+    return Boolean(a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING);
+  }
+
   /**
    * 获取文本预览（截断长文本）
    * @param {string} text - 原始文本
@@ -193,30 +744,7 @@ class MessageExtractor {
    */
   clearMessages() {
     this.messages = [];
-  }
-
-  /**
-   * 检查是否需要重新提取消息（基于 DOM 变化）
-   * @returns {boolean}
-   */
-  shouldRefresh() {
-    const platform = this.platformDetector.getPlatformConfig();
-    if (!platform) return false;
-
-    // 如果距离上次提取超过 2 秒，或消息数量发生变化，则需要刷新
-    const timeDiff = Date.now() - this.lastExtractTime;
-
-    let currentCount = 0;
-    if (platform.key === 'deepseek') {
-      // DeepSeek 特殊处理：计算用户消息数量
-      currentCount = document.querySelectorAll('.ds-message .fbb737a4').length;
-    } else {
-      currentCount = this.findElements(
-        platform.selectors.userMessage
-      )?.length || 0;
-    }
-
-    return timeDiff > 2000 || currentCount !== this.messages.length;
+    this.turnMap.clear();
   }
 }
 
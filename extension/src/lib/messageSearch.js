@@ -0,0 +1,128 @@
+/**
+ * Message Search Module
+ * 用于在消息列表中进行全文搜索、过滤和高亮
+ */
+
+class MessageSearch {
+  constructor() {
+    this.query = '';
+    this.caseSensitive = false;
+    this.useRegex = false;
+    this.includeReplies = false;
+    this.matcher = null;
+    this.error = null;
+  }
+
+  /**
+   * 更新搜索条件
+   * @param {Object} options - { query, caseSensitive, useRegex, includeReplies }
+   */
+  setOptions(options) {
+    Object.assign(this, options);
+    this.matcher = this.buildMatcher();
+  }
+
+  /**
+   * 根据当前条件构建正则表达式
+   * @returns {RegExp|null}
+   */
+  buildMatcher() {
+    this.error = null;
+    if (!this.query) return null;
+
+    const source = this.useRegex ? this.query : this.query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const flags = this.caseSensitive ? 'g' : 'gi';
+
+    try {
+      return new RegExp(source, flags);
+    } catch (error) {
+      this.error = error.message;
+      return null;
+    }
+  }
+
+  /**
+   * 是否处于搜索状态
+   * @returns {boolean}
+   */
+  isActive() {
+    return Boolean(this.query);
+  }
+
+  /**
+   * 检查文本是否匹配
+   * @param {string} text - 待检查文本
+   * @returns {boolean}
+   */
+  test(text) {
+    if (!this.matcher || !text) return false;
+    this.matcher.lastIndex = 0;
+    return this.matcher.test(text);
+  }
+
+  /**
+   * 检查消息是否匹配（无搜索条件时全部匹配）
+   * @param {Object} message - 消息对象
+   * @returns {boolean}
+   */
+  matches(message) {
+    if (!this.isActive()) return true;
+    if (!this.matcher) return false;
+    return this.test(message.userText) || (this.includeReplies && this.test(message.assistantText));
+  }
+
+  /**
+   * 过滤消息列表
+   * @param {Array} messages - 消息数组
+   * @returns {Array} 匹配的消息
+   */
+  filter(messages) {
+    return messages.filter((msg) => this.matches(msg));
+  }
+
+  /**
+   * 获取包含首个匹配位置的文本片段（匹配位于预览之外时使用）
+   * @param {string} text - 原始文本
+   * @param {number} length - 片段长度
+   * @returns {string|null}
+   */
+  getSnippet(text, length = 60) {
+    if (!this.matcher || !text) return null;
+
+    const normalized = text.replace(/\s+/g, ' ').trim();
+    this.matcher.lastIndex = 0;
+    const match = this.matcher.exec(normalized);
+    if (!match) return null;
+
+    const start = Math.max(0, match.index - Math.floor(length / 3));
+    const end = Math.min(normalized.length, start + length);
+    return `${start > 0 ? '...' : ''}${normalized.slice(start, end)}${end < normalized.length ? '...' : ''}`;
+  }
+
+  /**
+   * 高亮文本中的匹配部分
+   * @param {string} text - 原始文本
+   * @param {Function} escapeHtml - HTML 转义函数
+   * @returns {string} 转义后的 HTML
+   */
+  highlight(text, escapeHtml) {
+    if (!this.matcher || !text) return escapeHtml(text || '');
+
+    let html = '';
+    let lastIndex = 0;
+    this.matcher.lastIndex = 0;
+
+    for (const match of text.matchAll(this.matcher)) {
+      // 忽略空匹配，避免死循环和无意义高亮
+      if (match[0].length === 0) continue;
+      html += escapeHtml(text.slice(lastIndex, match.index));
+      html += `<mark class="aichathelper-search-hit">${escapeHtml(match[0])}</mark>`;
+      lastIndex = match.index + match[0].length;
+    }
+
+    return html + escapeHtml(text.slice(lastIndex));
+  }
+}
+
+// 创建全局实例
+window.messageSearch = new MessageSearch();
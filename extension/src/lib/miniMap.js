@@ -0,0 +1,351 @@
+/**
+ * Mini Map Module
+ * 对话滚动容器旁的缩略导航条：按页面中的实际位置和高度显示每轮提问和回答，
+ * 标记星标和搜索匹配的轮次，点击或拖动导航条滚动对话
+ */
+
+class MiniMap {
+  constructor(messageExtractor, platformDetector) {
+    this.messageExtractor = messageExtractor;
+    this.platformDetector = platformDetector;
+    this.shadowHost = window.shadowHost || null;
+    this.bookmarkStore = window.bookmarkStore || null;
+    this.messageSearch = window.messageSearch || null;
+    this.element = null;
+    this.container = null;
+    this.isVisible = true;
+    this.renderTimer = null;
+    this.resizeObserver = null;
+    this.observed = new Set(); // 监听尺寸变化的对话元素（回答流式输出时高度持续变化）
+    this.handleScroll = () => this.updateViewport();
+    this.handleResize = () => this.schedule();
+  }
+
+  /**
+   * 导航条宽度（像素）
+   */
+  static get WIDTH() {
+    return 14;
+  }
+
+  /**
+   * 合并短时间内多次重绘的延迟
+   */
+  static get RENDER_DELAY() {
+    return 100;
+  }
+
+  /**
+   * 创建导航条 DOM
+   * @returns {Element}
+   */
+  create() {
+    if (this.element) return this.element;
+
+    const element = document.createElement('div');
+    element.className = 'aichathelper-minimap';
+    element.hidden = true;
+    element.innerHTML = `
+      <div class="aichathelper-minimap-track"></div>
+      <div class="aichathelper-minimap-viewport"></div>
+    `;
+    element.addEventListener('pointerdown', (e) => this.startDrag(e));
+
+    if (this.shadowHost) {
+      this.shadowHost.append(element);
+    } else {
+      document.body.appendChild(element);
+    }
+    this.element = element;
+
+    if (typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(this.handleResize);
+    }
+    window.addEventListener('resize', this.handleResize);
+    return element;
+  }
+
+  /**
+   * 查找对话的滚动容器
+   * 优先使用平台配置的 scrollContainer；它不可滚动时（如配置为 main 或 body）
+   * 从首条提问向上查找可滚动的祖先，都没有时使用文档的滚动元素
+   * @returns {Element}
+   */
+  findContainer() {
+    const scrollingElement = document.scrollingElement || document.documentElement;
+    const first = this.messageExtractor.getMessages()[0]?.userElement;
+    const isScrollable = (element) => {
+      if (!element || element === document.body || element === scrollingElement) return false;
+      const { overflowY } = getComputedStyle(element);
+      return /(auto|scroll|overlay)/.test(overflowY) && element.scrollHeight > element.clientHeight;
+    };
+
+    const selector = this.platformDetector.getPlatformConfig()?.selectors.scrollContainer;
+    let configured = null;
+    try {
+      configured = selector ? document.querySelector(selector) : null;
+    } catch (error) {
+      console.warn(`Invalid selector: ${selector}`, error);
+    }
+    if (isScrollable(configured) && (!first || configured.contains(first))) {
+      return configured;
+    }
+
+    for (let ancestor = first?.parentElement; ancestor; ancestor = ancestor.parentElement) {
+      if (isScrollable(ancestor)) return ancestor;
+    }
+    return scrollingElement;
+  }
+
+  /**
+   * 滚动容器是否为整个文档
+   * @returns {boolean}
+   */
+  isDocumentScroll() {
+    return this.container === (document.scrollingElement || document.documentElement);
+  }
+
+  /**
+   * 绑定滚动容器（容器变化后重新监听滚动事件）
+   */
+  bindContainer() {
+    const container = this.findContainer();
+    if (container === this.container) return;
+
+    this.unbindContainer();
+    this.container = container;
+    (this.isDocumentScroll() ? window : container).addEventListener('scroll', this.handleScroll, { passive: true });
+    this.resizeObserver?.observe(container);
+  }
+
+  /**
+   * 解除滚动容器和对话元素的监听
+   */
+  unbindContainer() {
+    if (this.container) {
+      (this.isDocumentScroll() ? window : this.container).removeEventListener('scroll', this.handleScroll);
+    }
+    this.resizeObserver?.disconnect();
+    this.observed.clear();
+    this.container = null;
+  }
+
+  /**
+   * 与当前消息列表同步需要监听尺寸的元素
+   * @param {Array} messages - 消息数组
+   */
+  observeMessages(messages) {
+    if (!this.resizeObserver) return;
+
+    const current = new Set();
+    messages.forEach((msg) => {
+      current.add(msg.userElement);
+      if (msg.assistantElement) current.add(msg.assistantElement);
+    });
+    this.observed.forEach((element) => {
+      if (!current.has(element)) {
+        this.resizeObserver.unobserve(element);
+        this.observed.delete(element);
+      }
+    });
+    current.forEach((element) => {
+      if (!this.observed.has(element)) {
+        this.resizeObserver.observe(element);
+        this.observed.add(element);
+      }
+    });
+  }
+
+  /**
+   * 显示或隐藏导航条（跟随侧边栏）
+   * @param {boolean} visible - 是否显示
+   */
+  setVisible(visible) {
+    this.isVisible = visible;
+    this.schedule();
+  }
+
+  /**
+   * 稍后重绘（合并消息变化、元素尺寸变化和窗口尺寸变化）
+   */
+  schedule() {
+    clearTimeout(this.renderTimer);
+    this.renderTimer = setTimeout(() => this.render(), MiniMap.RENDER_DELAY);
+  }
+
+  /**
+   * 切换对话时重新查找滚动容器
+   */
+  reset() {
+    clearTimeout(this.renderTimer);
+    this.unbindContainer();
+    if (this.element) {
+      this.element.hidden = true;
+    }
+  }
+
+  /**
+   * 元素在滚动内容中的位置
+   * @param {Element} element - 对话元素
+   * @param {number} originTop - 滚动内容顶端在视口中的位置
+   * @returns {Object} { top, height }
+   */
+  measure(element, originTop) {
+    const rect = element.getBoundingClientRect();
+    return { top: rect.top - originTop, height: rect.height };
+  }
+
+  /**
+   * 重绘导航条
+   */
+  render() {
+    clearTimeout(this.renderTimer);
+    const messages = this.messageExtractor
+      .getMessages()
+      .filter((msg) => msg.userElement?.isConnected);
+
+    if (!this.isVisible || messages.length === 0) {
+      if (this.element) this.element.hidden = true;
+      return;
+    }
+
+    this.create();
+    this.bindContainer();
+    this.observeMessages(messages);
+
+    const container = this.container;
+    const total = container.scrollHeight;
+    if (!total) {
+      this.element.hidden = true;
+      return;
+    }
+
+    const originTop = (this.isDocumentScroll() ? 0 : container.getBoundingClientRect().top) - container.scrollTop;
+    const searching = Boolean(this.messageSearch?.isActive());
+    const blocks = [];
+    messages.forEach((msg) => {
+      const marks = [
+        this.bookmarkStore?.isStarred(msg) ? 'starred' : '',
+        searching && this.messageSearch.matches(msg) ? 'matched' : ''
+      ];
+      blocks.push({ msg, role: 'user', marks, title: `#${msg.index + 1} ${msg.preview}`, ...this.measure(msg.userElement, originTop) });
+      if (msg.assistantElement?.isConnected) {
+        const title = `#${msg.index + 1} ${i18n.t('roleAssistantMessage')}: ${msg.assistantPreview}`;
+        blocks.push({ msg, role: 'assistant', marks, title, ...this.measure(msg.assistantElement, originTop) });
+      }
+    });
+
+    // 复用已有的块元素，只更新位置和状态
+    const track = this.element.querySelector('.aichathelper-minimap-track');
+    while (track.children.length > blocks.length) {
+      track.lastElementChild.remove();
+    }
+    while (track.children.length < blocks.length) {
+      track.appendChild(document.createElement('div'));
+    }
+    blocks.forEach((item, idx) => {
+      const block = track.children[idx];
+      block.className = ['aichathelper-minimap-block', item.role, ...item.marks].filter(Boolean).join(' ');
+      block.dataset.index = item.msg.index;
+      block.title = item.title;
+      block.style.top = `${(Math.max(0, item.top) / total) * 100}%`;
+      block.style.height = `${(item.height / total) * 100}%`;
+    });
+
+    this.element.classList.toggle('aichathelper-dark', Boolean(window.sidebarManager?.isDark));
+    this.element.hidden = false;
+    this.position();
+    this.updateViewport();
+  }
+
+  /**
+   * 将导航条放在滚动容器右侧边缘内（滚动条左侧），避开停靠在右侧的侧边栏
+   */
+  position() {
+    const rect = this.isDocumentScroll()
+      ? { top: 0, left: 0, height: window.innerHeight }
+      : this.container.getBoundingClientRect();
+    let left = rect.left + this.container.clientWidth - MiniMap.WIDTH - 2;
+
+    const sidebar = window.sidebarManager?.sidebarElement;
+    if (sidebar && window.sidebarManager.isVisible) {
+      const sidebarRect = sidebar.getBoundingClientRect();
+      if (sidebarRect.width > 0 && left + MiniMap.WIDTH > sidebarRect.left && left < sidebarRect.right) {
+        left = sidebarRect.left - MiniMap.WIDTH - 4;
+      }
+    }
+
+    this.element.style.left = `${Math.max(0, left)}px`;
+    this.element.style.top = `${Math.max(0, rect.top)}px`;
+    this.element.style.height = `${Math.min(rect.height, window.innerHeight - Math.max(0, rect.top))}px`;
+  }
+
+  /**
+   * 更新当前可见区域的指示框
+   */
+  updateViewport() {
+    if (!this.element || this.element.hidden || !this.container) return;
+
+    const { scrollTop, scrollHeight, clientHeight } = this.container;
+    const viewport = this.element.querySelector('.aichathelper-minimap-viewport');
+    viewport.style.top = `${(scrollTop / scrollHeight) * 100}%`;
+    viewport.style.height = `${(Math.min(clientHeight, scrollHeight) / scrollHeight) * 100}%`;
+  }
+
+  /**
+   * 将导航条上的位置对应的内容滚动到可见区域中央
+   * @param {number} clientY - 指针在视口中的纵坐标
+   */
+  scrollToPointer(clientY) {
+    const rect = this.element.getBoundingClientRect();
+    if (!this.container || rect.height === 0) return;
+
+    const ratio = Math.min(1, Math.max(0, (clientY - rect.top) / rect.height));
+    const { scrollHeight, clientHeight } = this.container;
+    this.container.scrollTop = Math.max(0, ratio * scrollHeight - clientHeight / 2);
+    this.updateViewport();
+  }
+
+  /**
+   * 点击或拖动导航条（拖动期间捕获指针）
+   * @param {PointerEvent} e - pointerdown 事件
+   */
+  startDrag(e) {
+    if (e.button !== 0) return;
+    e.preventDefault();
+
+    const target = this.element;
+    const onMove = (event) => this.scrollToPointer(event.clientY);
+    const finish = () => {
+      target.removeEventListener('pointermove', onMove);
+      target.removeEventListener('pointerup', finish);
+      target.removeEventListener('pointercancel', finish);
+      target.classList.remove('dragging');
+    };
+
+    target.setPointerCapture?.(e.pointerId);
+    target.classList.add('dragging');
+    target.addEventListener('pointermove', onMove);
+    target.addEventListener('pointerup', finish);
+    target.addEventListener('pointercancel', finish);
+    this.scrollToPointer(e.clientY);
+  }
+
+  /**
+   * 移除导航条
+   */
+  destroy() {
+    this.reset();
+    window.removeEventListener('resize', this.handleResize);
+    this.element?.remove();
+    this.element = null;
+    this.resizeObserver = null;
+  }
+}
+
+// 创建全局实例
+window.miniMap = null;
+
+if (window.messageExtractor && window.platformDetector) {
+  window.miniMap = new MiniMap(window.messageExtractor, window.platformDetector);
+}
@@ -0,0 +1,66 @@
+/**
+ * Navigation Watcher Module
+ * 监听单页应用的路由变化，在切换对话时通知调用方
+ */
+
+class NavigationWatcher {
+  constructor(platformDetector, onChange) {
+    this.platformDetector = platformDetector;
+    this.onChange = onChange;
+    this.conversationId = null;
+    this.lastUrl = null;
+    this.pollTimer = null;
+    this.check = this.check.bind(this);
+  }
+
+  /**
+   * 开始监听
+   * 内容脚本运行在隔离环境中，无法拦截页面自身的 history.pushState，
+   * 因此优先使用 Navigation API，并以 popstate 和低频轮询 URL 作为补充
+   */
+  start() {
+    this.stop();
+    this.lastUrl = window.location.href;
+    this.conversationId = this.platformDetector.getConversationId();
+
+    window.navigation?.addEventListener('navigatesuccess', this.check);
+    window.addEventListener('popstate', this.check);
+    window.addEventListener('hashchange', this.check);
+    this.pollTimer = setInterval(this.check, window.navigation ? 3000 : 1000);
+  }
+
+  /**
+   * 停止监听
+   */
+  stop() {
+    window.navigation?.removeEventListener('navigatesuccess', this.check);
+    window.removeEventListener('popstate', this.check);
+    window.removeEventListener('hashchange', this.check);
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  /**
+   * 检查 URL 是否变化；只有对话 ID 变化时才通知（忽略查询参数等变化）
+   */
+  check() {
+    const url = window.location.href;
+    if (url === this.lastUrl) return;
+    this.lastUrl = url;
+
+    const conversationId = this.platformDetector.getConversationId();
+    if (conversationId === this.conversationId) return;
+
+    const previousId = this.conversationId;
+    this.conversationId = conversationId;
+    console.log(`Conversation changed: ${previousId} -> ${conversationId}`);
+    this.onChange?.(conversationId, previousId);
+  }
+}
+
+// 创建全局实例
+window.navigationWatcher = null;
+
+if (window.platformDetector) {
+  window.navigationWatcher = new NavigationWatcher(window.platformDetector);
+}
@@ -0,0 +1,374 @@
+/**
+ * Platform Config Loader Module
+ * 平台选择器配置的加载、远程更新和回滚
+ * - 内置配置 src/config/platforms.json 与远程配置使用同一格式（带 version，按 platforms.schema.json 校验）
+ * - Service Worker 从设置页配置的地址下载远程配置，校验哈希或签名后缓存在 chrome.storage.local
+ * - 页面加载时使用版本更高且未被回滚的缓存配置，否则使用内置配置
+ * - content script 用新配置提取失败时回报，回滚到上一个验证可用（last-known-good）的版本
+ */
+
+class PlatformConfigLoader {
+  constructor() {
+    this.settingsKey = 'remoteConfig';
+    this.cacheKey = 'platformConfigCache';
+    this.schema = null;
+  }
+
+  static get BUNDLED_PATH() {
+    return 'src/config/platforms.json';
+  }
+
+  static get SCHEMA_PATH() {
+    return 'src/config/platforms.schema.json';
+  }
+
+  /**
+   * 检查远程配置更新的间隔（分钟）
+   */
+  static get REFRESH_INTERVAL_MINUTES() {
+    return 360;
+  }
+
+  /**
+   * 最多记录的已回滚版本数
+   */
+  static get MAX_REJECTED() {
+    return 20;
+  }
+
+  /**
+   * 比较版本号（按点分隔的数字逐段比较）
+   * @param {string} a - 版本号
+   * @param {string} b - 版本号
+   * @returns {number} a 较新时为正数，相同为 0
+   */
+  static compareVersions(a, b) {
+    const left = String(a).split('.').map(Number);
+    const right = String(b).split('.').map(Number);
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+      const diff = (left[i] || 0) - (right[i] || 0);
+      if (diff !== 0) return diff;
+    }
+    return 0;
+  }
+
+  /**
+   * 计算文本的 SHA-256（十六进制）
+   * @param {string} text - 文本
+   * @returns {Promise<string>}
+   */
+  static async sha256(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Base64 解码为字节
+   * @param {string} base64 - Base64 文本（忽略空白和 PEM 头尾）
+   * @returns {Uint8Array}
+   */
+  static decodeBase64(base64) {
+    const clean = base64.replace(/-----[^-]+-----/g, '').replace(/\s+/g, '');
+    return Uint8Array.from(atob(clean), (char) => char.charCodeAt(0));
+  }
+
+  /**
+   * 校验 ECDSA P-256 / SHA-256 签名
+   * @param {string} text - 配置原文
+   * @param {string} signature - Base64 签名（DER 或 IEEE P1363 格式）
+   * @param {string} publicKey - Base64 或 PEM 格式的 SPKI 公钥
+   * @returns {Promise<boolean>}
+   */
+  static async verifySignature(text, signature, publicKey) {
+    const key = await crypto.subtle.importKey(
+      'spki',
+      PlatformConfigLoader.decodeBase64(publicKey),
+      { name: 'ECDSA', namedCurve: 'P-256' },
+      false,
+      ['verify']
+    );
+    let bytes = PlatformConfigLoader.decodeBase64(signature);
+    if (bytes[0] === 0x30) {
+      bytes = PlatformConfigLoader.derToP1363(bytes);
+    }
+    return crypto.subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, key, bytes, new TextEncoder().encode(text));
+  }
+
+  /**
+   * 将 DER 编码的 ECDSA 签名（openssl 的输出格式）转换为 WebCrypto 使用的 r || s 格式
+   * @param {Uint8Array} der - DER 签名
+   * @returns {Uint8Array}
+   */
+  static derToP1363(der) {
+    const result = new Uint8Array(64);
+    let offset = der[1] & 0x80 ? 2 + (der[1] & 0x7f) : 2;
+    [0, 32].forEach((position) => {
+      const length = der[offset + 1];
+      let value = der.slice(offset + 2, offset + 2 + length);
+      while (value.length > 32 && value[0] === 0) value = value.slice(1);
+      result.set(value, position + 32 - value.length);
+      offset += 2 + length;
+    });
+    return result;
+  }
+
+  /**
+   * 读取扩展内的 JSON 文件
+   * @param {string} path - 相对扩展根目录的路径
+   * @returns {Promise<Object>}
+   */
+  async fetchExtensionJson(path) {
+    const response = await fetch(chrome.runtime.getURL(path));
+    if (!response.ok) {
+      throw new Error(`Failed to load ${path}: ${response.status}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * 校验配置：schema、正则和选择器语法（Service Worker 中没有 DOM，跳过选择器检查）
+   * @param {Object} config - 平台配置
+   * @returns {Promise<Array<string>>} 错误信息，为空表示通过
+   */
+  async validate(config) {
+    if (!this.schema) {
+      this.schema = await this.fetchExtensionJson(PlatformConfigLoader.SCHEMA_PATH);
+    }
+    const errors = new SchemaValidator(this.schema).validate(config);
+    if (errors.length > 0) return errors;
+
+    const probe = typeof document !== 'undefined' ? document.createDocumentFragment() : null;
+    Object.entries(config.platforms).forEach(([key, platform]) => {
+      if (platform.conversationIdPattern) {
+        try {
+          new RegExp(platform.conversationIdPattern);
+        } catch (error) {
+          errors.push(`$.platforms.${key}.conversationIdPattern: ${error.message}`);
+        }
+      }
+      if (!probe) return;
+
+      const { fallbackSelectors = {}, ...selectors } = platform.selectors;
+      const chains = [
+        ...Object.entries(selectors).map(([role, selector]) => [role, [selector]]),
+        ...Object.entries(fallbackSelectors).map(([role, list]) => [`fallbackSelectors.${role}`, list])
+      ];
+      chains.forEach(([role, list]) => {
+        list.forEach((selector) => {
+          try {
+            probe.querySelector(selector);
+          } catch (error) {
+            errors.push(`$.platforms.${key}.selectors.${role}: invalid selector ${selector}`);
+          }
+        });
+      });
+    });
+    return errors;
+  }
+
+  /**
+   * 读取远程配置的设置
+   * @returns {Promise<Object>} { url, verification: 'sha256' | 'signature', sha256, publicKey }
+   */
+  getSettings() {
+    return new Promise((resolve) => {
+      chrome.storage.sync.get([this.settingsKey], (result) => {
+        resolve({ url: '', verification: 'sha256', sha256: '', publicKey: '', ...result[this.settingsKey] });
+      });
+    });
+  }
+
+  /**
+   * 保存远程配置的设置
+   * @param {Object} settings - 设置
+   * @returns {Promise<void>}
+   */
+  saveSettings(settings) {
+    return new Promise((resolve) => {
+      chrome.storage.sync.set({ [this.settingsKey]: settings }, resolve);
+    });
+  }
+
+  /**
+   * 读取缓存
+   * current 为最近下载的远程配置，lastKnownGood 为已在页面上验证可用的版本，rejected 为已回滚的版本
+   * 每项为 { version, config, hash, url, fetchedAt, verified }
+   * @returns {Promise<Object>} { current, lastKnownGood, rejected, lastCheck }
+   */
+  getCache() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([this.cacheKey], (result) => {
+        resolve({ current: null, lastKnownGood: null, rejected: [], lastCheck: null, ...result[this.cacheKey] });
+      });
+    });
+  }
+
+  /**
+   * 保存缓存
+   * @param {Object} cache - 缓存
+   * @returns {Promise<void>}
+   */
+  saveCache(cache) {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [this.cacheKey]: cache }, resolve);
+    });
+  }
+
+  /**
+   * 清除缓存的远程配置（恢复使用内置配置）
+   * @returns {Promise<void>}
+   */
+  clearCache() {
+    return new Promise((resolve) => {
+      chrome.storage.local.remove(this.cacheKey, resolve);
+    });
+  }
+
+  /**
+   * 选择当前生效的配置
+   * 缓存的远程配置版本高于内置配置、未被回滚且通过校验时使用远程配置；
+   * 内置配置无法读取时使用任意可用的缓存配置
+   * @returns {Promise<Object>} { config, version, source: 'bundled' | 'remote', verified }
+   */
+  async resolve() {
+    let bundled = null;
+    try {
+      bundled = await this.fetchExtensionJson(PlatformConfigLoader.BUNDLED_PATH);
+    } catch (error) {
+      console.error('Failed to load bundled platforms config:', error);
+    }
+
+    const cache = await this.getCache();
+    const candidates = [cache.current, cache.lastKnownGood].filter(
+      (entry, idx, all) => entry && !cache.rejected.includes(entry.version) && all.findIndex((item) => item?.version === entry.version) === idx
+    );
+
+    for (const entry of candidates) {
+      if (bundled && PlatformConfigLoader.compareVersions(entry.version, bundled.version) <= 0) continue;
+
+      const errors = await this.validate(entry.config);
+      if (errors.length === 0) {
+        return { config: entry.config, version: entry.version, source: 'remote', verified: entry.verified };
+      }
+      console.warn(`Cached platforms config ${entry.version} is invalid:`, errors.join('; '));
+    }
+
+    if (bundled) {
+      return { config: bundled, version: bundled.version, source: 'bundled', verified: true };
+    }
+    throw new Error('No usable platforms config');
+  }
+
+  /**
+   * 校验下载内容的哈希或签名
+   * sha256 模式使用设置中固定的哈希，未设置时读取同目录的 <url>.sha256；signature 模式读取 <url>.sig
+   * @param {string} text - 配置原文
+   * @param {Object} settings - 远程配置的设置
+   * @returns {Promise<string>} 配置的 SHA-256
+   */
+  async verify(text, settings) {
+    const hash = await PlatformConfigLoader.sha256(text);
+
+    if (settings.verification === 'signature') {
+      if (!settings.publicKey) {
+        throw new Error('No public key configured');
+      }
+      const signature = await this.fetchText(`${settings.url}.sig`);
+      if (!(await PlatformConfigLoader.verifySignature(text, signature, settings.publicKey))) {
+        throw new Error('Signature verification failed');
+      }
+      return hash;
+    }
+
+    const expected = (settings.sha256 || (await this.fetchText(`${settings.url}.sha256`))).trim().split(/\s+/)[0].toLowerCase();
+    if (expected !== hash) {
+      throw new Error(`SHA-256 mismatch: expected ${expected}, got ${hash}`);
+    }
+    return hash;
+  }
+
+  /**
+   * 下载文本
+   * @param {string} url - 地址
+   * @returns {Promise<string>}
+   */
+  async fetchText(url) {
+    const response = await fetch(url, { cache: 'no-store' });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${url}: HTTP ${response.status}`);
+    }
+    return response.text();
+  }
+
+  /**
+   * 下载并校验远程配置，版本更高时写入缓存（由 Service Worker 定期调用）
+   * @returns {Promise<Object>} { success, updated, version, error }
+   */
+  async refresh() {
+    const settings = await this.getSettings();
+    if (!settings.url) {
+      return { success: true, updated: false, version: null };
+    }
+
+    const cache = await this.getCache();
+    try {
+      const text = await this.fetchText(settings.url);
+      const hash = await this.verify(text, settings);
+
+      let config;
+      try {
+        config = JSON.parse(text);
+      } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+      }
+      const errors = await this.validate(config);
+      if (errors.length > 0) {
+        throw new Error(`Schema validation failed: ${errors.slice(0, 5).join('; ')}`);
+      }
+      if (cache.rejected.includes(config.version)) {
+        throw new Error(`Version ${config.version} was rolled back after extraction failed`);
+      }
+
+      const updated = !cache.current || PlatformConfigLoader.compareVersions(config.version, cache.current.version) > 0;
+      if (updated) {
+        if (cache.current?.verified) {
+          cache.lastKnownGood = cache.current;
+        }
+        cache.current = { version: config.version, config, hash, url: settings.url, fetchedAt: Date.now(), verified: false };
+        console.log(`Platforms config ${config.version} downloaded from ${settings.url}`);
+      }
+      cache.lastCheck = { time: Date.now(), success: true, version: config.version };
+      await this.saveCache(cache);
+      return { success: true, updated, version: config.version };
+    } catch (error) {
+      console.warn('Failed to update platforms config:', error.message);
+      cache.lastCheck = { time: Date.now(), success: false, error: error.message };
+      await this.saveCache(cache);
+      return { success: false, updated: false, error: error.message };
+    }
+  }
+
+  /**
+   * 记录远程配置在页面上的提取结果
+   * 成功时标记为 last-known-good；失败时回滚到上一个可用版本（没有时使用内置配置）
+   * @param {string} version - 页面使用的配置版本
+   * @param {boolean} healthy - 是否成功提取到消息
+   * @returns {Promise<Object>} 更新后的缓存
+   */
+  async reportHealth(version, healthy) {
+    const cache = await this.getCache();
+    if (!cache.current || cache.current.version !== version) return cache;
+
+    if (healthy) {
+      if (cache.current.verified) return cache;
+      cache.current.verified = true;
+      cache.lastKnownGood = cache.current;
+    } else {
+      console.warn(`Rolling back platforms config ${version}: no messages extracted`);
+      cache.rejected = [...cache.rejected, version].slice(-PlatformConfigLoader.MAX_REJECTED);
+      cache.current = cache.lastKnownGood?.version !== version ? cache.lastKnownGood : null;
+    }
+    await this.saveCache(cache);
+    return cache;
+  }
+}
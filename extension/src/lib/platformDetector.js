@@ -7,107 +7,222 @@ class PlatformDetector {
   constructor() {
     this.platformsConfig = null;
     this.currentPlatform = null;
+    this.bundledPlatforms = {};
+    this.customPlatforms = {};
+    this.configLoader = new PlatformConfigLoader();
+    this.configInfo = null; // { version, source, verified }
   }
 
   /**
-   * 初始化平台配置
+   * 用户自定义平台在 chrome.storage.sync 中的键前缀（每个平台单独存储，避免超出单项配额）
+   */
+  static get CUSTOM_PLATFORM_PREFIX() {
+    return 'customPlatform:';
+  }
+
+  /**
+   * 初始化平台配置（内置配置或缓存的远程配置，见 PlatformConfigLoader）
    */
   async init() {
     try {
-      // 尝试多个可能的路径
-      const possiblePaths = [
-        'src/config/platforms.json',
-        '/src/config/platforms.json',
-        chrome.runtime.getURL('src/config/platforms.json')
-      ];
-      
-      let response = null;
-      let lastError = null;
-      
-      for (const path of possiblePaths) {
-        try {
-          response = await fetch(path);
-          if (response.ok) {
-            console.log(`Successfully loaded platforms config from: ${path}`);
-            break;
-          }
-        } catch (error) {
-          lastError = error;
-          console.log(`Failed to load from ${path}:`, error.message);
-        }
-      }
-      
-      if (!response || !response.ok) {
-        throw lastError || new Error('Failed to load platforms config from any path');
-      }
-      
-      this.platformsConfig = await response.json();
-      console.log('Platforms config loaded successfully');
+      const resolved = await this.configLoader.resolve();
+      this.platformsConfig = resolved.config;
+      this.configInfo = { version: resolved.version, source: resolved.source, verified: resolved.verified };
+      console.log(`Platforms config ${resolved.version} loaded (${resolved.source})`);
     } catch (error) {
       console.error('Failed to load platforms config:', error);
-      // 使用内联的平台配置作为备选方案
-      this.platformsConfig = this.getDefaultPlatformsConfig();
+      // 没有可用的配置时只使用用户自定义的平台
+      this.platformsConfig = { platforms: {} };
+      this.configInfo = { version: null, source: 'none', verified: false };
+    }
+
+    // 合并用户自定义的平台定义
+    this.bundledPlatforms = this.platformsConfig.platforms;
+    try {
+      this.customPlatforms = await PlatformDetector.loadCustomPlatforms();
+    } catch (error) {
+      console.error('Failed to load custom platforms:', error);
+      this.customPlatforms = {};
     }
+    this.platformsConfig = {
+      ...this.platformsConfig,
+      platforms: PlatformDetector.mergePlatforms(this.bundledPlatforms, this.customPlatforms)
+    };
   }
 
   /**
-   * 获取默认的平台配置（备选方案）
+   * 从 chrome.storage.sync 读取用户自定义的平台定义
+   * @returns {Promise<Object>} 平台 key 到配置的映射
    */
-  getDefaultPlatformsConfig() {
-    return {
-      "platforms": {
-        "chatgpt": {
-          "name": "ChatGPT",
-          "urls": ["chat.openai.com", "chatgpt.com"],
-          "selectors": {
-            "userMessage": "[role=\"user\"]",
-            "assistantMessage": "[role=\"assistant\"]",
-            "messageContent": "div:first-child",
-            "scrollContainer": "main"
-          }
-        },
-        "gemini": {
-          "name": "Google Gemini",
-          "urls": ["gemini.google.com"],
-          "selectors": {
-            "userMessage": "[data-role=\"user\"]",
-            "assistantMessage": "[data-role=\"assistant\"]",
-            "messageContent": ".message-content, [role=\"article\"]",
-            "scrollContainer": "body"
-          }
-        },
-        "claude": {
-          "name": "Anthropic Claude",
-          "urls": ["claude.ai"],
-          "selectors": {
-            "userMessage": ".user-message",
-            "assistantMessage": ".assistant-message",
-            "messageContent": ".message-text, [role=\"article\"]",
-            "scrollContainer": "main"
-          }
-        },
-        "deepseek": {
-          "name": "DeepSeek",
-          "urls": ["chat.deepseek.com"],
-          "selectors": {
-            "userMessage": "[data-sender=\"user\"]",
-            "assistantMessage": "[data-sender=\"assistant\"]",
-            "messageContent": ".ds-message-content, .message-content",
-            "scrollContainer": "body"
+  static loadCustomPlatforms() {
+    return new Promise((resolve, reject) => {
+      chrome.storage.sync.get(null, (items) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        const platforms = {};
+        for (const [storageKey, config] of Object.entries(items || {})) {
+          if (storageKey.startsWith(PlatformDetector.CUSTOM_PLATFORM_PREFIX)) {
+            platforms[storageKey.slice(PlatformDetector.CUSTOM_PLATFORM_PREFIX.length)] = config;
           }
-        },
-        "doubao": {
-          "name": "字节豆包",
-          "urls": ["doubao.com"],
-          "selectors": {
-            "userMessage": "[data-type=\"user\"]",
-            "assistantMessage": "[data-type=\"assistant\"]",
-            "messageContent": ".message-body, .message-content",
-            "scrollContainer": "body"
+        }
+        resolve(platforms);
+      });
+    });
+  }
+
+  /**
+   * 保存单个自定义平台定义
+   * @param {string} key - 平台 key
+   * @param {Object} config - 平台配置
+   * @returns {Promise<void>}
+   */
+  static saveCustomPlatform(key, config) {
+    return new Promise((resolve, reject) => {
+      chrome.storage.sync.set({ [PlatformDetector.CUSTOM_PLATFORM_PREFIX + key]: config }, () => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * 删除自定义平台定义（内置平台将恢复为默认配置）
+   * @param {string} key - 平台 key
+   * @returns {Promise<void>}
+   */
+  static removeCustomPlatform(key) {
+    return new Promise((resolve) => {
+      chrome.storage.sync.remove(PlatformDetector.CUSTOM_PLATFORM_PREFIX + key, resolve);
+    });
+  }
+
+  /**
+   * 将自定义平台合并到内置配置之上
+   * 同名平台逐项覆盖 selectors 和 fallbackSelectors，其余字段直接覆盖
+   * @param {Object} bundled - 内置平台配置
+   * @param {Object} custom - 自定义平台配置
+   * @returns {Object} 合并后的平台配置
+   */
+  static mergePlatforms(bundled, custom) {
+    const merged = { ...bundled };
+
+    for (const [key, config] of Object.entries(custom || {})) {
+      const base = bundled[key];
+      if (!base) {
+        merged[key] = config;
+        continue;
+      }
+
+      merged[key] = {
+        ...base,
+        ...config,
+        selectors: {
+          ...base.selectors,
+          ...config.selectors,
+          fallbackSelectors: {
+            ...base.selectors?.fallbackSelectors,
+            ...config.selectors?.fallbackSelectors
           }
         }
+      };
+    }
+
+    return merged;
+  }
+
+  /**
+   * 计算编辑后的平台定义相对内置定义的差异（mergePlatforms 的逆操作）
+   * 只保存用户改过的字段，之后内置配置和远程配置的更新仍会生效
+   * 删除的字段保存为空值，以便合并时覆盖内置定义中的值
+   * @param {Object} base - 内置平台配置
+   * @param {Object} config - 编辑后的完整平台配置
+   * @returns {Object} 需要保存的覆盖项（没有差异时为空对象）
+   */
+  static diffPlatform(base, config) {
+    const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+    const override = {};
+
+    const fields = new Set([...Object.keys(base), ...Object.keys(config)]);
+    fields.delete('selectors');
+    fields.forEach((field) => {
+      const value = config[field];
+      if (field === 'enabled') {
+        if ((value !== false) !== (base.enabled !== false)) override.enabled = value !== false;
+      } else if (!same(value, base[field])) {
+        override[field] = value ?? '';
       }
-    };
+    });
+
+    const baseSelectors = base.selectors || {};
+    const selectors = config.selectors || {};
+    const selectorOverride = {};
+    new Set([...Object.keys(baseSelectors), ...Object.keys(selectors)]).forEach((role) => {
+      if (role !== 'fallbackSelectors' && !same(selectors[role], baseSelectors[role])) {
+        selectorOverride[role] = selectors[role] || '';
+      }
+    });
+
+    const baseFallbacks = baseSelectors.fallbackSelectors || {};
+    const fallbacks = selectors.fallbackSelectors || {};
+    const fallbackOverride = {};
+    new Set([...Object.keys(baseFallbacks), ...Object.keys(fallbacks)]).forEach((role) => {
+      if (!same(fallbacks[role] || [], baseFallbacks[role] || [])) {
+        fallbackOverride[role] = fallbacks[role] || [];
+      }
+    });
+
+    if (Object.keys(fallbackOverride).length > 0) {
+      selectorOverride.fallbackSelectors = fallbackOverride;
+    }
+    if (Object.keys(selectorOverride).length > 0) {
+      override.selectors = selectorOverride;
+    }
+    return override;
+  }
+
+  /**
+   * 提取 URL 规则中用于匹配 host 的部分（去掉协议、路径和 *. 前缀）
+   * @param {string} urlPattern - URL 规则
+   * @returns {string}
+   */
+  static toHostRule(urlPattern) {
+    return urlPattern
+      .trim()
+      .replace(/^[\w*]+:\/\//, '')
+      .replace(/\/.*$/, '')
+      .replace(/^\*\./, '');
+  }
+
+  /**
+   * 将平台 URL 规则转换为 Chrome 匹配模式（用于申请权限和注册 content script）
+   * 支持主机名（可带端口和 *. 前缀）以及完整的匹配模式
+   * @param {Array<string>} urls - URL 规则
+   * @returns {Array<string>}
+   */
+  static toMatchPatterns(urls) {
+    const patterns = new Set();
+
+    for (const url of urls || []) {
+      const rule = url.trim();
+      if (!rule) continue;
+
+      if (rule.includes('://')) {
+        patterns.add(rule);
+        continue;
+      }
+
+      // 匹配模式不支持端口，去掉端口后即匹配该主机的所有端口
+      const host = rule.replace(/\/.*$/, '').replace(/:\d+$/, '');
+      patterns.add(`https://${host}/*`);
+      patterns.add(`http://${host}/*`);
+    }
+
+    return [...patterns];
   }
 
   /**
@@ -120,11 +235,14 @@ class PlatformDetector {
       return null;
     }
 
-    const currentUrl = window.location.hostname;
+    // 使用 host（含端口）以支持自托管站点的端口规则
+    const currentUrl = window.location.host;
 
     for (const [platformKey, platformConfig] of Object.entries(this.platformsConfig.platforms)) {
-      for (const urlPattern of platformConfig.urls) {
-        if (currentUrl.includes(urlPattern)) {
+      if (platformConfig.enabled === false) continue;
+
+      for (const urlPattern of platformConfig.urls || []) {
+        if (currentUrl.includes(PlatformDetector.toHostRule(urlPattern))) {
           this.currentPlatform = {
             key: platformKey,
             ...platformConfig
@@ -139,6 +257,49 @@ class PlatformDetector {
     return null;
   }
 
+  /**
+   * 将选择器保存为当前平台的覆盖配置（原主选择器降级为首个备用选择器）
+   * @param {string} role - 选择器名称（userMessage 等）
+   * @param {string} selector - 新的选择器
+   * @returns {Promise<Object>} 更新后的当前平台配置
+   */
+  async overrideSelector(role, selector) {
+    const platform = this.currentPlatform;
+    if (!platform) {
+      throw new Error('Platform not detected');
+    }
+
+    const { key } = platform;
+    const previousChain = [
+      platform.selectors[role],
+      ...(platform.selectors.fallbackSelectors?.[role] || [])
+    ];
+    const fallbacks = previousChain.filter(
+      (item, idx) => item && item !== selector && previousChain.indexOf(item) === idx
+    );
+
+    const existing = this.customPlatforms[key] || {};
+    const override = {
+      ...existing,
+      selectors: {
+        ...existing.selectors,
+        [role]: selector,
+        fallbackSelectors: {
+          ...existing.selectors?.fallbackSelectors,
+          [role]: fallbacks
+        }
+      }
+    };
+
+    await PlatformDetector.saveCustomPlatform(key, override);
+    this.customPlatforms[key] = override;
+    this.platformsConfig.platforms = PlatformDetector.mergePlatforms(this.bundledPlatforms, this.customPlatforms);
+    this.currentPlatform = { key, ...this.platformsConfig.platforms[key] };
+
+    console.log(`Saved ${role} selector override for ${key}: ${selector}`);
+    return this.currentPlatform;
+  }
+
   /**
    * 获取当前平台的配置
    * @returns {Object|null}
@@ -147,6 +308,14 @@ class PlatformDetector {
     return this.currentPlatform;
   }
 
+  /**
+   * 当前使用的选择器配置版本和来源
+   * @returns {Object|null} { version, source: 'bundled' | 'remote' | 'none', verified }
+   */
+  getConfigInfo() {
+    return this.configInfo;
+  }
+
   /**
    * 获取默认配置
    * @returns {Object}
@@ -160,6 +329,46 @@ class PlatformDetector {
     };
   }
 
+  /**
+   * 获取当前对话的 ID（用于区分同一平台下不同对话的状态）
+   * 优先使用平台配置的 conversationIdPattern（匹配 pathname，取第一个捕获组），
+   * 未配置或不匹配时使用去掉末尾斜杠的 pathname
+   * @param {Location|URL} location - 页面地址，默认为当前页面
+   * @returns {string}
+   */
+  getConversationId(location = window.location) {
+    const pattern = this.currentPlatform?.conversationIdPattern;
+    if (pattern) {
+      try {
+        const match = location.pathname.match(new RegExp(pattern));
+        if (match) {
+          return match[1] || match[0];
+        }
+      } catch (error) {
+        console.warn(`Invalid conversationIdPattern: ${pattern}`, error);
+      }
+    }
+
+    return location.pathname.replace(/\/+$/, '') || '/';
+  }
+
+  /**
+   * 当前页面是否为一个已保存的对话（平台配置了 conversationIdPattern 但不匹配时，
+   * 通常是尚未发送消息的新对话页面）
+   * @param {Location|URL} location - 页面地址，默认为当前页面
+   * @returns {boolean}
+   */
+  hasConversationId(location = window.location) {
+    const pattern = this.currentPlatform?.conversationIdPattern;
+    if (!pattern) return true;
+
+    try {
+      return new RegExp(pattern).test(location.pathname);
+    } catch (error) {
+      return true;
+    }
+  }
+
   /**
    * 获取平台名称
    * @returns {string}
@@ -177,5 +386,7 @@ class PlatformDetector {
   }
 }
 
-// 创建全局实例
-window.platformDetector = new PlatformDetector();
+// 创建全局实例（Service Worker 中没有 window，仅导入类）
+if (typeof window !== 'undefined') {
+  window.platformDetector = new PlatformDetector();
+}
@@ -0,0 +1,155 @@
+/**
+ * Prompt Inserter Module
+ * 用于将文本填入当前平台的输入框并（可选）发送
+ */
+
+class PromptInserter {
+  constructor(platformDetector) {
+    this.platformDetector = platformDetector;
+    this.sending = false; // 正在由扩展自身点击发送按钮（输入检查据此放行）
+  }
+
+  /**
+   * 输入框所在表单之外，向上查找发送按钮的最大层数
+   */
+  static get COMPOSER_DEPTH() {
+    return 6;
+  }
+
+  /**
+   * 按选择器链查找第一个匹配的元素
+   * @param {string} key - 选择器名称（inputBox / sendButton）
+   * @param {ParentNode} root - 查找范围，默认整个文档
+   * @returns {Element|null}
+   */
+  findElement(key, root = document) {
+    const platform = this.platformDetector.getPlatformConfig();
+    if (!platform) return null;
+
+    const selectors = [
+      platform.selectors[key],
+      ...(platform.selectors.fallbackSelectors?.[key] || [])
+    ].filter(Boolean);
+
+    for (const selector of selectors) {
+      try {
+        const element = root.querySelector(selector);
+        if (element) {
+          return element;
+        }
+      } catch (error) {
+        console.warn(`Invalid selector: ${selector}`, error);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 获取输入框
+   * @returns {Element|null}
+   */
+  getInputBox() {
+    return this.findElement('inputBox');
+  }
+
+  /**
+   * 查找输入框所在输入区域内的发送按钮
+   * 只在输入框所属的表单内，或从输入框向上有限层数的容器内查找，
+   * 避免宽泛的选择器（如 DeepSeek 的 div[role="button"]）匹配到页面上其他按钮
+   * @returns {Element|null}
+   */
+  getSendButton() {
+    const inputBox = this.getInputBox();
+    if (!inputBox) return null;
+
+    const form = inputBox.closest('form');
+    if (form) {
+      return this.findElement('sendButton', form);
+    }
+
+    let scope = inputBox.parentElement;
+    for (let depth = 0; scope && scope !== document.body && depth < PromptInserter.COMPOSER_DEPTH; depth++) {
+      const sendButton = this.findElement('sendButton', scope);
+      if (sendButton) return sendButton;
+      scope = scope.parentElement;
+    }
+    return null;
+  }
+
+  /**
+   * 将文本填入输入框（替换已有内容）
+   * @param {string} text - 要填入的文本
+   * @returns {boolean} 是否成功
+   */
+  insert(text) {
+    const inputBox = this.getInputBox();
+    if (!inputBox) {
+      console.warn('Input box not found');
+      return false;
+    }
+
+    inputBox.focus();
+
+    if (inputBox instanceof HTMLTextAreaElement || inputBox instanceof HTMLInputElement) {
+      // 通过原生 setter 赋值，确保 React 等框架能感知变化
+      const prototype = Object.getPrototypeOf(inputBox);
+      const setter = Object.getOwnPropertyDescriptor(prototype, 'value')?.set;
+      if (setter) {
+        setter.call(inputBox, text);
+      } else {
+        inputBox.value = text;
+      }
+      inputBox.dispatchEvent(new Event('input', { bubbles: true }));
+      inputBox.dispatchEvent(new Event('change', { bubbles: true }));
+    } else {
+      // contenteditable 编辑器（ProseMirror、Quill 等）通过编辑命令插入以保持编辑器状态
+      const selection = window.getSelection();
+      const range = document.createRange();
+      range.selectNodeContents(inputBox);
+      selection.removeAllRanges();
+      selection.addRange(range);
+      if (!document.execCommand('insertText', false, text)) {
+        inputBox.textContent = text;
+        inputBox.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: text }));
+      }
+    }
+
+    console.log('Prompt inserted into input box');
+    return true;
+  }
+
+  /**
+   * 发送按钮是否存在且可用（不输出日志，供等待按钮启用时轮询）
+   * @returns {boolean}
+   */
+  canSend() {
+    const sendButton = this.getSendButton();
+    return Boolean(sendButton) && !sendButton.disabled && sendButton.getAttribute('aria-disabled') !== 'true';
+  }
+
+  /**
+   * 点击发送按钮
+   * @returns {boolean} 是否成功
+   */
+  send() {
+    if (!this.canSend()) {
+      console.warn('Send button not found or disabled');
+      return false;
+    }
+
+    this.sending = true;
+    try {
+      this.getSendButton().click();
+    } finally {
+      this.sending = false;
+    }
+    return true;
+  }
+}
+
+// 创建全局实例
+window.promptInserter = null;
+
+if (window.platformDetector) {
+  window.promptInserter = new PromptInserter(window.platformDetector);
+}
@@ -0,0 +1,164 @@
+/**
+ * Prompt Library Module
+ * 用于存储和复用提示词模板（支持标签和 {{变量}}）
+ * 同时在 content script 和 popup 中使用
+ */
+
+class PromptLibrary {
+  constructor() {
+    this.storageKey = 'promptLibrary';
+    this.templates = [];
+  }
+
+  /**
+   * 从 storage 加载模板
+   * @returns {Promise<Array>}
+   */
+  load() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([this.storageKey], (result) => {
+        this.templates = result[this.storageKey] || [];
+        resolve(this.templates);
+      });
+    });
+  }
+
+  /**
+   * 保存模板到 storage
+   * @returns {Promise<void>}
+   */
+  save() {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [this.storageKey]: this.templates }, resolve);
+    });
+  }
+
+  /**
+   * 监听其他页面（侧边栏 / popup）对模板的修改
+   * @param {Function} callback - 模板变化时的回调
+   */
+  watch(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[this.storageKey]) {
+        this.templates = changes[this.storageKey].newValue || [];
+        callback(this.templates);
+      }
+    });
+  }
+
+  /**
+   * 获取按更新时间倒序排列的模板
+   * @returns {Array}
+   */
+  list() {
+    return [...this.templates].sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * 搜索模板（匹配名称、内容和标签，多个关键词需全部匹配）
+   * @param {string} query - 搜索词
+   * @returns {Array}
+   */
+  search(query) {
+    const keywords = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (keywords.length === 0) return this.list();
+
+    return this.list().filter((template) => {
+      const haystack = [template.name, template.text, ...template.tags].join('\n').toLowerCase();
+      return keywords.every((keyword) => haystack.includes(keyword));
+    });
+  }
+
+  /**
+   * 获取指定模板
+   * @param {string} id - 模板 ID
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.templates.find((template) => template.id === id) || null;
+  }
+
+  /**
+   * 新增模板
+   * @param {Object} data - { name, text, tags }
+   * @returns {Promise<Object>} 新模板
+   */
+  async add(data) {
+    const now = Date.now();
+    const template = {
+      id: crypto.randomUUID(),
+      name: data.name.trim(),
+      text: data.text,
+      tags: data.tags || [],
+      createdAt: now,
+      updatedAt: now
+    };
+    this.templates.push(template);
+    await this.save();
+    return template;
+  }
+
+  /**
+   * 更新模板
+   * @param {string} id - 模板 ID
+   * @param {Object} changes - 要更新的字段
+   * @returns {Promise<Object|null>}
+   */
+  async update(id, changes) {
+    const template = this.get(id);
+    if (!template) return null;
+
+    Object.assign(template, changes, { updatedAt: Date.now() });
+    await this.save();
+    return template;
+  }
+
+  /**
+   * 删除模板
+   * @param {string} id - 模板 ID
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    this.templates = this.templates.filter((template) => template.id !== id);
+    await this.save();
+  }
+
+  /**
+   * 解析模板中的变量名（去重，保持出现顺序）
+   * @param {string} text - 模板内容
+   * @returns {Array<string>}
+   */
+  static parseVariables(text) {
+    const names = [];
+    for (const match of text.matchAll(/\{\{\s*([^{}]+?)\s*\}\}/g)) {
+      if (!names.includes(match[1])) {
+        names.push(match[1]);
+      }
+    }
+    return names;
+  }
+
+  /**
+   * 用变量值填充模板
+   * @param {string} text - 模板内容
+   * @param {Object} values - 变量名到值的映射
+   * @returns {string}
+   */
+  static fill(text, values) {
+    return text.replace(/\{\{\s*([^{}]+?)\s*\}\}/g, (placeholder, name) =>
+      Object.prototype.hasOwnProperty.call(values, name) ? values[name] : placeholder
+    );
+  }
+
+  /**
+   * 解析逗号分隔的标签输入
+   * @param {string} input - 标签字符串
+   * @returns {Array<string>}
+   */
+  static parseTags(input) {
+    return [...new Set((input || '').split(/[,，]/).map((tag) => tag.trim()).filter(Boolean))];
+  }
+}
+
+// 创建全局实例
+window.promptLibrary = new PromptLibrary();
@@ -0,0 +1,283 @@
+/**
+ * Prompt Library Panel Module
+ * 侧边栏中的提示词库视图：浏览、搜索、编辑模板，填写变量后插入输入框
+ */
+
+class PromptLibraryPanel {
+  constructor(promptLibrary, promptInserter) {
+    this.promptLibrary = promptLibrary;
+    this.promptInserter = promptInserter;
+    this.container = null;
+    this.mode = 'list';
+    this.query = '';
+    this.draft = null;
+    this.fillingTemplate = null;
+  }
+
+  /**
+   * 挂载到侧边栏容器
+   * @param {Element} container - 视图容器
+   */
+  mount(container) {
+    this.container = container;
+    container.innerHTML = `
+      <div class="aichathelper-library-toolbar">
+        <input type="text" class="aichathelper-library-search" placeholder="${i18n.t('librarySearchPlaceholder')}">
+        <button class="aichathelper-library-new" title="${i18n.t('libraryNewTitle')}">＋ ${i18n.t('libraryNew')}</button>
+      </div>
+      <div class="aichathelper-library-body"></div>
+    `;
+
+    container.querySelector('.aichathelper-library-search').addEventListener('input', (e) => {
+      this.query = e.target.value;
+      this.showList();
+    });
+    container.querySelector('.aichathelper-library-new').addEventListener('click', () => {
+      this.openEditor({ name: '', text: '', tags: [] });
+    });
+    container.querySelector('.aichathelper-library-body').addEventListener('click', (e) => this.handleClick(e));
+    container.querySelector('.aichathelper-library-body').addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (e.target.classList.contains('aichathelper-library-editor')) {
+        this.saveDraft(e.target);
+      } else if (e.target.classList.contains('aichathelper-library-fill')) {
+        this.insertFilled(e.target);
+      }
+    });
+
+    this.promptLibrary.watch(() => {
+      if (this.mode === 'list') this.render();
+    });
+    this.promptLibrary.load().then(() => this.render());
+  }
+
+  /**
+   * 处理模板列表和表单中的按钮点击
+   * @param {Event} e - 点击事件
+   */
+  handleClick(e) {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+
+    const id = button.closest('[data-id]')?.dataset.id;
+    const template = id ? this.promptLibrary.get(id) : null;
+
+    switch (button.dataset.action) {
+      case 'use':
+        if (template) this.useTemplate(template);
+        break;
+      case 'edit':
+        if (template) this.openEditor(template);
+        break;
+      case 'delete':
+        if (template && window.confirm(i18n.t('libraryDeleteConfirm', template.name))) {
+          this.promptLibrary.remove(template.id).then(() => this.render());
+        }
+        break;
+      case 'cancel':
+        this.showList();
+        break;
+    }
+  }
+
+  /**
+   * 显示模板列表
+   */
+  showList() {
+    this.mode = 'list';
+    this.draft = null;
+    this.fillingTemplate = null;
+    this.render();
+  }
+
+  /**
+   * 打开模板编辑表单
+   * @param {Object} template - 已有模板或新模板草稿 { name, text, tags }
+   */
+  openEditor(template) {
+    this.mode = 'edit';
+    this.draft = { ...template };
+    this.render();
+    this.container.querySelector('.aichathelper-library-editor [name="name"]')?.focus();
+  }
+
+  /**
+   * 使用模板：有变量时先填写变量，否则直接插入
+   * @param {Object} template - 模板
+   */
+  useTemplate(template) {
+    if (PromptLibrary.parseVariables(template.text).length === 0) {
+      this.insert(template.text);
+      return;
+    }
+
+    this.mode = 'fill';
+    this.fillingTemplate = template;
+    this.render();
+    this.container.querySelector('.aichathelper-library-fill input')?.focus();
+  }
+
+  /**
+   * 保存编辑表单
+   * @param {HTMLFormElement} form - 编辑表单
+   */
+  async saveDraft(form) {
+    const data = {
+      name: form.elements.name.value.trim(),
+      text: form.elements.text.value,
+      tags: PromptLibrary.parseTags(form.elements.tags.value)
+    };
+    if (!data.name || !data.text.trim()) return;
+
+    if (this.draft?.id) {
+      await this.promptLibrary.update(this.draft.id, data);
+    } else {
+      await this.promptLibrary.add(data);
+    }
+    this.showList();
+  }
+
+  /**
+   * 用表单中的变量值填充模板并插入
+   * @param {HTMLFormElement} form - 变量表单
+   */
+  insertFilled(form) {
+    const values = {};
+    form.querySelectorAll('input[data-variable]').forEach((input) => {
+      values[input.dataset.variable] = input.value;
+    });
+    if (this.insert(PromptLibrary.fill(this.fillingTemplate.text, values))) {
+      this.showList();
+    }
+  }
+
+  /**
+   * 插入文本到平台输入框
+   * @param {string} text - 提示词
+   * @returns {boolean}
+   */
+  insert(text) {
+    const success = this.promptInserter?.insert(text) || false;
+    this.setStatus(i18n.t(success ? 'popupInserted' : 'libraryInputNotFound'));
+    return success;
+  }
+
+  /**
+   * 显示操作结果提示
+   * @param {string} text - 提示文本
+   */
+  setStatus(text) {
+    const body = this.container.querySelector('.aichathelper-library-body');
+    const status = document.createElement('div');
+    status.className = 'aichathelper-library-status';
+    status.textContent = text;
+    body.prepend(status);
+    setTimeout(() => status.remove(), 2000);
+  }
+
+  /**
+   * 渲染当前模式
+   */
+  render() {
+    if (!this.container) return;
+
+    const body = this.container.querySelector('.aichathelper-library-body');
+    const renderers = {
+      list: () => this.renderList(),
+      edit: () => this.renderEditor(),
+      fill: () => this.renderFillForm()
+    };
+    body.innerHTML = renderers[this.mode]();
+  }
+
+  /**
+   * 渲染模板列表
+   * @returns {string} HTML
+   */
+  renderList() {
+    const templates = this.promptLibrary.search(this.query);
+    if (templates.length === 0) {
+      return `<div class="aichathelper-empty">${i18n.t(this.query ? 'libraryNoMatch' : 'libraryEmpty')}</div>`;
+    }
+
+    return templates
+      .map(
+        (template) => `
+      <div class="aichathelper-library-item" data-id="${this.escapeHtml(template.id)}">
+        <div class="aichathelper-library-name">${this.escapeHtml(template.name)}</div>
+        <div class="aichathelper-library-preview">${this.escapeHtml(template.text)}</div>
+        ${template.tags.length ? `<div class="aichathelper-library-tags">${template.tags.map((tag) => `<span class="aichathelper-library-tag">${this.escapeHtml(tag)}</span>`).join('')}</div>` : ''}
+        <div class="aichathelper-library-actions">
+          <button data-action="use">${i18n.t('actionInsert')}</button>
+          <button data-action="edit">${i18n.t('actionEdit')}</button>
+          <button data-action="delete">${i18n.t('actionDelete')}</button>
+        </div>
+      </div>
+    `
+      )
+      .join('');
+  }
+
+  /**
+   * 渲染模板编辑表单
+   * @returns {string} HTML
+   */
+  renderEditor() {
+    const draft = this.draft || {};
+    return `
+      <form class="aichathelper-library-editor">
+        <input type="text" name="name" placeholder="${i18n.t('libraryNamePlaceholder')}" value="${this.escapeHtml(draft.name || '')}" required>
+        <textarea name="text" rows="8" placeholder="${i18n.t('libraryTextPlaceholder')}" required>${this.escapeHtml(draft.text || '')}</textarea>
+        <input type="text" name="tags" placeholder="${i18n.t('libraryTagsPlaceholder')}" value="${this.escapeHtml((draft.tags || []).join(', '))}">
+        <div class="aichathelper-library-actions">
+          <button type="submit">${i18n.t('actionSave')}</button>
+          <button type="button" data-action="cancel">${i18n.t('actionCancel')}</button>
+        </div>
+      </form>
+    `;
+  }
+
+  /**
+   * 渲染变量填写表单
+   * @returns {string} HTML
+   */
+  renderFillForm() {
+    const template = this.fillingTemplate;
+    const fields = PromptLibrary.parseVariables(template.text)
+      .map(
+        (name) => `
+        <label class="aichathelper-library-field">
+          <span>${this.escapeHtml(name)}</span>
+          <input type="text" data-variable="${this.escapeHtml(name)}">
+        </label>`
+      )
+      .join('');
+
+    return `
+      <form class="aichathelper-library-fill">
+        <div class="aichathelper-library-name">${this.escapeHtml(template.name)}</div>
+        ${fields}
+        <div class="aichathelper-library-actions">
+          <button type="submit">${i18n.t('actionInsert')}</button>
+          <button type="button" data-action="cancel">${i18n.t('actionCancel')}</button>
+        </div>
+      </form>
+    `;
+  }
+
+  /**
+   * HTML 转义
+   * @param {string} text - 原始文本
+   * @returns {string}
+   */
+  escapeHtml(text) {
+    const map = {
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#039;'
+    };
+    return text.replace(/[&<>"']/g, (m) => map[m]);
+  }
+}
@@ -0,0 +1,132 @@
+/**
+ * Schema Validator Module
+ * JSON Schema（draft-07）的精简实现，只支持平台配置 schema 用到的关键字：
+ * type、const、enum、required、properties、additionalProperties、propertyNames、minProperties、
+ * items、minItems、minLength、pattern、minimum、maximum 以及指向 #/definitions 的 $ref
+ */
+
+class SchemaValidator {
+  constructor(schema) {
+    this.schema = schema;
+  }
+
+  /**
+   * 返回值的 JSON 类型（整数同时属于 number 和 integer）
+   * @param {*} value - 值
+   * @returns {string}
+   */
+  static typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
+  /**
+   * 值是否符合 type 关键字
+   * @param {*} value - 值
+   * @param {string|Array<string>} type - 允许的类型
+   * @returns {boolean}
+   */
+  static matchesType(value, type) {
+    return [].concat(type).some((name) => {
+      if (name === 'integer') return Number.isInteger(value);
+      return SchemaValidator.typeOf(value) === name;
+    });
+  }
+
+  /**
+   * 解析 $ref（只支持文档内的 #/definitions/...）
+   * @param {string} ref - 引用
+   * @returns {Object}
+   */
+  resolveRef(ref) {
+    if (!ref.startsWith('#/')) {
+      throw new Error(`Unsupported $ref: ${ref}`);
+    }
+    const target = ref
+      .slice(2)
+      .split('/')
+      .reduce((node, segment) => node?.[segment], this.schema);
+    if (!target) {
+      throw new Error(`Unresolved $ref: ${ref}`);
+    }
+    return target;
+  }
+
+  /**
+   * 校验值
+   * @param {*} value - 要校验的值
+   * @param {Object} schema - 子 schema，默认为根 schema
+   * @param {string} path - 值在文档中的路径（用于错误信息）
+   * @returns {Array<string>} 错误信息，为空表示通过
+   */
+  validate(value, schema = this.schema, path = '$') {
+    if (schema.$ref) {
+      return this.validate(value, this.resolveRef(schema.$ref), path);
+    }
+
+    const errors = [];
+    if (schema.type && !SchemaValidator.matchesType(value, schema.type)) {
+      errors.push(`${path}: expected ${[].concat(schema.type).join(' or ')}`);
+      return errors;
+    }
+    if ('const' in schema && value !== schema.const) {
+      errors.push(`${path}: expected ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path}: expected one of ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${path}: shorter than ${schema.minLength}`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${path}: does not match ${schema.pattern}`);
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path}: less than ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path}: greater than ${schema.maximum}`);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${path}: fewer than ${schema.minItems} items`);
+      }
+      if (schema.items) {
+        value.forEach((item, idx) => errors.push(...this.validate(item, schema.items, `${path}[${idx}]`)));
+      }
+    }
+
+    if (SchemaValidator.typeOf(value) === 'object') {
+      const keys = Object.keys(value);
+      if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+        errors.push(`${path}: fewer than ${schema.minProperties} properties`);
+      }
+      (schema.required || []).forEach((key) => {
+        if (!(key in value)) errors.push(`${path}.${key}: is required`);
+      });
+      keys.forEach((key) => {
+        const childPath = `${path}.${key}`;
+        if (schema.propertyNames) {
+          errors.push(...this.validate(key, schema.propertyNames, `${childPath} (name)`));
+        }
+        if (schema.properties?.[key]) {
+          errors.push(...this.validate(value[key], schema.properties[key], childPath));
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${childPath}: is not allowed`);
+        } else if (typeof schema.additionalProperties === 'object') {
+          errors.push(...this.validate(value[key], schema.additionalProperties, childPath));
+        }
+      });
+    }
+
+    return errors;
+  }
+}
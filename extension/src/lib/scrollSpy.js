@@ -0,0 +1,136 @@
+/**
+ * Scroll Spy Module
+ * 使用 IntersectionObserver 跟踪当前阅读到的对话轮次
+ */
+
+class ScrollSpy {
+  constructor(messageExtractor, onActiveChange) {
+    this.messageExtractor = messageExtractor;
+    this.onActiveChange = onActiveChange;
+    this.observer = null;
+    this.observed = new Map(); // 对话元素（提问或回答）→ 消息对象
+    this.visible = new Set();
+    this.activeMessage = null;
+    this.pausedUntil = 0;
+  }
+
+  /**
+   * 开始监听
+   * 视口上半部分为阅读区域：提问或回答进入该区域即视为正在阅读该轮对话
+   */
+  start() {
+    this.stop();
+    this.observer = new IntersectionObserver((entries) => this.handleEntries(entries), {
+      rootMargin: '0px 0px -50% 0px',
+      threshold: 0
+    });
+    this.sync();
+  }
+
+  /**
+   * 停止监听
+   */
+  stop() {
+    this.observer?.disconnect();
+    this.observer = null;
+    this.observed.clear();
+    this.visible.clear();
+    this.activeMessage = null;
+  }
+
+  /**
+   * 与当前消息列表同步需要监听的元素（消息列表变化后调用）
+   */
+  sync() {
+    if (!this.observer) return;
+
+    const current = new Map();
+    this.messageExtractor.getMessages().forEach((msg) => {
+      current.set(msg.userElement, msg);
+      if (msg.assistantElement) {
+        current.set(msg.assistantElement, msg);
+      }
+    });
+
+    this.observed.forEach((msg, element) => {
+      if (current.get(element) !== msg) {
+        this.observer.unobserve(element);
+        this.observed.delete(element);
+        this.visible.delete(element);
+      }
+    });
+
+    current.forEach((msg, element) => {
+      if (!this.observed.has(element)) {
+        this.observed.set(element, msg);
+        this.observer.observe(element);
+      }
+    });
+
+    if (this.activeMessage && !this.messageExtractor.getMessages().includes(this.activeMessage)) {
+      this.activeMessage = null;
+    }
+    this.update();
+  }
+
+  /**
+   * 直接指定当前轮次（点击侧边栏跳转时使用）
+   * 随后的平滑滚动期间不跟随中间经过的轮次，滚动结束后保持指定的轮次，直到用户再次滚动
+   * @param {number} index - 消息索引
+   * @param {number} duration - 暂停跟随的毫秒数
+   */
+  setActive(index, duration = 1000) {
+    this.activeMessage = this.messageExtractor.getMessageByIndex(index);
+    this.pausedUntil = Date.now() + duration;
+  }
+
+  /**
+   * 处理可见性变化
+   * @param {Array<IntersectionObserverEntry>} entries
+   */
+  handleEntries(entries) {
+    entries.forEach((entry) => {
+      if (entry.isIntersecting) {
+        this.visible.add(entry.target);
+      } else {
+        this.visible.delete(entry.target);
+      }
+    });
+    this.update();
+  }
+
+  /**
+   * 以阅读区域内最靠前的一轮作为当前轮次；区域内没有对话时保持不变
+   */
+  update() {
+    if (Date.now() < this.pausedUntil) return;
+
+    let active = null;
+    this.visible.forEach((element) => {
+      const msg = this.observed.get(element);
+      if (msg && (!active || msg.index < active.index)) {
+        active = msg;
+      }
+    });
+
+    if (active && active !== this.activeMessage) {
+      this.activeMessage = active;
+      this.onActiveChange?.(active.index);
+    }
+  }
+
+  /**
+   * 获取当前轮次的索引
+   * @returns {number} 没有时返回 -1
+   */
+  getActiveIndex() {
+    return this.activeMessage ? this.activeMessage.index : -1;
+  }
+}
+
+// 创建全局实例
+window.scrollSpy = null;
+
+if (window.messageExtractor) {
+  window.scrollSpy = new ScrollSpy(window.messageExtractor);
+}
@@ -0,0 +1,143 @@
+/**
+ * Selector Diagnostics Module
+ * 记录每条选择器链的匹配情况（命中的选择器、元素数量、最近一次生效时间）
+ */
+
+class SelectorDiagnostics {
+  constructor(platformDetector) {
+    this.platformDetector = platformDetector;
+    this.records = {};
+    this.lastWorked = {};
+    this.persistTimer = null;
+  }
+
+  /**
+   * 参与诊断的选择器（按显示顺序）
+   */
+  static get ROLES() {
+    return [
+      { key: 'userMessage', label: i18n.t('roleUserMessage'), fallback: true },
+      { key: 'assistantMessage', label: i18n.t('roleAssistantMessage'), fallback: true },
+      { key: 'messageContent', label: i18n.t('roleMessageContent') },
+      { key: 'scrollContainer', label: i18n.t('roleScrollContainer') },
+      { key: 'inputBox', label: i18n.t('roleInputBox'), fallback: true },
+      { key: 'sendButton', label: i18n.t('roleSendButton'), fallback: true }
+    ];
+  }
+
+  /**
+   * 生成 storage 键
+   * @returns {string}
+   */
+  getStorageKey() {
+    return `selectorHealth:${this.platformDetector.getPlatformConfig()?.key || 'unknown'}`;
+  }
+
+  /**
+   * 加载历史上最近一次生效的记录
+   * @returns {Promise<Object>}
+   */
+  load() {
+    const storageKey = this.getStorageKey();
+    return new Promise((resolve) => {
+      chrome.storage.local.get([storageKey], (result) => {
+        this.lastWorked = result[storageKey] || {};
+        resolve(this.lastWorked);
+      });
+    });
+  }
+
+  /**
+   * 记录一次选择器链的查找结果
+   * @param {string} role - 选择器名称（userMessage 等）
+   * @param {Array<string>} chain - 选择器链
+   * @param {number} matchedIndex - 命中的选择器序号（-1 表示全部未命中）
+   * @param {number} count - 命中的元素数量
+   */
+  record(role, chain, matchedIndex, count) {
+    const now = Date.now();
+    const previous = this.records[role];
+
+    this.records[role] = {
+      chain,
+      matchedIndex,
+      matchedSelector: matchedIndex >= 0 ? chain[matchedIndex] : null,
+      count,
+      checkedAt: now
+    };
+
+    if (matchedIndex < 0) {
+      if (previous?.matchedIndex >= 0) {
+        console.warn(`Selector chain for ${role} stopped matching`, chain);
+      }
+      return;
+    }
+
+    const worked = this.lastWorked[role];
+    const selectorChanged = worked?.selector !== chain[matchedIndex];
+    this.lastWorked[role] = { selector: chain[matchedIndex], count, lastMatchedAt: now };
+
+    // 命中的选择器变化时立即保存，否则最多每分钟保存一次
+    if (selectorChanged || now - (worked?.lastMatchedAt || 0) > 60000) {
+      this.schedulePersist();
+    }
+  }
+
+  /**
+   * 延迟保存最近一次生效的记录
+   */
+  schedulePersist() {
+    clearTimeout(this.persistTimer);
+    this.persistTimer = setTimeout(() => {
+      chrome.storage.local.set({ [this.getStorageKey()]: this.lastWorked });
+    }, 1000);
+  }
+
+  /**
+   * 获取选择器链（主选择器 + 备用选择器）
+   * @param {string} role - 选择器名称
+   * @returns {Array<string>}
+   */
+  getChain(role) {
+    const selectors = this.platformDetector.getPlatformConfig()?.selectors || {};
+    return [selectors[role], ...(selectors.fallbackSelectors?.[role] || [])].filter(Boolean);
+  }
+
+  /**
+   * 实时检测每个选择器的匹配数量，生成诊断报告
+   * @returns {Array<Object>} 每个选择器链的诊断信息
+   */
+  probe() {
+    return SelectorDiagnostics.ROLES.map((role) => {
+      const chain = this.getChain(role.key);
+      let firstMatch = -1;
+
+      const selectors = chain.map((selector, idx) => {
+        try {
+          const count = document.querySelectorAll(selector).length;
+          if (count > 0 && firstMatch < 0) {
+            firstMatch = idx;
+          }
+          return { selector, count, valid: true };
+        } catch (error) {
+          return { selector, count: 0, valid: false, error: error.message };
+        }
+      });
+
+      return {
+        ...role,
+        selectors,
+        matchedIndex: firstMatch,
+        record: this.records[role.key] || null,
+        lastWorked: this.lastWorked[role.key] || null
+      };
+    });
+  }
+}
+
+// 创建全局实例
+window.selectorDiagnostics = null;
+
+if (window.platformDetector) {
+  window.selectorDiagnostics = new SelectorDiagnostics(window.platformDetector);
+}
@@ -0,0 +1,353 @@
+/**
+ * Sensitive Data Detector Module
+ * 检测提问中的密钥、个人信息和内部地址（正则规则 + 高熵字符串），并提供脱敏替换
+ * 检测设置保存在同步存储中；脱敏记录只保存在本地，且只记录类型和数量，不保存命中的原文
+ * 同时在 content script（输入框检查、侧边栏标记）和设置页中使用
+ */
+
+class SensitiveDataDetector {
+  constructor() {
+    this.storageKey = 'sensitiveDetection';
+    this.logKey = 'redactionLog';
+    this.settings = this.normalize();
+    this.customRules = [];
+    this.cache = new Map(); // 文本 → 检测结果
+    this.revision = 0; // 设置变化时递增，侧边栏据此重新渲染标记
+  }
+
+  /**
+   * 内置检测规则
+   * group 为需要脱敏的捕获组（默认整段匹配）；validate 用于排除误报
+   */
+  static get DETECTORS() {
+    return {
+      privateKey: {
+        pattern: /-----BEGIN (?:[A-Z]+ )*PRIVATE KEY-----[\s\S]*?(?:-----END (?:[A-Z]+ )*PRIVATE KEY-----|$)/g
+      },
+      apiKey: {
+        pattern: /\b(?:sk-(?:proj-|ant-)?[A-Za-z0-9_-]{20,}|AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,}|xox[abprs]-[A-Za-z0-9-]{10,}|AIza[0-9A-Za-z_-]{35})/g
+      },
+      jwt: {
+        pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g
+      },
+      credential: {
+        pattern: /\b(?:password|passwd|pwd|secret|token|api[_-]?key|access[_-]?key)\s*[:=]\s*["']?([^\s"',;]{6,})/gi,
+        group: 1
+      },
+      email: {
+        pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g
+      },
+      phone: {
+        pattern: /(?<!\d)(?:\+?86[ -]?)?1[3-9]\d[ -]?\d{4}[ -]?\d{4}(?!\d)/g
+      },
+      idCard: {
+        pattern: /(?<![\dA-Za-z])\d{17}[\dXx](?![\dA-Za-z])/g,
+        validate: (text) => SensitiveDataDetector.isValidIdCard(text)
+      },
+      creditCard: {
+        pattern: /(?<!\d)\d(?:[ -]?\d){12,18}(?!\d)/g,
+        validate: (text) => SensitiveDataDetector.passesLuhn(text.replace(/\D/g, ''))
+      },
+      privateIp: {
+        pattern: /\b(?:10\.\d{1,3}|172\.(?:1[6-9]|2\d|3[01])|192\.168)\.\d{1,3}\.\d{1,3}\b/g
+      },
+      internalHost: {
+        pattern: /\b(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+(?:internal|intranet|corp|lan|local|localdomain)\b/gi
+      }
+    };
+  }
+
+  /**
+   * 高熵字符串检测：候选片段的最小长度和默认阈值（每字符比特数）
+   */
+  static get ENTROPY_MIN_LENGTH() {
+    return 20;
+  }
+
+  static get DEFAULT_ENTROPY_THRESHOLD() {
+    return 4;
+  }
+
+  /**
+   * 检测结果缓存的最大条目数
+   */
+  static get CACHE_SIZE() {
+    return 500;
+  }
+
+  /**
+   * 最多保留的脱敏记录数
+   */
+  static get MAX_LOG_ENTRIES() {
+    return 200;
+  }
+
+  /**
+   * 计算字符串的香农熵（每字符比特数）
+   * @param {string} text - 文本
+   * @returns {number}
+   */
+  static entropy(text) {
+    const counts = {};
+    for (const char of text) {
+      counts[char] = (counts[char] || 0) + 1;
+    }
+    return Object.values(counts).reduce((sum, count) => {
+      const p = count / text.length;
+      return sum - p * Math.log2(p);
+    }, 0);
+  }
+
+  /**
+   * Luhn 校验（银行卡号）
+   * @param {string} digits - 数字串
+   * @returns {boolean}
+   */
+  static passesLuhn(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let digit = Number(digits[digits.length - 1 - i]);
+      if (i % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+    return digits.length >= 13 && sum % 10 === 0;
+  }
+
+  /**
+   * 校验居民身份证号的校验位
+   * @param {string} text - 18 位身份证号
+   * @returns {boolean}
+   */
+  static isValidIdCard(text) {
+    const weights = [7, 9, 10, 5, 8, 4, 2, 1, 6, 3, 7, 9, 10, 5, 8, 4, 2];
+    const sum = weights.reduce((total, weight, i) => total + weight * Number(text[i]), 0);
+    return '10X98765432'[sum % 11] === text[17].toUpperCase();
+  }
+
+  /**
+   * 遮盖命中的文本，只保留首尾字符用于提示
+   * @param {string} text - 命中的文本
+   * @returns {string}
+   */
+  static mask(text) {
+    const compact = text.replace(/\s+/g, ' ');
+    if (compact.length <= 8) return '•'.repeat(compact.length);
+    return `${compact.slice(0, 3)}${'•'.repeat(Math.min(compact.length - 6, 12))}${compact.slice(-3)}`;
+  }
+
+  /**
+   * 校验设置字段，无效的字段使用默认值
+   * @param {Object} settings - 保存的设置
+   * @returns {Object} { enabled, guardInput, disabledDetectors, entropyThreshold, customPatterns }
+   */
+  normalize(settings = {}) {
+    const threshold = Number(settings.entropyThreshold);
+    return {
+      enabled: settings.enabled !== false,
+      guardInput: settings.guardInput !== false,
+      disabledDetectors: Array.isArray(settings.disabledDetectors) ? settings.disabledDetectors : [],
+      entropyThreshold: threshold > 0 ? threshold : SensitiveDataDetector.DEFAULT_ENTROPY_THRESHOLD,
+      customPatterns: Array.isArray(settings.customPatterns)
+        ? settings.customPatterns.filter((rule) => rule && rule.name && rule.pattern)
+        : []
+    };
+  }
+
+  /**
+   * 应用设置并编译自定义规则（无效的正则跳过）
+   * @param {Object} settings - 设置
+   */
+  apply(settings) {
+    this.settings = this.normalize(settings);
+    this.customRules = this.settings.customPatterns
+      .map((rule) => {
+        try {
+          return { name: rule.name, pattern: new RegExp(rule.pattern, 'g') };
+        } catch (error) {
+          console.warn(`Invalid sensitive data pattern "${rule.name}":`, error.message);
+          return null;
+        }
+      })
+      .filter(Boolean);
+    this.cache.clear();
+    this.revision++;
+  }
+
+  /**
+   * 从同步存储加载设置
+   * @returns {Promise<Object>}
+   */
+  load() {
+    return new Promise((resolve) => {
+      chrome.storage.sync.get([this.storageKey], (result) => {
+        this.apply(result[this.storageKey]);
+        resolve(this.settings);
+      });
+    });
+  }
+
+  /**
+   * 保存设置
+   * @param {Object} settings - 设置
+   * @returns {Promise<void>}
+   */
+  save(settings) {
+    this.apply(settings);
+    return new Promise((resolve) => {
+      chrome.storage.sync.set({ [this.storageKey]: this.settings }, resolve);
+    });
+  }
+
+  /**
+   * 监听设置页对检测设置的修改
+   * @param {Function} callback - 设置变化时的回调
+   */
+  watch(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'sync' && changes[this.storageKey]) {
+        this.apply(changes[this.storageKey].newValue);
+        callback(this.settings);
+      }
+    });
+  }
+
+  /**
+   * 检测文本中的敏感信息
+   * 多条规则命中同一位置时保留先命中的一条（内置规则优先于自定义规则，高熵字符串最后检查）
+   * @param {string} text - 文本
+   * @returns {Array} [{ detector, label, start, end, text }]，按位置排序
+   */
+  scan(text) {
+    if (!this.settings.enabled || !text) return [];
+    if (this.cache.has(text)) return this.cache.get(text);
+
+    const findings = [];
+    const overlaps = (start, end) => findings.some((item) => start < item.end && end > item.start);
+    const add = (detector, label, start, end) => {
+      if (end > start && !overlaps(start, end)) {
+        findings.push({ detector, label, start, end, text: text.slice(start, end) });
+      }
+    };
+
+    Object.entries(SensitiveDataDetector.DETECTORS).forEach(([id, rule]) => {
+      if (this.settings.disabledDetectors.includes(id)) return;
+      for (const match of text.matchAll(rule.pattern)) {
+        if (rule.validate && !rule.validate(match[0])) continue;
+        const value = rule.group ? match[rule.group] : match[0];
+        const start = match.index + (rule.group ? match[0].lastIndexOf(value) : 0);
+        add(id, this.getLabel(id), start, start + value.length);
+      }
+    });
+
+    this.customRules.forEach((rule) => {
+      for (const match of text.matchAll(rule.pattern)) {
+        add('custom', rule.name, match.index, match.index + match[0].length);
+      }
+    });
+
+    if (!this.settings.disabledDetectors.includes('entropy')) {
+      const pattern = new RegExp(`[A-Za-z0-9+/_=-]{${SensitiveDataDetector.ENTROPY_MIN_LENGTH},}`, 'g');
+      for (const match of text.matchAll(pattern)) {
+        // 只检查同时包含字母和数字的片段，排除长单词和路径
+        const token = match[0];
+        if (/\d/.test(token) && /[A-Za-z]/.test(token) && SensitiveDataDetector.entropy(token) >= this.settings.entropyThreshold) {
+          add('entropy', this.getLabel('entropy'), match.index, match.index + token.length);
+        }
+      }
+    }
+
+    findings.sort((a, b) => a.start - b.start);
+    if (this.cache.size >= SensitiveDataDetector.CACHE_SIZE) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(text, findings);
+    return findings;
+  }
+
+  /**
+   * 将命中的内容替换为占位符
+   * @param {string} text - 文本
+   * @param {Array} findings - 检测结果，默认重新检测
+   * @returns {string}
+   */
+  redact(text, findings = this.scan(text)) {
+    return [...findings]
+      .sort((a, b) => b.start - a.start)
+      .reduce(
+        (result, item) => `${result.slice(0, item.start)}[${i18n.t('sensitiveRedacted', item.label)}]${result.slice(item.end)}`,
+        text
+      );
+  }
+
+  /**
+   * 按类型汇总检测结果
+   * @param {Array} findings - 检测结果
+   * @returns {Array} [{ detector, label, count }]
+   */
+  summarize(findings) {
+    const groups = new Map();
+    findings.forEach((item) => {
+      const key = `${item.detector}:${item.label}`;
+      const group = groups.get(key) || { detector: item.detector, label: item.label, count: 0 };
+      group.count++;
+      groups.set(key, group);
+    });
+    return [...groups.values()];
+  }
+
+  /**
+   * 检测类型的显示名称
+   * @param {string} detector - 检测类型
+   * @returns {string}
+   */
+  getLabel(detector) {
+    return i18n.t(`sensitive${detector.charAt(0).toUpperCase()}${detector.slice(1)}`);
+  }
+
+  /**
+   * 读取脱敏记录（最新的在前）
+   * @returns {Promise<Array>}
+   */
+  getLog() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([this.logKey], (result) => {
+        resolve(result[this.logKey] || []);
+      });
+    });
+  }
+
+  /**
+   * 追加脱敏记录
+   * @param {Object} entry - { platform, url, action, findings }，action 为 redacted / ignored / sentAnyway
+   * @returns {Promise<void>}
+   */
+  async log({ platform, url, action, findings }) {
+    const entries = await this.getLog();
+    const entry = {
+      time: Date.now(),
+      platform,
+      url,
+      action,
+      detectors: this.summarize(findings)
+    };
+    await new Promise((resolve) => {
+      chrome.storage.local.set({ [this.logKey]: [entry, ...entries].slice(0, SensitiveDataDetector.MAX_LOG_ENTRIES) }, resolve);
+    });
+  }
+
+  /**
+   * 清空脱敏记录
+   * @returns {Promise<void>}
+   */
+  clearLog() {
+    return new Promise((resolve) => {
+      chrome.storage.local.remove(this.logKey, resolve);
+    });
+  }
+}
+
+// 创建全局实例
+window.sensitiveDataDetector = new SensitiveDataDetector();
@@ -0,0 +1,116 @@
+/**
+ * Shadow Host Module
+ * 侧边栏和命令面板渲染在同一个封闭的 Shadow DOM 中，使用独立的样式表，
+ * 避免宿主页面的样式影响扩展界面，也避免扩展的类名暴露给宿主页面
+ * 页面上的消息高亮等样式仍由全局的 highlight.css 提供
+ */
+
+class ShadowHost {
+  constructor() {
+    this.host = null;
+    this.root = null;
+    this.stylesLoaded = null;
+  }
+
+  /**
+   * 宿主元素 id
+   */
+  static get HOST_ID() {
+    return 'aichathelper-root';
+  }
+
+  /**
+   * Shadow DOM 内使用的样式表
+   */
+  static get STYLESHEET() {
+    return 'src/styles/sidebar.css';
+  }
+
+  /**
+   * 获取 shadow root，首次调用时创建宿主元素并加载样式
+   * @returns {ShadowRoot}
+   */
+  getRoot() {
+    if (this.root) {
+      return this.root;
+    }
+
+    this.host = document.createElement('div');
+    this.host.id = ShadowHost.HOST_ID;
+    // 样式表加载完成前隐藏，避免界面以无样式状态闪现
+    this.host.style.display = 'none';
+    this.root = this.host.attachShadow({ mode: 'closed' });
+    document.body.appendChild(this.host);
+
+    this.stylesLoaded = this.loadStyles().finally(() => {
+      this.host.style.removeProperty('display');
+    });
+    return this.root;
+  }
+
+  /**
+   * 加载样式表到 shadow root
+   * 优先使用 Constructable Stylesheet（不受宿主页面的 CSP style-src 限制），否则插入 <style>
+   * @returns {Promise<void>}
+   */
+  async loadStyles() {
+    const root = this.root;
+    try {
+      const response = await fetch(chrome.runtime.getURL(ShadowHost.STYLESHEET));
+      const css = await response.text();
+
+      if ('adoptedStyleSheets' in root && typeof CSSStyleSheet.prototype.replaceSync === 'function') {
+        const sheet = new CSSStyleSheet();
+        sheet.replaceSync(css);
+        root.adoptedStyleSheets = [sheet];
+      } else {
+        const style = document.createElement('style');
+        style.textContent = css;
+        root.prepend(style);
+      }
+    } catch (error) {
+      console.error('Failed to load sidebar styles:', error);
+    }
+  }
+
+  /**
+   * 将元素添加到 shadow root
+   * @param {Element} element - 侧边栏或命令面板
+   */
+  append(element) {
+    this.getRoot().appendChild(element);
+  }
+
+  /**
+   * 节点是否属于扩展界面
+   * 封闭的 Shadow DOM 内的事件在文档层面会被重定向到宿主元素
+   * @param {Node} node - 节点（通常为文档层面事件的 target）
+   * @returns {boolean}
+   */
+  contains(node) {
+    return Boolean(this.host && node && (node === this.host || this.host.contains(node)));
+  }
+
+  /**
+   * 获取实际获得焦点的元素（焦点在 shadow root 内时 document.activeElement 为宿主元素）
+   * @returns {Element|null}
+   */
+  getActiveElement() {
+    if (this.root && document.activeElement === this.host) {
+      return this.root.activeElement;
+    }
+    return document.activeElement;
+  }
+
+  /**
+   * 移除宿主元素
+   */
+  destroy() {
+    this.host?.remove();
+    this.host = null;
+    this.root = null;
+  }
+}
+
+// 创建全局实例
+window.shadowHost = new ShadowHost();
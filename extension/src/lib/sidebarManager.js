@@ -10,7 +10,36 @@ class SidebarManager {
     this.sidebarElement = null;
     this.isVisible = true;
     this.highlightedElement = null;
+    this.highlightTimer = null;
+    this.statusTimer = null;
+    this.activeMessage = null;
+    this.expandedOutlines = new Set(); // 展开了回答大纲的消息 id
+    this.scrollSpy = window.scrollSpy || null;
+    this.shadowHost = window.shadowHost || null;
     this.debounceTimer = null;
+    this.updateTimer = null;
+    this.renderedKeys = new WeakMap(); // 列表项元素 → 渲染时的状态键
+    this.messageSearch = window.messageSearch || null;
+    this.searchResults = [];
+    this.searchCursor = -1;
+    this.bookmarkStore = window.bookmarkStore || null;
+    this.sensitiveDataDetector = window.sensitiveDataDetector || null;
+    this.sidebarPreferences = window.sidebarPreferences || null;
+    this.miniMap = window.miniMap || null;
+    this.streamingDetector = window.streamingDetector || null;
+    this.turnFolder = window.turnFolder || null;
+    this.isDark = false;
+    this.themeObserver = null;
+    this.colorSchemeQuery = null;
+    this.handleThemeChange = () => this.applyTheme();
+    this.handleWindowResize = () => this.applyFloatingPosition(this.getPreferences());
+    this.starredOnly = false;
+    this.editingNoteId = null; // 正在编辑备注的消息 id（中间插入轮次后索引会变化）
+    this.noteDraft = '';
+    this.libraryPanel = null;
+    this.diagnosticsPanel = null;
+    this.statsPanel = null;
+    this.activeView = 'messages';
   }
 
   /**
@@ -25,29 +54,126 @@ class SidebarManager {
     sidebar.id = 'aichathelper-sidebar';
     sidebar.className = 'aichathelper-sidebar';
     sidebar.innerHTML = `
+      <div class="aichathelper-resize-handle" title="${i18n.t('sidebarResizeTitle')}"></div>
       <div class="aichathelper-header">
         <div class="aichathelper-title">
           <span class="aichathelper-icon">💬</span>
-          <span class="aichathelper-name">对话历史</span>
+          <span class="aichathelper-name">${i18n.t('sidebarTitle')}</span>
         </div>
-        <button class="aichathelper-toggle" title="收起/展开">
-          <span class="aichathelper-toggle-icon">−</span>
-        </button>
+        <div class="aichathelper-actions">
+          <div class="aichathelper-export">
+            <button class="aichathelper-action-btn aichathelper-export-btn" title="${i18n.t('popupExportTitle')}">⤓</button>
+            <div class="aichathelper-export-menu">
+              <button class="aichathelper-export-option" data-format="markdown">Markdown</button>
+              <button class="aichathelper-export-option" data-format="json">JSON</button>
+              <button class="aichathelper-export-option" data-format="html">HTML</button>
+            </div>
+          </div>
+          ${this.turnFolder ? `
+          <div class="aichathelper-fold">
+            <button class="aichathelper-action-btn aichathelper-fold-btn" title="${i18n.t('foldMenuTitle')}">↕</button>
+            <div class="aichathelper-fold-menu">
+              <button class="aichathelper-fold-option" data-role="assistant"></button>
+              <button class="aichathelper-fold-option" data-role="user"></button>
+            </div>
+          </div>` : ''}
+          <div class="aichathelper-layout">
+            <button class="aichathelper-action-btn aichathelper-layout-btn" title="${i18n.t('sidebarAppearance')}">◧</button>
+            <div class="aichathelper-layout-menu">
+              <span class="aichathelper-layout-label">${i18n.t('appearanceDock')}</span>
+              <div class="aichathelper-layout-group">
+                <button class="aichathelper-layout-option" data-pref="dock" data-value="left">${i18n.t('dockLeft')}</button>
+                <button class="aichathelper-layout-option" data-pref="dock" data-value="right">${i18n.t('dockRight')}</button>
+                <button class="aichathelper-layout-option" data-pref="dock" data-value="floating">${i18n.t('dockFloating')}</button>
+              </div>
+              <span class="aichathelper-layout-label">${i18n.t('appearanceTheme')}</span>
+              <div class="aichathelper-layout-group">
+                <button class="aichathelper-layout-option" data-pref="theme" data-value="auto">${i18n.t('themeAuto')}</button>
+                <button class="aichathelper-layout-option" data-pref="theme" data-value="light">${i18n.t('themeLight')}</button>
+                <button class="aichathelper-layout-option" data-pref="theme" data-value="dark">${i18n.t('themeDark')}</button>
+              </div>
+              <span class="aichathelper-layout-label">${i18n.t('appearanceDensity')}</span>
+              <div class="aichathelper-layout-group">
+                <button class="aichathelper-layout-option" data-pref="density" data-value="comfortable">${i18n.t('densityComfortable')}</button>
+                <button class="aichathelper-layout-option" data-pref="density" data-value="compact">${i18n.t('densityCompact')}</button>
+              </div>
+            </div>
+          </div>
+          <button class="aichathelper-toggle" title="${i18n.t('sidebarCollapseTitle')}">
+            <span class="aichathelper-toggle-icon">−</span>
+          </button>
+        </div>
+      </div>
+      <div class="aichathelper-tabs">
+        <button class="aichathelper-tab active" data-view="messages">${i18n.t('tabMessages')}</button>
+        <button class="aichathelper-tab" data-view="library">${i18n.t('popupLibraryTitle')}</button>
+        <button class="aichathelper-tab" data-view="diagnostics">${i18n.t('tabDiagnostics')}</button>
+        <button class="aichathelper-tab" data-view="stats">${i18n.t('tabStats')}</button>
       </div>
-      <div class="aichathelper-content">
-        <div class="aichathelper-messages">
-          <div class="aichathelper-loading">加载中...</div>
+      <div class="aichathelper-view active" data-view="messages">
+        <div class="aichathelper-search">
+          <div class="aichathelper-search-row">
+            <input type="text" class="aichathelper-search-input" placeholder="${i18n.t('searchPlaceholder')}">
+            <span class="aichathelper-search-count"></span>
+          </div>
+          <div class="aichathelper-search-options">
+            <button class="aichathelper-search-option" data-option="caseSensitive" title="${i18n.t('searchCaseSensitive')}">Aa</button>
+            <button class="aichathelper-search-option" data-option="useRegex" title="${i18n.t('searchRegex')}">.*</button>
+            <button class="aichathelper-search-option" data-option="includeReplies" title="${i18n.t('searchIncludeRepliesTitle')}">${i18n.t('searchIncludeReplies')}</button>
+            <button class="aichathelper-search-option aichathelper-starred-filter" data-filter="starredOnly" title="${i18n.t('starredOnlyTitle')}">★ ${i18n.t('starredOnly')}</button>
+          </div>
+        </div>
+        <div class="aichathelper-content">
+          <div class="aichathelper-messages">
+            <div class="aichathelper-loading">${i18n.t('loading')}</div>
+          </div>
         </div>
       </div>
+      <div class="aichathelper-view aichathelper-library" data-view="library"></div>
+      <div class="aichathelper-view aichathelper-diagnostics" data-view="diagnostics"></div>
+      <div class="aichathelper-view aichathelper-stats" data-view="stats"></div>
       <div class="aichathelper-footer">
+        <div class="aichathelper-progress-bar"><span></span></div>
         <small class="aichathelper-platform"></small>
+        <small class="aichathelper-footer-status" hidden></small>
+        <small class="aichathelper-progress" title="${i18n.t('progressTitle')}"></small>
       </div>
     `;
 
-    document.body.appendChild(sidebar);
+    if (this.shadowHost) {
+      this.shadowHost.append(sidebar);
+    } else {
+      document.body.appendChild(sidebar);
+    }
     this.sidebarElement = sidebar;
 
+    // 提示词库视图
+    if (window.promptLibrary) {
+      this.libraryPanel = new PromptLibraryPanel(window.promptLibrary, window.promptInserter);
+      this.libraryPanel.mount(sidebar.querySelector('.aichathelper-library'));
+    }
+
+    // 选择器诊断视图
+    if (window.selectorDiagnostics && window.elementPicker) {
+      this.diagnosticsPanel = new DiagnosticsPanel(
+        window.selectorDiagnostics,
+        window.elementPicker,
+        this.platformDetector,
+        () => this.refresh()
+      );
+      this.diagnosticsPanel.mount(sidebar.querySelector('.aichathelper-diagnostics'));
+    }
+
+    // 对话统计视图
+    if (window.conversationStats) {
+      this.statsPanel = new StatsPanel(window.conversationStats, (index) => this.scrollToMessage(index));
+      this.statsPanel.mount(sidebar.querySelector('.aichathelper-stats'));
+    }
+
     this.attachEventListeners();
+    this.applyPreferences();
+    this.watchSiteTheme();
+    window.addEventListener('resize', this.handleWindowResize);
     return sidebar;
   }
 
@@ -63,16 +189,179 @@ class SidebarManager {
       toggleBtn.addEventListener('click', () => this.toggleSidebar());
     }
 
+    // 阻止侧边栏内的按键触发宿主页面的快捷键
+    this.sidebarElement.addEventListener('keydown', (e) => e.stopPropagation());
+
+    // 视图切换
+    const tabs = this.sidebarElement.querySelector('.aichathelper-tabs');
+    if (tabs) {
+      tabs.addEventListener('click', (e) => {
+        const tab = e.target.closest('.aichathelper-tab');
+        if (tab) {
+          this.switchView(tab.dataset.view);
+        }
+      });
+    }
+
+    // 导出菜单
+    const exportContainer = this.sidebarElement.querySelector('.aichathelper-export');
+    if (exportContainer) {
+      exportContainer.querySelector('.aichathelper-export-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        exportContainer.classList.toggle('open');
+      });
+      exportContainer.querySelector('.aichathelper-export-menu').addEventListener('click', (e) => {
+        const option = e.target.closest('.aichathelper-export-option');
+        if (option) {
+          exportContainer.classList.remove('open');
+          this.exportConversation(option.dataset.format);
+        }
+      });
+      document.addEventListener('click', () => exportContainer.classList.remove('open'));
+    }
+
+    // 折叠菜单：折叠或展开页面上的全部回答或全部提问
+    const foldContainer = this.sidebarElement.querySelector('.aichathelper-fold');
+    if (foldContainer) {
+      foldContainer.querySelector('.aichathelper-fold-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        foldContainer.classList.toggle('open');
+      });
+      foldContainer.querySelector('.aichathelper-fold-menu').addEventListener('click', (e) => {
+        const option = e.target.closest('.aichathelper-fold-option');
+        if (option) {
+          foldContainer.classList.remove('open');
+          this.foldAll(option.dataset.role);
+        }
+      });
+      document.addEventListener('click', () => foldContainer.classList.remove('open'));
+    }
+
+    // 外观菜单
+    const layoutContainer = this.sidebarElement.querySelector('.aichathelper-layout');
+    if (layoutContainer) {
+      layoutContainer.querySelector('.aichathelper-layout-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        layoutContainer.classList.toggle('open');
+      });
+      layoutContainer.querySelector('.aichathelper-layout-menu').addEventListener('click', (e) => {
+        e.stopPropagation();
+        const option = e.target.closest('.aichathelper-layout-option');
+        if (option) {
+          this.savePreferences({ [option.dataset.pref]: option.dataset.value });
+        }
+      });
+      document.addEventListener('click', () => layoutContainer.classList.remove('open'));
+    }
+
+    // 拖动边缘调整宽度
+    const resizeHandle = this.sidebarElement.querySelector('.aichathelper-resize-handle');
+    if (resizeHandle) {
+      resizeHandle.addEventListener('pointerdown', (e) => this.startResize(e));
+    }
+
+    // 浮动面板拖动头部移动位置
+    const header = this.sidebarElement.querySelector('.aichathelper-header');
+    if (header) {
+      header.addEventListener('pointerdown', (e) => {
+        if (this.sidebarElement.dataset.dock === 'floating' && !e.target.closest('button, .aichathelper-layout-menu, .aichathelper-export-menu, .aichathelper-fold-menu')) {
+          this.startDrag(e);
+        }
+      });
+    }
+
+    // 搜索框
+    const searchContainer = this.sidebarElement.querySelector('.aichathelper-search');
+    if (searchContainer && this.messageSearch) {
+      const searchInput = searchContainer.querySelector('.aichathelper-search-input');
+      searchInput.addEventListener('input', () => this.applySearch({ query: searchInput.value }));
+      searchInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          this.jumpToSearchResult(e.shiftKey ? -1 : 1);
+        } else if (e.key === 'Escape') {
+          searchInput.value = '';
+          this.applySearch({ query: '' });
+        }
+      });
+
+      searchContainer.querySelector('.aichathelper-search-options').addEventListener('click', (e) => {
+        const option = e.target.closest('.aichathelper-search-option');
+        if (option?.dataset.filter === 'starredOnly') {
+          this.starredOnly = !this.starredOnly;
+          option.classList.toggle('active', this.starredOnly);
+          this.updateSidebar();
+        } else if (option) {
+          const key = option.dataset.option;
+          const enabled = !this.messageSearch[key];
+          option.classList.toggle('active', enabled);
+          this.applySearch({ [key]: enabled });
+        }
+      });
+    }
+
     // 消息列表点击事件（事件委托）
     const messagesContainer = this.sidebarElement.querySelector('.aichathelper-messages');
     if (messagesContainer) {
       messagesContainer.addEventListener('click', (e) => {
+        if (e.target.closest('.aichathelper-diagnose-btn')) {
+          this.switchView('diagnostics');
+          return;
+        }
+
         const item = e.target.closest('.aichathelper-message-item');
-        if (item) {
-          const index = parseInt(item.dataset.index, 10);
+        if (!item) return;
+
+        const index = parseInt(item.dataset.index, 10);
+        if (e.target.closest('.aichathelper-star-btn')) {
+          this.toggleStar(index);
+        } else if (e.target.closest('.aichathelper-note-btn')) {
+          this.startEditingNote(index);
+        } else if (e.target.closest('.aichathelper-template-btn')) {
+          this.saveMessageAsTemplate(index);
+        } else if (e.target.closest('.aichathelper-compare-btn')) {
+          this.compareMessage(index);
+        } else if (e.target.closest('.aichathelper-turn-fold-btn')) {
+          this.toggleFold(index);
+        } else if (e.target.closest('.aichathelper-branch-btn')) {
+          this.switchBranch(index, parseInt(e.target.closest('.aichathelper-branch-btn').dataset.direction, 10));
+        } else if (e.target.closest('.aichathelper-branch')) {
+          // 点击分支标签本身不跳转
+        } else if (e.target.closest('.aichathelper-outline-toggle')) {
+          this.toggleOutline(index);
+        } else if (e.target.closest('.aichathelper-outline-entry')) {
+          const entry = e.target.closest('.aichathelper-outline-entry');
+          const copyBtn = e.target.closest('.aichathelper-code-copy');
+          if (copyBtn) {
+            this.copyCodeBlock(index, parseInt(entry.dataset.entry, 10), copyBtn);
+          } else {
+            this.scrollToOutlineEntry(index, parseInt(entry.dataset.entry, 10));
+          }
+        } else if (!e.target.closest('.aichathelper-note-editor')) {
           this.scrollToMessage(index);
         }
       });
+
+      // 备注编辑：Enter 保存，Escape 取消，失焦保存
+      messagesContainer.addEventListener('input', (e) => {
+        if (e.target.classList.contains('aichathelper-note-editor')) {
+          this.noteDraft = e.target.value;
+        }
+      });
+      messagesContainer.addEventListener('keydown', (e) => {
+        if (!e.target.classList.contains('aichathelper-note-editor')) return;
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          this.finishEditingNote(true);
+        } else if (e.key === 'Escape') {
+          this.finishEditingNote(false);
+        }
+      });
+      messagesContainer.addEventListener('focusout', (e) => {
+        if (e.target.classList.contains('aichathelper-note-editor')) {
+          this.finishEditingNote(true);
+        }
+      });
     }
   }
 
@@ -91,27 +380,744 @@ class SidebarManager {
     // 更新平台名称
     const platformSpan = this.sidebarElement.querySelector('.aichathelper-platform');
     if (platformSpan) {
-      platformSpan.textContent = `平台: ${platformName}`;
+      platformSpan.textContent = i18n.t('exportPlatform', platformName);
+    }
+    this.updateProgress();
+    this.miniMap?.schedule();
+    // 宿主页面重新渲染后消息元素可能已替换，重新应用折叠状态
+    this.turnFolder?.apply();
+    this.updateFoldMenu();
+
+    if (this.activeView === 'stats') {
+      this.statsPanel?.render();
     }
 
     if (messages.length === 0) {
-      messagesContainer.innerHTML = '<div class="aichathelper-empty">暂无消息</div>';
+      this.updateSearchResults([]);
+      messagesContainer.innerHTML = `
+        <div class="aichathelper-empty">
+          <span>${i18n.t('noMessages')}</span>
+          ${this.diagnosticsPanel ? `<button class="aichathelper-diagnose-btn">${i18n.t('checkSelectors')}</button>` : ''}
+        </div>`;
+      return;
+    }
+
+    // 按搜索条件和星标过滤
+    const visibleIndexes = messages
+      .map((msg, idx) => idx)
+      .filter((idx) => !this.messageSearch || this.messageSearch.matches(messages[idx]))
+      .filter((idx) => !this.starredOnly || this.bookmarkStore?.isStarred(messages[idx]));
+    this.updateSearchResults(visibleIndexes);
+
+    if (visibleIndexes.length === 0) {
+      messagesContainer.innerHTML = `<div class="aichathelper-empty">${i18n.t('noMatches')}</div>`;
       return;
     }
 
-    // 生成消息列表 HTML
-    const html = messages
-      .map(
-        (msg, idx) => `
-      <div class="aichathelper-message-item" data-index="${idx}" title="${this.escapeHtml(msg.userText)}">
+    this.patchMessageList(messagesContainer, visibleIndexes);
+
+    // 重新渲染后恢复备注输入框焦点
+    const noteEditor = messagesContainer.querySelector('.aichathelper-note-editor');
+    const activeElement = this.shadowHost ? this.shadowHost.getActiveElement() : document.activeElement;
+    if (noteEditor && noteEditor !== activeElement) {
+      noteEditor.focus();
+      noteEditor.setSelectionRange(noteEditor.value.length, noteEditor.value.length);
+    }
+  }
+
+  /**
+   * 就地更新消息列表：按消息 id 复用列表项，只重新渲染状态发生变化的项
+   * @param {Element} container - 列表容器
+   * @param {Array<number>} visibleIndexes - 需要显示的消息索引
+   */
+  patchMessageList(container, visibleIndexes) {
+    const messages = this.messageExtractor.getMessages();
+    const existing = new Map();
+    Array.from(container.children).forEach((child) => {
+      if (child.classList.contains('aichathelper-message-item')) {
+        existing.set(child.dataset.id, child);
+      } else {
+        child.remove(); // 加载中、空状态等提示
+      }
+    });
+
+    const searchKey = this.isSearching()
+      ? [this.messageSearch.query, this.messageSearch.caseSensitive, this.messageSearch.useRegex, this.messageSearch.includeReplies].join('|')
+      : '';
+    let cursor = container.firstElementChild;
+
+    visibleIndexes.forEach((idx) => {
+      const msg = messages[idx];
+      const bookmark = this.bookmarkStore?.get(msg);
+      const key = [
+        msg.version,
+        bookmark?.starred,
+        bookmark?.note,
+        this.editingNoteId === msg.id,
+        this.expandedOutlines.has(msg.id),
+        this.sensitiveDataDetector?.revision,
+        this.streamingDetector?.getMessage() === msg,
+        this.turnFolder?.isTurnFolded(msg),
+        searchKey
+      ].join('\u0000');
+
+      let item = existing.get(msg.id);
+      existing.delete(msg.id);
+
+      if (item && this.renderedKeys.get(item) !== key) {
+        if (item === cursor) cursor = cursor.nextElementSibling;
+        item.remove();
+        item = null;
+      }
+      if (!item) {
+        const template = document.createElement('template');
+        template.innerHTML = this.renderMessageItem(msg, idx, bookmark).trim();
+        item = template.content.firstElementChild;
+        this.renderedKeys.set(item, key);
+      } else if (item.dataset.index !== String(idx)) {
+        // 前面插入或删除了消息，只更新序号
+        item.dataset.index = idx;
+        item.querySelector('.aichathelper-message-number').textContent = idx + 1;
+      }
+
+      item.classList.toggle('active', msg === this.activeMessage);
+
+      if (item === cursor) {
+        cursor = cursor.nextElementSibling;
+      } else {
+        container.insertBefore(item, cursor);
+      }
+    });
+
+    existing.forEach((item) => item.remove());
+  }
+
+  /**
+   * 渲染单条消息列表项
+   * @param {Object} msg - 消息对象
+   * @param {number} idx - 消息索引
+   * @param {Object|null} bookmark - 书签数据
+   * @returns {string} HTML
+   */
+  renderMessageItem(msg, idx, bookmark) {
+    const findings = this.sensitiveDataDetector?.scan(msg.userText) || [];
+    const streaming = this.streamingDetector?.getMessage() === msg;
+    const folded = Boolean(this.turnFolder?.isTurnFolded(msg));
+    return `
+      <div class="aichathelper-message-item${bookmark?.starred ? ' starred' : ''}${findings.length ? ' risky' : ''}${streaming ? ' streaming' : ''}${folded ? ' folded' : ''}" data-index="${idx}" data-id="${msg.id}" title="${this.escapeHtml(msg.userText)}">
         <div class="aichathelper-message-number">${idx + 1}</div>
-        <div class="aichathelper-message-text">${this.escapeHtml(msg.preview)}</div>
+        <div class="aichathelper-message-body">
+          <div class="aichathelper-message-text">${this.renderPreview(msg.userText, msg.preview)}</div>
+          ${this.renderRisk(findings)}
+          ${this.renderBranch(msg)}
+          ${msg.assistantPreview ? `<div class="aichathelper-message-reply" title="${this.escapeHtml(msg.assistantText)}">${this.renderPreview(msg.assistantText, msg.assistantPreview, this.messageSearch?.includeReplies)}</div>` : ''}
+          ${streaming ? `<div class="aichathelper-message-streaming"><span class="aichathelper-streaming-dot"></span>${i18n.t('replyStreaming')}</div>` : ''}
+          ${this.renderOutline(msg)}
+          ${this.renderNote(msg, bookmark)}
+        </div>
+        ${this.bookmarkStore ? `
+        <div class="aichathelper-message-actions">
+          <button class="aichathelper-star-btn" title="${i18n.t(bookmark?.starred ? 'unstar' : 'star')}">${bookmark?.starred ? '★' : '☆'}</button>
+          <button class="aichathelper-note-btn" title="${i18n.t('editNote')}">✎</button>
+          ${this.libraryPanel ? `<button class="aichathelper-template-btn" title="${i18n.t('saveAsTemplate')}">⊕</button>` : ''}
+          <button class="aichathelper-compare-btn" title="${i18n.t('compareInOtherPlatforms')}">⇄</button>
+          ${this.turnFolder ? `<button class="aichathelper-turn-fold-btn" title="${i18n.t(folded ? 'unfoldTurn' : 'foldTurn')}">${folded ? '▸' : '▾'}</button>` : ''}
+        </div>` : ''}
       </div>
-    `
-      )
-      .join('');
+    `;
+  }
+
+  /**
+   * 获取当前平台的外观偏好
+   * @returns {Object} { width, dock, theme, density, floatingX, floatingY }
+   */
+  getPreferences() {
+    if (this.sidebarPreferences) {
+      return this.sidebarPreferences.get();
+    }
+    return {
+      width: this.platformDetector.getDefaultConfig().sidebarWidth || 300,
+      dock: 'right',
+      theme: 'auto',
+      density: 'comfortable',
+      floatingX: null,
+      floatingY: null
+    };
+  }
+
+  /**
+   * 保存外观偏好并立即应用
+   * @param {Object} changes - 要更新的字段
+   */
+  savePreferences(changes) {
+    if (!this.sidebarPreferences) return;
+    this.sidebarPreferences.set(changes).then(() => this.applyPreferences());
+  }
+
+  /**
+   * 应用外观偏好（宽度、停靠位置、主题、密度、动画时长）
+   */
+  applyPreferences() {
+    if (!this.sidebarElement) return;
+
+    const preferences = this.getPreferences();
+    const sidebar = this.sidebarElement;
+    const { animationDuration } = this.platformDetector.getDefaultConfig();
+
+    sidebar.dataset.dock = preferences.dock;
+    sidebar.style.setProperty('--aichathelper-width', `${preferences.width}px`);
+    sidebar.style.setProperty('--aichathelper-duration', `${animationDuration ?? 300}ms`);
+    sidebar.classList.toggle('aichathelper-compact', preferences.density === 'compact');
+    this.applyFloatingPosition(preferences);
+    this.applyTheme();
+    // 宽度和停靠位置变化后重新避开侧边栏
+    this.miniMap?.schedule();
+
+    sidebar.querySelectorAll('.aichathelper-layout-option').forEach((option) => {
+      option.classList.toggle('active', preferences[option.dataset.pref] === option.dataset.value);
+    });
+  }
 
-    messagesContainer.innerHTML = html;
+  /**
+   * 设置浮动面板的位置（未保存位置时放在右上角，并保证头部在窗口内）
+   * @param {Object} preferences - 外观偏好
+   */
+  applyFloatingPosition(preferences) {
+    if (!this.sidebarElement) return;
+
+    if (preferences.dock !== 'floating') {
+      this.sidebarElement.style.removeProperty('left');
+      this.sidebarElement.style.removeProperty('top');
+      return;
+    }
+
+    const position = this.clampFloatingPosition(
+      preferences.floatingX ?? window.innerWidth - preferences.width - 24,
+      preferences.floatingY ?? 24,
+      preferences.width
+    );
+    this.sidebarElement.style.left = `${position.floatingX}px`;
+    this.sidebarElement.style.top = `${position.floatingY}px`;
+  }
+
+  /**
+   * 将浮动面板的位置限制在窗口内
+   * @param {number} x - 左边距
+   * @param {number} y - 上边距
+   * @param {number} width - 面板宽度
+   * @returns {Object} { floatingX, floatingY }
+   */
+  clampFloatingPosition(x, y, width) {
+    return {
+      floatingX: Math.round(Math.max(0, Math.min(x, window.innerWidth - width))),
+      floatingY: Math.round(Math.max(0, Math.min(y, window.innerHeight - 40)))
+    };
+  }
+
+  /**
+   * 应用主题（跟随网站时根据页面背景色判断深浅）
+   */
+  applyTheme() {
+    if (!this.sidebarElement) return;
+
+    const { theme } = this.getPreferences();
+    this.isDark = theme === 'auto' ? this.detectSiteTheme() === 'dark' : theme === 'dark';
+    this.sidebarElement.classList.toggle('aichathelper-dark', this.isDark);
+    window.commandPalette?.element?.classList.toggle('aichathelper-dark', this.isDark);
+    this.miniMap?.element?.classList.toggle('aichathelper-dark', this.isDark);
+  }
+
+  /**
+   * 检测网站当前的配色（优先使用页面背景色，透明时使用 color-scheme 和系统设置）
+   * @returns {string} 'light' | 'dark'
+   */
+  detectSiteTheme() {
+    for (const element of [document.body, document.documentElement]) {
+      if (!element) continue;
+
+      const match = getComputedStyle(element).backgroundColor.match(/rgba?\(([\d.]+),\s*([\d.]+),\s*([\d.]+)(?:,\s*([\d.]+))?/);
+      if (match && (match[4] === undefined || parseFloat(match[4]) > 0)) {
+        const [r, g, b] = match.slice(1, 4).map(Number);
+        return (0.299 * r + 0.587 * g + 0.114 * b) / 255 < 0.5 ? 'dark' : 'light';
+      }
+    }
+
+    if (getComputedStyle(document.documentElement).colorScheme === 'dark') {
+      return 'dark';
+    }
+    return window.matchMedia?.('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+  }
+
+  /**
+   * 监听网站切换深浅色（html / body 的 class、style、data-theme 变化及系统配色变化）
+   */
+  watchSiteTheme() {
+    if (this.themeObserver) return;
+
+    this.themeObserver = new MutationObserver(this.handleThemeChange);
+    [document.documentElement, document.body].forEach((element) => {
+      this.themeObserver.observe(element, {
+        attributes: true,
+        attributeFilter: ['class', 'style', 'data-theme', 'data-mode', 'data-color-mode']
+      });
+    });
+
+    this.colorSchemeQuery = window.matchMedia?.('(prefers-color-scheme: dark)') || null;
+    this.colorSchemeQuery?.addEventListener('change', this.handleThemeChange);
+  }
+
+  /**
+   * 跟踪一次指针拖动（拖动期间捕获指针，结束后移除监听）
+   * @param {PointerEvent} e - pointerdown 事件
+   * @param {string} className - 拖动期间添加到侧边栏的类名
+   * @param {Function} onMove - 指针移动回调
+   * @param {Function} onEnd - 拖动结束回调
+   */
+  trackPointer(e, className, onMove, onEnd) {
+    const target = e.currentTarget;
+    target.setPointerCapture(e.pointerId);
+    this.sidebarElement.classList.add(className);
+
+    const finish = () => {
+      target.removeEventListener('pointermove', onMove);
+      target.removeEventListener('pointerup', finish);
+      target.removeEventListener('pointercancel', finish);
+      this.sidebarElement?.classList.remove(className);
+      onEnd();
+    };
+    target.addEventListener('pointermove', onMove);
+    target.addEventListener('pointerup', finish);
+    target.addEventListener('pointercancel', finish);
+  }
+
+  /**
+   * 拖动边缘调整宽度，松开后保存
+   * @param {PointerEvent} e - pointerdown 事件
+   */
+  startResize(e) {
+    if (e.button !== 0) return;
+    e.preventDefault();
+
+    const sidebar = this.sidebarElement;
+    const fromLeftEdge = sidebar.dataset.dock === 'right';
+    const startX = e.clientX;
+    const startWidth = sidebar.getBoundingClientRect().width;
+    let width = startWidth;
+
+    this.trackPointer(
+      e,
+      'resizing',
+      (event) => {
+        const delta = event.clientX - startX;
+        width = SidebarPreferences.clampWidth(fromLeftEdge ? startWidth - delta : startWidth + delta);
+        sidebar.style.setProperty('--aichathelper-width', `${width}px`);
+      },
+      () => this.savePreferences({ width })
+    );
+  }
+
+  /**
+   * 拖动浮动面板，松开后保存位置
+   * @param {PointerEvent} e - pointerdown 事件
+   */
+  startDrag(e) {
+    if (e.button !== 0) return;
+    e.preventDefault();
+
+    const sidebar = this.sidebarElement;
+    const rect = sidebar.getBoundingClientRect();
+    const offsetX = e.clientX - rect.left;
+    const offsetY = e.clientY - rect.top;
+    let position = { floatingX: rect.left, floatingY: rect.top };
+
+    this.trackPointer(
+      e,
+      'dragging',
+      (event) => {
+        position = this.clampFloatingPosition(event.clientX - offsetX, event.clientY - offsetY, rect.width);
+        sidebar.style.left = `${position.floatingX}px`;
+        sidebar.style.top = `${position.floatingY}px`;
+      },
+      () => this.savePreferences(position)
+    );
+  }
+
+  /**
+   * 渲染回答大纲（标题和代码块），收起时只显示数量
+   * @param {Object} msg - 消息对象
+   * @returns {string} HTML
+   */
+  renderOutline(msg) {
+    const entries = this.messageExtractor.getOutline(msg);
+    if (entries.length === 0) return '';
+
+    const headings = entries.filter((entry) => entry.type === 'heading');
+    const codeCount = entries.length - headings.length;
+    const summary = [headings.length && i18n.t('outlineHeadings', headings.length), codeCount && i18n.t('outlineCodeBlocks', codeCount)]
+      .filter(Boolean)
+      .join(' · ');
+    const expanded = this.expandedOutlines.has(msg.id);
+    const toggle = `<button class="aichathelper-outline-toggle" title="${i18n.t(expanded ? 'outlineCollapse' : 'outlineExpand')}">${expanded ? '▾' : '▸'} ${summary}</button>`;
+    if (!expanded) return toggle;
+
+    // 标题按相对层级缩进，代码块缩进到所在标题之下
+    const minLevel = Math.min(...headings.map((entry) => entry.level));
+    let headingDepth = -1;
+    const items = entries.map((entry, position) => {
+      if (entry.type === 'heading') {
+        headingDepth = Math.min(entry.level - minLevel, 3);
+        return `
+          <li class="aichathelper-outline-entry aichathelper-outline-heading" data-entry="${position}" data-depth="${headingDepth}" title="${this.escapeHtml(entry.text)}">
+            <span class="aichathelper-outline-text">${this.escapeHtml(entry.text)}</span>
+          </li>`;
+      }
+
+      const firstLine = entry.text.split('\n').find((line) => line.trim()) || '';
+      return `
+        <li class="aichathelper-outline-entry aichathelper-outline-code" data-entry="${position}" data-depth="${Math.min(headingDepth + 1, 3)}" title="${i18n.t('outlineLines', entry.lineCount)}">
+          <span class="aichathelper-code-lang">${this.escapeHtml(entry.language || i18n.t('statsCode'))}</span>
+          <span class="aichathelper-outline-text">${this.escapeHtml(firstLine.trim())}</span>
+          <button class="aichathelper-code-copy" title="${i18n.t('copyCode')}">⧉</button>
+        </li>`;
+    });
+
+    return `${toggle}<ul class="aichathelper-outline">${items.join('')}</ul>`;
+  }
+
+  /**
+   * 渲染提问中检测到的敏感信息类型
+   * @param {Array} findings - SensitiveDataDetector 的检测结果
+   * @returns {string} HTML
+   */
+  renderRisk(findings) {
+    if (findings.length === 0) return '';
+
+    const labels = this.sensitiveDataDetector.summarize(findings).map((group) => group.label).join(', ');
+    return `<div class="aichathelper-message-risk" title="${i18n.t('sensitiveItemTitle')}">⚠ ${this.escapeHtml(labels)}</div>`;
+  }
+
+  /**
+   * 渲染提问的分支切换控件（页面上有“< 2/3 >”时显示）
+   * @param {Object} msg - 消息对象
+   * @returns {string} HTML
+   */
+  renderBranch(msg) {
+    if (!msg.branch) return '';
+
+    const { index, total } = msg.branch;
+    return `
+      <div class="aichathelper-branch" title="${i18n.t('branchShown')}">
+        <button class="aichathelper-branch-btn" data-direction="-1" title="${i18n.t('branchPrevious')}"${index <= 1 ? ' disabled' : ''}>‹</button>
+        <span class="aichathelper-branch-label">${i18n.t('branchLabel', [index, total])}</span>
+        <button class="aichathelper-branch-btn" data-direction="1" title="${i18n.t('branchNext')}"${index >= total ? ' disabled' : ''}>›</button>
+      </div>`;
+  }
+
+  /**
+   * 切换提问的分支（点击页面上对应的切换按钮，页面重新渲染后由增量更新刷新列表）
+   * @param {number} index - 消息索引
+   * @param {number} direction - -1 上一个分支，1 下一个分支
+   */
+  switchBranch(index, direction) {
+    const message = this.messageExtractor.getMessageByIndex(index);
+    if (!message) return;
+
+    // 分支控件已被宿主页面移除或替换，重新提取后列表会显示最新状态
+    if (!this.messageExtractor.switchBranch(message, direction)) {
+      console.warn(`Branch control of message ${index} not found, refreshing`);
+      this.refresh();
+    }
+  }
+
+  /**
+   * 展开/收起消息的回答大纲
+   * @param {number} index - 消息索引
+   */
+  toggleOutline(index) {
+    const message = this.messageExtractor.getMessageByIndex(index);
+    if (!message) return;
+
+    if (this.expandedOutlines.has(message.id)) {
+      this.expandedOutlines.delete(message.id);
+    } else {
+      this.expandedOutlines.add(message.id);
+    }
+    this.updateSidebar();
+  }
+
+  /**
+   * 滚动到回答中的标题或代码块
+   * @param {number} index - 消息索引
+   * @param {number} position - 大纲条目位置
+   */
+  scrollToOutlineEntry(index, position) {
+    const message = this.messageExtractor.getMessageByIndex(index);
+    const entry = message && this.messageExtractor.getOutline(message)[position];
+    if (!entry) return;
+
+    if (!entry.element.isConnected) {
+      console.warn(`Outline entry ${position} of message ${index} is detached, refreshing`);
+      this.refresh();
+      return;
+    }
+
+    entry.element.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    this.highlightElement(entry.element);
+    this.scrollSpy?.setActive(index);
+    this.updateActiveItem(index);
+  }
+
+  /**
+   * 复制代码块内容
+   * @param {number} index - 消息索引
+   * @param {number} position - 大纲条目位置
+   * @param {Element} button - 复制按钮（复制成功后短暂显示 ✓）
+   */
+  copyCodeBlock(index, position, button) {
+    const message = this.messageExtractor.getMessageByIndex(index);
+    const entry = message && this.messageExtractor.getOutline(message)[position];
+    if (entry?.type !== 'code') return;
+
+    navigator.clipboard
+      .writeText(entry.text)
+      .then(() => {
+        button.textContent = '✓';
+        button.classList.add('copied');
+        setTimeout(() => {
+          button.textContent = '⧉';
+          button.classList.remove('copied');
+        }, 1500);
+      })
+      .catch((error) => console.error('Failed to copy code block:', error));
+  }
+
+  /**
+   * 切换侧边栏视图
+   * @param {string} view - 'messages' | 'library' | 'diagnostics' | 'stats'
+   */
+  switchView(view) {
+    if (!this.sidebarElement) return;
+
+    this.activeView = view;
+    this.sidebarElement.querySelectorAll('.aichathelper-tab, .aichathelper-view').forEach((el) => {
+      el.classList.toggle('active', el.dataset.view === view);
+    });
+
+    if (view === 'diagnostics') {
+      this.diagnosticsPanel?.render();
+    } else if (view === 'stats') {
+      this.statsPanel?.render();
+    }
+  }
+
+  /**
+   * 将提问保存为提示词模板
+   * @param {number} index - 消息索引
+   */
+  saveMessageAsTemplate(index) {
+    const message = this.messageExtractor.getMessageByIndex(index);
+    if (!message || !this.libraryPanel) return;
+
+    this.switchView('library');
+    this.libraryPanel.openEditor({ name: message.preview, text: message.userText, tags: [] });
+  }
+
+  /**
+   * 在对比页面中打开提问，以便发送到其他平台
+   * @param {number} index - 消息索引
+   */
+  compareMessage(index) {
+    const message = this.messageExtractor.getMessageByIndex(index);
+    if (!message) return;
+
+    chrome.runtime.sendMessage({ action: 'openCompareView', prompt: message.userText });
+  }
+
+  /**
+   * 折叠或展开页面上的一轮提问和回答
+   * @param {number} index - 消息索引
+   */
+  toggleFold(index) {
+    this.turnFolder.toggleTurn(index);
+    this.updateSidebar();
+  }
+
+  /**
+   * 折叠全部回答或全部提问；已全部折叠时全部展开
+   * @param {string} role - 'assistant' 或 'user'
+   */
+  foldAll(role) {
+    this.turnFolder.setAll(role, !this.turnFolder.isAllFolded(role));
+    this.updateSidebar();
+  }
+
+  /**
+   * 按当前折叠状态更新折叠菜单的文字
+   */
+  updateFoldMenu() {
+    if (!this.turnFolder || !this.sidebarElement) return;
+
+    const labels = {
+      assistant: ['foldAllReplies', 'unfoldAllReplies'],
+      user: ['foldAllPrompts', 'unfoldAllPrompts']
+    };
+    this.sidebarElement.querySelectorAll('.aichathelper-fold-option').forEach((option) => {
+      const folded = this.turnFolder.isAllFolded(option.dataset.role);
+      option.textContent = i18n.t(labels[option.dataset.role][folded ? 1 : 0]);
+      option.classList.toggle('active', folded);
+    });
+  }
+
+  /**
+   * 渲染备注（编辑中显示输入框）
+   * @param {Object} msg - 消息对象
+   * @param {Object|null} bookmark - 书签数据
+   * @returns {string} HTML
+   */
+  renderNote(msg, bookmark) {
+    if (this.editingNoteId === msg.id) {
+      return `<input type="text" class="aichathelper-note-editor" maxlength="200" placeholder="${i18n.t('notePlaceholder')}" value="${this.escapeHtml(this.noteDraft)}">`;
+    }
+    if (bookmark?.note) {
+      return `<div class="aichathelper-message-note">${this.escapeHtml(bookmark.note)}</div>`;
+    }
+    return '';
+  }
+
+  /**
+   * 切换消息星标
+   * @param {number} index - 消息索引
+   */
+  toggleStar(index) {
+    const message = this.messageExtractor.getMessageByIndex(index);
+    if (!message || !this.bookmarkStore) return;
+
+    this.bookmarkStore.toggleStar(message);
+    this.updateSidebar();
+  }
+
+  /**
+   * 开始编辑消息备注
+   * @param {number} index - 消息索引
+   */
+  startEditingNote(index) {
+    const message = this.messageExtractor.getMessageByIndex(index);
+    if (!message || !this.bookmarkStore) return;
+
+    this.editingNoteId = message.id;
+    this.noteDraft = this.bookmarkStore.get(message)?.note || '';
+    this.updateSidebar();
+  }
+
+  /**
+   * 结束备注编辑
+   * @param {boolean} save - 是否保存
+   */
+  finishEditingNote(save) {
+    if (this.editingNoteId === null) return;
+
+    const message = this.messageExtractor.getMessages().find((msg) => msg.id === this.editingNoteId);
+    this.editingNoteId = null;
+    if (save && message) {
+      this.bookmarkStore.setNote(message, this.noteDraft);
+    }
+    this.noteDraft = '';
+    this.updateSidebar();
+  }
+
+  /**
+   * 是否正在搜索
+   * @returns {boolean}
+   */
+  isSearching() {
+    return Boolean(this.messageSearch?.isActive());
+  }
+
+  /**
+   * 渲染预览文本（搜索时高亮匹配，匹配不在预览中时显示匹配片段）
+   * @param {string} text - 完整文本
+   * @param {string} preview - 预览文本
+   * @param {boolean} searchable - 是否参与搜索高亮
+   * @returns {string} HTML
+   */
+  renderPreview(text, preview, searchable = true) {
+    if (!this.isSearching() || !searchable) {
+      return this.escapeHtml(preview);
+    }
+
+    const shown = this.messageSearch.test(preview) ? preview : this.messageSearch.getSnippet(text) || preview;
+    return this.messageSearch.highlight(shown, (value) => this.escapeHtml(value));
+  }
+
+  /**
+   * 应用搜索条件并刷新列表
+   * @param {Object} options - 搜索条件
+   */
+  applySearch(options) {
+    if (!this.messageSearch) return;
+
+    this.messageSearch.setOptions(options);
+    this.searchCursor = -1;
+
+    const searchInput = this.sidebarElement.querySelector('.aichathelper-search-input');
+    searchInput?.classList.toggle('invalid', Boolean(this.messageSearch.error));
+    if (searchInput) {
+      searchInput.title = this.messageSearch.error || '';
+    }
+
+    this.updateSidebar();
+  }
+
+  /**
+   * 更新搜索结果及计数
+   * @param {Array<number>} visibleIndexes - 匹配的消息索引
+   */
+  updateSearchResults(visibleIndexes) {
+    this.searchResults = this.isSearching() ? visibleIndexes : [];
+    if (this.searchCursor >= this.searchResults.length) {
+      this.searchCursor = -1;
+    }
+
+    const countSpan = this.sidebarElement.querySelector('.aichathelper-search-count');
+    if (countSpan) {
+      countSpan.textContent = this.isSearching()
+        ? `${this.searchCursor >= 0 ? this.searchCursor + 1 : 0}/${this.searchResults.length}`
+        : '';
+    }
+  }
+
+  /**
+   * 在匹配结果之间跳转
+   * @param {number} direction - 1 为下一个，-1 为上一个
+   */
+  jumpToSearchResult(direction) {
+    if (this.searchResults.length === 0) return;
+
+    const total = this.searchResults.length;
+    this.searchCursor = this.searchCursor < 0 && direction < 0
+      ? total - 1
+      : (this.searchCursor + direction + total) % total;
+
+    this.scrollToMessage(this.searchResults[this.searchCursor]);
+    this.updateSearchResults(this.searchResults);
+  }
+
+  /**
+   * 切换对话时清空与上一个对话相关的状态
+   */
+  resetConversation() {
+    clearTimeout(this.updateTimer);
+    this.highlightedElement?.classList.remove('aichathelper-highlighted');
+    this.highlightedElement = null;
+    this.activeMessage = null;
+    this.expandedOutlines.clear();
+    this.editingNoteId = null;
+    this.noteDraft = '';
+    this.searchResults = [];
+    this.searchCursor = -1;
+    this.miniMap?.reset();
+    this.turnFolder?.reset();
+    this.updateSidebar();
   }
 
   /**
@@ -125,9 +1131,11 @@ class SidebarManager {
       return;
     }
 
-    // 移除之前的高亮
-    if (this.highlightedElement) {
-      this.highlightedElement.classList.remove('aichathelper-highlighted');
+    // 宿主页面已重新渲染，消息元素不在文档中
+    if (!message.userElement.isConnected) {
+      console.warn(`Message at index ${index} is detached, refreshing`);
+      this.refresh();
+      return;
     }
 
     // 平滑滚动到消息位置
@@ -137,14 +1145,28 @@ class SidebarManager {
     });
 
     // 高亮显示当前消息
-    message.userElement.classList.add('aichathelper-highlighted');
-    this.highlightedElement = message.userElement;
+    this.highlightElement(message.userElement);
 
-    // 更新侧边栏中的活跃状态
+    // 更新侧边栏中的活跃状态（滚动期间阅读位置跟踪不跟随经过的轮次）
+    this.scrollSpy?.setActive(index);
     this.updateActiveItem(index);
+  }
+
+  /**
+   * 高亮页面中的元素，3 秒后移除
+   * @param {Element} element - 要高亮的元素
+   */
+  highlightElement(element) {
+    // 移除之前的高亮
+    if (this.highlightedElement) {
+      this.highlightedElement.classList.remove('aichathelper-highlighted');
+    }
 
-    // 3 秒后移除高亮
-    setTimeout(() => {
+    element.classList.add('aichathelper-highlighted');
+    this.highlightedElement = element;
+
+    clearTimeout(this.highlightTimer);
+    this.highlightTimer = setTimeout(() => {
       if (this.highlightedElement) {
         this.highlightedElement.classList.remove('aichathelper-highlighted');
         this.highlightedElement = null;
@@ -152,6 +1174,44 @@ class SidebarManager {
     }, 3000);
   }
 
+  /**
+   * 计算键盘导航的目标消息
+   * @param {string} target - 'first' | 'last' | 'next' | 'previous'
+   * @returns {number} 消息索引，没有消息时返回 -1
+   */
+  getNavigationTarget(target) {
+    const count = this.messageExtractor.getMessageCount();
+    if (count === 0) return -1;
+
+    const active = this.activeMessage;
+    const current = active && this.messageExtractor.getMessageByIndex(active.index) === active ? active.index : -1;
+
+    switch (target) {
+      case 'first':
+        return 0;
+      case 'last':
+        return count - 1;
+      case 'next':
+        return Math.min(current + 1, count - 1);
+      case 'previous':
+        return current < 0 ? count - 1 : Math.max(current - 1, 0);
+      default:
+        return -1;
+    }
+  }
+
+  /**
+   * 显示侧边栏并聚焦搜索框
+   */
+  focusSearch() {
+    this.show();
+    this.switchView('messages');
+
+    const searchInput = this.sidebarElement.querySelector('.aichathelper-search-input');
+    searchInput?.focus();
+    searchInput?.select();
+  }
+
   /**
    * 更新侧边栏中的活跃项
    * @param {number} index - 消息索引
@@ -159,8 +1219,11 @@ class SidebarManager {
   updateActiveItem(index) {
     if (!this.sidebarElement) return;
 
-    // 移除所有活跃状态
-    const items = this.sidebarElement.querySelectorAll('.aichathelper-message-item');
+    this.activeMessage = this.messageExtractor.getMessageByIndex(index);
+    this.updateProgress();
+
+    // 移除之前的活跃状态
+    const items = this.sidebarElement.querySelectorAll('.aichathelper-message-item.active');
     items.forEach((item) => item.classList.remove('active'));
 
     // 添加当前项的活跃状态
@@ -174,6 +1237,71 @@ class SidebarManager {
     }
   }
 
+  /**
+   * 更新页脚的阅读进度（当前轮次 / 总轮次）
+   */
+  updateProgress() {
+    const progress = this.sidebarElement?.querySelector('.aichathelper-progress');
+    const bar = this.sidebarElement?.querySelector('.aichathelper-progress-bar span');
+    if (!progress || !bar) return;
+
+    const messages = this.messageExtractor.getMessages();
+    const total = messages.length;
+    const active = this.activeMessage;
+    const current = active && messages[active.index] === active ? active.index + 1 : 0;
+
+    if (total === 0) {
+      progress.textContent = '';
+    } else if (current === 0) {
+      progress.textContent = i18n.t('progressTotal', total);
+    } else {
+      progress.textContent = i18n.t('progressCurrent', [current, total]);
+    }
+    bar.style.width = total > 0 ? `${(current / total) * 100}%` : '0';
+  }
+
+  /**
+   * 导出当前对话
+   * @param {string} format - 'markdown' | 'json' | 'html'
+   */
+  exportConversation(format) {
+    if (!window.conversationExporter) {
+      console.warn('Conversation exporter not loaded');
+      this.showStatus(i18n.t('popupExportFailed', i18n.t('exportUnavailable')), true);
+      return;
+    }
+
+    try {
+      window.conversationExporter.download(format);
+    } catch (error) {
+      console.error('Failed to export conversation:', error);
+      this.showStatus(i18n.t('popupExportFailed', error.message), true);
+    }
+  }
+
+  /**
+   * 在底部栏暂时显示提示（代替平台名称）
+   * @param {string} text - 提示文本
+   * @param {boolean} isError - 是否为错误
+   */
+  showStatus(text, isError = false) {
+    const status = this.sidebarElement?.querySelector('.aichathelper-footer-status');
+    const platformSpan = this.sidebarElement?.querySelector('.aichathelper-platform');
+    if (!status || !platformSpan) return;
+
+    status.textContent = text;
+    status.title = text;
+    status.classList.toggle('error', isError);
+    status.hidden = false;
+    platformSpan.hidden = true;
+
+    clearTimeout(this.statusTimer);
+    this.statusTimer = setTimeout(() => {
+      status.hidden = true;
+      platformSpan.hidden = false;
+    }, 4000);
+  }
+
   /**
    * 切换侧边栏显示/隐藏
    */
@@ -188,6 +1316,8 @@ class SidebarManager {
       toggleBtn.textContent = this.isVisible ? '−' : '+';
     }
 
+    this.miniMap?.setVisible(this.isVisible);
+
     // 保存状态到 storage
     chrome.storage.local.set({ sidebarVisible: this.isVisible });
   }
@@ -201,6 +1331,7 @@ class SidebarManager {
     }
     this.isVisible = true;
     this.sidebarElement.classList.remove('collapsed');
+    this.miniMap?.setVisible(true);
   }
 
   /**
@@ -210,6 +1341,15 @@ class SidebarManager {
     if (!this.sidebarElement) return;
     this.isVisible = false;
     this.sidebarElement.classList.add('collapsed');
+    this.miniMap?.setVisible(false);
+  }
+
+  /**
+   * 消息列表增量变化后更新显示（合并短时间内的多次变化）
+   */
+  scheduleUpdate() {
+    clearTimeout(this.updateTimer);
+    this.updateTimer = setTimeout(() => this.updateSidebar(), 100);
   }
 
   /**
@@ -219,7 +1359,15 @@ class SidebarManager {
     // 使用防抖避免频繁刷新
     clearTimeout(this.debounceTimer);
     this.debounceTimer = setTimeout(() => {
-      this.messageExtractor.extractMessages();
+      // 回答生成中不做完整提取，生成结束后会完整提取一次
+      if (this.streamingDetector?.isStreaming()) return;
+
+      // 选择器等发生变化时，增量监听也需要重新确定对话容器
+      if (window.conversationObserver?.observer) {
+        window.conversationObserver.resync();
+      } else {
+        this.messageExtractor.extractMessages();
+      }
       this.updateSidebar();
     }, 500);
   }
@@ -248,7 +1396,18 @@ class SidebarManager {
       this.sidebarElement.remove();
       this.sidebarElement = null;
     }
+    this.themeObserver?.disconnect();
+    this.themeObserver = null;
+    this.colorSchemeQuery?.removeEventListener('change', this.handleThemeChange);
+    window.removeEventListener('resize', this.handleWindowResize);
+    this.miniMap?.destroy();
+    this.turnFolder?.destroy();
     clearTimeout(this.debounceTimer);
+    clearTimeout(this.updateTimer);
+    clearTimeout(this.highlightTimer);
+    clearTimeout(this.statusTimer);
+    // 最后移除宿主元素（其中还有命令面板、敏感信息提示等界面）
+    this.shadowHost?.destroy();
   }
 }
 
@@ -0,0 +1,182 @@
+/**
+ * Sidebar Preferences Module
+ * 用于保存侧边栏的外观偏好（宽度、停靠位置、主题、密度），按平台区分
+ * 同时在 content script 和设置页中使用
+ */
+
+class SidebarPreferences {
+  constructor(platformDetector) {
+    this.platformDetector = platformDetector;
+    this.storageKey = 'sidebarPreferences';
+    this.preferences = {}; // 平台 key → 偏好
+  }
+
+  /**
+   * 可选的停靠位置
+   */
+  static get DOCK_POSITIONS() {
+    return ['right', 'left', 'floating'];
+  }
+
+  /**
+   * 可选的主题（auto 为跟随网站）
+   */
+  static get THEMES() {
+    return ['auto', 'light', 'dark'];
+  }
+
+  /**
+   * 可选的显示密度
+   */
+  static get DENSITIES() {
+    return ['comfortable', 'compact'];
+  }
+
+  /**
+   * 宽度范围（像素）
+   */
+  static get MIN_WIDTH() {
+    return 240;
+  }
+
+  static get MAX_WIDTH() {
+    return 640;
+  }
+
+  /**
+   * 将宽度限制在允许范围内
+   * @param {number} width - 宽度
+   * @returns {number}
+   */
+  static clampWidth(width) {
+    return Math.round(Math.min(Math.max(width, SidebarPreferences.MIN_WIDTH), SidebarPreferences.MAX_WIDTH));
+  }
+
+  /**
+   * 获取默认偏好（宽度取自 platforms.json 的 defaultConfig）
+   * @returns {Object}
+   */
+  getDefaults() {
+    return {
+      width: SidebarPreferences.clampWidth(this.platformDetector.getDefaultConfig().sidebarWidth || 300),
+      dock: 'right',
+      theme: 'auto',
+      density: 'comfortable',
+      floatingX: null,
+      floatingY: null
+    };
+  }
+
+  /**
+   * 校验偏好字段，无效的字段使用默认值
+   * @param {Object} preferences - 保存的偏好
+   * @returns {Object}
+   */
+  normalize(preferences = {}) {
+    const defaults = this.getDefaults();
+    const isPosition = (value) => typeof value === 'number' && Number.isFinite(value);
+
+    return {
+      width: isPosition(preferences.width) ? SidebarPreferences.clampWidth(preferences.width) : defaults.width,
+      dock: SidebarPreferences.DOCK_POSITIONS.includes(preferences.dock) ? preferences.dock : defaults.dock,
+      theme: SidebarPreferences.THEMES.includes(preferences.theme) ? preferences.theme : defaults.theme,
+      density: SidebarPreferences.DENSITIES.includes(preferences.density) ? preferences.density : defaults.density,
+      floatingX: isPosition(preferences.floatingX) ? preferences.floatingX : defaults.floatingX,
+      floatingY: isPosition(preferences.floatingY) ? preferences.floatingY : defaults.floatingY
+    };
+  }
+
+  /**
+   * 当前平台的 key
+   * @returns {string}
+   */
+  getPlatformKey() {
+    return this.platformDetector.getPlatformConfig()?.key || 'unknown';
+  }
+
+  /**
+   * 从同步存储加载所有平台的偏好
+   * @returns {Promise<Object>}
+   */
+  load() {
+    return new Promise((resolve) => {
+      chrome.storage.sync.get([this.storageKey], (result) => {
+        this.preferences = result[this.storageKey] || {};
+        resolve(this.preferences);
+      });
+    });
+  }
+
+  /**
+   * 保存偏好到同步存储
+   * @returns {Promise<void>}
+   */
+  save() {
+    return new Promise((resolve) => {
+      chrome.storage.sync.set({ [this.storageKey]: this.preferences }, resolve);
+    });
+  }
+
+  /**
+   * 监听其他页面（设置页 / 其他标签页）对偏好的修改
+   * @param {Function} callback - 偏好变化时的回调
+   */
+  watch(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'sync' && changes[this.storageKey]) {
+        this.preferences = changes[this.storageKey].newValue || {};
+        callback(this.get());
+      }
+    });
+  }
+
+  /**
+   * 获取平台的偏好（未保存的字段使用默认值）
+   * @param {string} platformKey - 平台 key，默认为当前平台
+   * @returns {Object}
+   */
+  get(platformKey = this.getPlatformKey()) {
+    return this.normalize(this.preferences[platformKey]);
+  }
+
+  /**
+   * 是否保存过平台的偏好
+   * @param {string} platformKey - 平台 key
+   * @returns {boolean}
+   */
+  has(platformKey) {
+    return Boolean(this.preferences[platformKey]);
+  }
+
+  /**
+   * 更新平台的偏好
+   * @param {Object} changes - 要更新的字段
+   * @param {string} platformKey - 平台 key，默认为当前平台
+   * @returns {Promise<Object>} 更新后的偏好
+   */
+  async set(changes, platformKey = this.getPlatformKey()) {
+    const preferences = this.normalize({ ...this.preferences[platformKey], ...changes });
+    this.preferences = { ...this.preferences, [platformKey]: preferences };
+    await this.save();
+    return preferences;
+  }
+
+  /**
+   * 恢复平台的默认偏好
+   * @param {string} platformKey - 平台 key，默认为当前平台
+   * @returns {Promise<Object>} 默认偏好
+   */
+  async reset(platformKey = this.getPlatformKey()) {
+    this.preferences = { ...this.preferences };
+    delete this.preferences[platformKey];
+    await this.save();
+    return this.get(platformKey);
+  }
+}
+
+// 创建全局实例
+window.sidebarPreferences = null;
+
+if (window.platformDetector) {
+  window.sidebarPreferences = new SidebarPreferences(window.platformDetector);
+}
@@ -0,0 +1,208 @@
+/**
+ * Stats Panel Module
+ * 侧边栏中的对话统计视图：总量、上下文占用、长度分布、最长提问和每轮明细
+ */
+
+class StatsPanel {
+  constructor(conversationStats, onNavigate) {
+    this.conversationStats = conversationStats;
+    this.onNavigate = onNavigate;
+    this.container = null;
+  }
+
+  /**
+   * 挂载到侧边栏容器
+   * @param {Element} container - 视图容器
+   */
+  mount(container) {
+    this.container = container;
+    const options = Object.entries(ConversationStats.MODELS)
+      .map(([key, model]) => `<option value="${key}">${this.escapeHtml(model.name)}</option>`)
+      .join('');
+
+    container.innerHTML = `
+      <div class="aichathelper-stats-toolbar">
+        <label>
+          <span>${i18n.t('statsModelLabel')}</span>
+          <select class="aichathelper-stats-model">${options}</select>
+        </label>
+      </div>
+      <div class="aichathelper-stats-body"></div>
+    `;
+
+    container.querySelector('.aichathelper-stats-model').addEventListener('change', (e) => {
+      this.conversationStats.setModel(e.target.value);
+      this.render();
+    });
+
+    container.addEventListener('click', (e) => {
+      const row = e.target.closest('[data-index]');
+      if (row) {
+        this.onNavigate?.(parseInt(row.dataset.index, 10));
+      }
+    });
+  }
+
+  /**
+   * 渲染统计信息
+   */
+  render() {
+    if (!this.container) return;
+
+    const stats = this.conversationStats.compute();
+    const body = this.container.querySelector('.aichathelper-stats-body');
+    this.container.querySelector('.aichathelper-stats-model').value = stats.model.key;
+
+    if (stats.totals.turns === 0) {
+      body.innerHTML = `<div class="aichathelper-empty">${i18n.t('noMessages')}</div>`;
+      return;
+    }
+
+    body.innerHTML = `
+      ${this.renderTotals(stats)}
+      ${this.renderContextUsage(stats)}
+      <div class="aichathelper-stats-section">
+        <div class="aichathelper-stats-title">${i18n.t('statsHistogramTitle')}</div>
+        ${this.renderHistogram(stats.histogram)}
+      </div>
+      <div class="aichathelper-stats-section">
+        <div class="aichathelper-stats-title">${i18n.t('statsLongestPrompts')}</div>
+        <ol class="aichathelper-stats-list">
+          ${stats.longestPrompts
+            .map(
+              (item) => `
+            <li data-index="${item.index}" title="${i18n.t('turnNumber', item.index + 1)}">
+              <span class="aichathelper-stats-preview">${this.escapeHtml(item.preview)}</span>
+              <span class="aichathelper-stats-count">${i18n.t('statsCharacterCount', item.characters)}</span>
+            </li>`
+            )
+            .join('')}
+        </ol>
+      </div>
+      <div class="aichathelper-stats-section">
+        <div class="aichathelper-stats-title">${i18n.t('statsPerTurn')}</div>
+        <table class="aichathelper-stats-table">
+          <thead>
+            <tr><th>#</th><th>${i18n.t('statsPrompt')}</th><th>${i18n.t('statsReply')}</th><th>${i18n.t('statsCode')}</th></tr>
+          </thead>
+          <tbody>
+            ${stats.turns
+              .map(
+                (turn) => `
+              <tr data-index="${turn.index}" title="${this.escapeHtml(turn.preview)}">
+                <td>${turn.index + 1}</td>
+                <td>${ConversationStats.formatCount(turn.user.tokens)}</td>
+                <td>${ConversationStats.formatCount(turn.assistant.tokens)}</td>
+                <td>${turn.codeBlocks || ''}</td>
+              </tr>`
+              )
+              .join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * 渲染总量
+   * @param {Object} stats - 统计信息
+   * @returns {string} HTML
+   */
+  renderTotals(stats) {
+    const { totals } = stats;
+    const cards = [
+      [i18n.t('statsTurns'), totals.turns],
+      [i18n.t('statsTokens'), ConversationStats.formatCount(totals.tokens)],
+      [i18n.t('statsCharacters'), ConversationStats.formatCount(totals.characters)],
+      [i18n.t('statsWords'), ConversationStats.formatCount(totals.words)],
+      [i18n.t('statsPromptTokens'), ConversationStats.formatCount(totals.userTokens)],
+      [i18n.t('statsCodeBlocks'), totals.codeBlocks]
+    ];
+
+    return `
+      <div class="aichathelper-stats-cards">
+        ${cards
+          .map(
+            ([label, value]) => `
+          <div class="aichathelper-stats-card">
+            <span class="aichathelper-stats-value">${value}</span>
+            <span class="aichathelper-stats-label">${label}</span>
+          </div>`
+          )
+          .join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * 渲染上下文窗口占用
+   * @param {Object} stats - 统计信息
+   * @returns {string} HTML
+   */
+  renderContextUsage(stats) {
+    const percent = Math.round(stats.contextUsage * 100);
+    let state = '';
+    let hint = '';
+    if (stats.contextUsage >= 1) {
+      state = 'over';
+      hint = i18n.t('statsOverContext');
+    } else if (stats.contextUsage >= ConversationStats.WARNING_RATIO) {
+      state = 'warning';
+      hint = i18n.t('statsNearContext');
+    }
+
+    return `
+      <div class="aichathelper-stats-section aichathelper-stats-context ${state}">
+        <div class="aichathelper-stats-title">
+          <span>${i18n.t('statsContextUsage')}</span>
+          <span>${i18n.t('statsContextValue', [
+            ConversationStats.formatCount(stats.totals.tokens),
+            ConversationStats.formatCount(stats.model.contextWindow),
+            percent
+          ])}</span>
+        </div>
+        <div class="aichathelper-stats-meter"><span style="width: ${Math.min(percent, 100)}%"></span></div>
+        ${hint ? `<div class="aichathelper-stats-hint">${hint}</div>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * 渲染长度分布柱状图
+   * @param {Array} histogram - [{ label, count }]
+   * @returns {string} HTML
+   */
+  renderHistogram(histogram) {
+    const max = Math.max(...histogram.map((bucket) => bucket.count), 1);
+    return `
+      <div class="aichathelper-stats-histogram">
+        ${histogram
+          .map(
+            (bucket) => `
+          <div class="aichathelper-stats-bar" title="${i18n.t('statsBucketTitle', [bucket.label, bucket.count])}">
+            <span class="aichathelper-stats-bar-count">${bucket.count || ''}</span>
+            <span class="aichathelper-stats-bar-fill" style="height: ${(bucket.count / max) * 100}%"></span>
+            <span class="aichathelper-stats-bar-label">${bucket.label}</span>
+          </div>`
+          )
+          .join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * HTML 转义
+   * @param {string} text - 原始文本
+   * @returns {string}
+   */
+  escapeHtml(text) {
+    const map = {
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#039;'
+    };
+    return String(text).replace(/[&<>"']/g, (m) => map[m]);
+  }
+}
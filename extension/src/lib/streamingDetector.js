@@ -0,0 +1,158 @@
+/**
+ * Streaming Detector Module
+ * 根据平台的 stopButton 选择器（停止生成按钮或输入中指示器）判断回答是否仍在生成：
+ * 指示器出现即开始生成，消失后页面保持一段时间没有变化才视为生成结束
+ * 空闲时不轮询，由对话变化触发检查；只在生成期间轮询指示器
+ * 生成期间对话监听会忽略回答内部的逐字变化，结束后再完整提取一次
+ */
+
+class StreamingDetector {
+  constructor(messageExtractor, platformDetector) {
+    this.messageExtractor = messageExtractor;
+    this.platformDetector = platformDetector;
+    this.streaming = false;
+    this.startedAt = 0;
+    this.pollTimer = null;
+    this.settleTimer = null;
+    this.onStart = null;
+    this.onFinish = null;
+  }
+
+  /**
+   * 生成期间检查指示器的间隔（指示器通常在输入框附近，不在对话容器的监听范围内，
+   * 它消失时不一定触发对话变化）
+   */
+  static get POLL_INTERVAL() {
+    return 500;
+  }
+
+  /**
+   * 指示器消失后，指示器未再出现且对话没有变化的时长达到该值，才视为生成结束
+   * （避免生成中途按钮短暂重建）
+   */
+  static get SETTLE_DELAY() {
+    return 1000;
+  }
+
+  /**
+   * 开始检查（之后由对话变化调用 check）
+   */
+  start() {
+    this.stop();
+    this.check();
+  }
+
+  /**
+   * 停止检查并清除生成状态（切换对话时调用，不触发 onFinish）
+   */
+  stop() {
+    clearInterval(this.pollTimer);
+    clearTimeout(this.settleTimer);
+    this.pollTimer = null;
+    this.settleTimer = null;
+    this.streaming = false;
+  }
+
+  /**
+   * 按选择器链查找生成中的指示器
+   * @returns {Element|null}
+   */
+  findIndicator() {
+    const selectors = this.platformDetector.getPlatformConfig()?.selectors;
+    if (!selectors) return null;
+
+    const chain = [selectors.stopButton, ...(selectors.fallbackSelectors?.stopButton || [])].filter(Boolean);
+    for (const selector of chain) {
+      try {
+        const element = document.querySelector(selector);
+        if (element) return element;
+      } catch (error) {
+        console.warn(`Invalid selector: ${selector}`, error);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 检查生成状态（对话变化时调用，生成期间也定时调用）
+   * @param {boolean} rearm - 指示器已消失时是否重新开始结束计时（对话变化说明页面尚未稳定）
+   */
+  check(rearm = true) {
+    if (this.findIndicator()) {
+      clearTimeout(this.settleTimer);
+      this.settleTimer = null;
+      if (!this.streaming) {
+        this.streaming = true;
+        this.startedAt = Date.now();
+        this.pollTimer = setInterval(() => this.check(false), StreamingDetector.POLL_INTERVAL);
+        this.onStart?.(this.getMessage());
+      }
+    } else if (this.streaming && (rearm || !this.settleTimer)) {
+      clearTimeout(this.settleTimer);
+      this.settleTimer = setTimeout(() => this.finish(), StreamingDetector.SETTLE_DELAY);
+    }
+  }
+
+  /**
+   * 生成结束
+   */
+  finish() {
+    this.settleTimer = null;
+    if (!this.streaming) return;
+
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+
+    const message = this.getMessage();
+    this.streaming = false;
+    this.onFinish?.({ message, duration: Date.now() - this.startedAt - StreamingDetector.SETTLE_DELAY });
+  }
+
+  /**
+   * 是否正在生成回答
+   * @returns {boolean}
+   */
+  isStreaming() {
+    return this.streaming;
+  }
+
+  /**
+   * 正在生成回答的一轮（最后一轮）
+   * @returns {Object|null}
+   */
+  getMessage() {
+    if (!this.streaming) return null;
+    const messages = this.messageExtractor.getMessages();
+    return messages[messages.length - 1] || null;
+  }
+
+  /**
+   * 正在逐字输出的回答元素
+   * @returns {Element|null}
+   */
+  getStreamingElement() {
+    return this.getMessage()?.assistantElement || null;
+  }
+
+  /**
+   * 生成进度（供 popup 显示；生成期间不提取回答文本，直接读取元素的文本长度）
+   * @returns {Object} { active, elapsed, length }
+   */
+  getProgress() {
+    if (!this.streaming) {
+      return { active: false, elapsed: 0, length: 0 };
+    }
+    return {
+      active: true,
+      elapsed: Date.now() - this.startedAt,
+      length: this.getStreamingElement()?.textContent.trim().length || 0
+    };
+  }
+}
+
+// 创建全局实例
+window.streamingDetector = null;
+
+if (window.messageExtractor && window.platformDetector) {
+  window.streamingDetector = new StreamingDetector(window.messageExtractor, window.platformDetector);
+}
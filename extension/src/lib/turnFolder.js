@@ -0,0 +1,166 @@
+/**
+ * Turn Folder Module
+ * 在宿主页面中折叠过长的提问和回答：只给消息元素加上类名和摘要属性，
+ * 由 highlight.css 限制高度并显示摘要，不改动页面结构
+ * 折叠状态按消息内容哈希记录，宿主页面重新渲染元素后重新应用
+ */
+
+class TurnFolder {
+  constructor(messageExtractor) {
+    this.messageExtractor = messageExtractor;
+    this.foldAll = { user: false, assistant: false }; // 头部「全部折叠」的状态
+    this.overrides = new Map(); // `${hash}:${role}` -> boolean，单轮的折叠状态优先于全部折叠
+    this.folded = new Set(); // 当前已折叠的页面元素
+    this.onChange = null; // 在页面上点击展开后通知侧边栏
+    this.handleClick = this.handleClick.bind(this);
+    document.addEventListener('click', this.handleClick, true);
+  }
+
+  /**
+   * 折叠元素使用的类名
+   */
+  static get CLASS_NAME() {
+    return 'aichathelper-folded';
+  }
+
+  /**
+   * 消息的折叠状态键（内容哈希在宿主页面重新渲染后保持不变）
+   * @param {Object} msg - 消息对象
+   * @param {string} role - 'user' 或 'assistant'
+   * @returns {string}
+   */
+  getKey(msg, role) {
+    return `${msg.hash || msg.id}:${role}`;
+  }
+
+  /**
+   * 消息的提问或回答是否折叠
+   * @param {Object} msg - 消息对象
+   * @param {string} role - 'user' 或 'assistant'
+   * @returns {boolean}
+   */
+  isFolded(msg, role) {
+    const override = this.overrides.get(this.getKey(msg, role));
+    return override === undefined ? this.foldAll[role] : override;
+  }
+
+  /**
+   * 一轮中是否有已折叠的提问或回答
+   * @param {Object} msg - 消息对象
+   * @returns {boolean}
+   */
+  isTurnFolded(msg) {
+    return this.isFolded(msg, 'user') || (Boolean(msg.assistantElement) && this.isFolded(msg, 'assistant'));
+  }
+
+  /**
+   * 折叠或展开一轮：有任一部分折叠时全部展开，否则提问和回答一起折叠
+   * @param {number} index - 消息索引
+   */
+  toggleTurn(index) {
+    const msg = this.messageExtractor.getMessageByIndex(index);
+    if (!msg) return;
+
+    const folded = !this.isTurnFolded(msg);
+    this.overrides.set(this.getKey(msg, 'user'), folded);
+    this.overrides.set(this.getKey(msg, 'assistant'), folded);
+    this.apply();
+  }
+
+  /**
+   * 折叠或展开全部提问或全部回答（清除该角色的单轮状态）
+   * @param {string} role - 'user' 或 'assistant'
+   * @param {boolean} folded - 是否折叠
+   */
+  setAll(role, folded) {
+    this.foldAll[role] = folded;
+    this.overrides.forEach((value, key) => {
+      if (key.endsWith(`:${role}`)) this.overrides.delete(key);
+    });
+    this.apply();
+  }
+
+  /**
+   * 是否已折叠全部提问或全部回答
+   * @param {string} role - 'user' 或 'assistant'
+   * @returns {boolean}
+   */
+  isAllFolded(role) {
+    return this.foldAll[role];
+  }
+
+  /**
+   * 按当前状态给页面元素加上或移除折叠类名（提取消息和侧边栏更新后调用）
+   */
+  apply() {
+    const current = new Set();
+    this.messageExtractor.getMessages().forEach((msg) => {
+      ['user', 'assistant'].forEach((role) => {
+        const element = role === 'user' ? msg.userElement : msg.assistantElement;
+        if (!element || !this.isFolded(msg, role)) return;
+
+        const text = role === 'user' ? msg.userText : msg.assistantText;
+        element.classList.add(TurnFolder.CLASS_NAME);
+        element.dataset.aichathelperSummary = i18n.t(role === 'user' ? 'foldedPrompt' : 'foldedReply', (text || '').length);
+        current.add(element);
+      });
+    });
+
+    // 展开不再折叠的元素（包括宿主页面已移除的旧元素）
+    this.folded.forEach((element) => {
+      if (!current.has(element)) this.unfoldElement(element);
+    });
+    this.folded = current;
+  }
+
+  /**
+   * 移除元素上的折叠标记
+   * @param {Element} element - 页面元素
+   */
+  unfoldElement(element) {
+    element.classList.remove(TurnFolder.CLASS_NAME);
+    delete element.dataset.aichathelperSummary;
+  }
+
+  /**
+   * 点击页面上已折叠的元素时展开（捕获阶段拦截，避免触发宿主页面的点击处理）
+   * @param {MouseEvent} e - 点击事件
+   */
+  handleClick(e) {
+    const element = e.target instanceof Element ? e.target.closest(`.${TurnFolder.CLASS_NAME}`) : null;
+    if (!element || !this.folded.has(element)) return;
+
+    const msg = this.messageExtractor.getMessages().find((item) => item.userElement === element || item.assistantElement === element);
+    if (!msg) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    this.overrides.set(this.getKey(msg, msg.userElement === element ? 'user' : 'assistant'), false);
+    this.apply();
+    this.onChange?.();
+  }
+
+  /**
+   * 切换对话时清除单轮状态（全部折叠的设置保留到新对话）
+   */
+  reset() {
+    this.overrides.clear();
+    this.folded.forEach((element) => this.unfoldElement(element));
+    this.folded.clear();
+  }
+
+  /**
+   * 展开所有元素并移除监听
+   */
+  destroy() {
+    this.reset();
+    document.removeEventListener('click', this.handleClick, true);
+  }
+}
+
+// 创建全局实例
+window.turnFolder = null;
+
+if (window.messageExtractor) {
+  window.turnFolder = new TurnFolder(window.messageExtractor);
+}
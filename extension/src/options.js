@@ -0,0 +1,718 @@
+/**
+ * Options Script
+ * 设置页：界面语言、管理用户自定义的平台定义（新增、编辑、导入、导出）、各平台的侧边栏外观、敏感信息检测、
+ * 回答完成通知和远程选择器配置
+ */
+
+/**
+ * 平台选择器字段（labelKey 为语言包中的名称；fallback 为 true 的字段支持备用选择器链）
+ */
+const SELECTOR_FIELDS = [
+  { key: 'userMessage', labelKey: 'roleUserMessage', fallback: true },
+  { key: 'assistantMessage', labelKey: 'roleAssistantMessage', fallback: true },
+  { key: 'messageContent', labelKey: 'roleMessageContent' },
+  { key: 'scrollContainer', labelKey: 'roleScrollContainer' },
+  { key: 'inputBox', labelKey: 'roleInputBox', fallback: true },
+  { key: 'sendButton', labelKey: 'roleSendButton', fallback: true },
+  { key: 'stopButton', labelKey: 'roleStopButton', fallback: true },
+  { key: 'turnContainer', labelKey: 'roleTurnContainer' },
+  { key: 'branchControl', labelKey: 'roleBranchControl' }
+];
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const platformDetector = window.platformDetector;
+  const platformList = document.getElementById('platformList');
+  const platformForm = document.getElementById('platformForm');
+  const platformFormTitle = document.getElementById('platformFormTitle');
+  const selectorFields = document.getElementById('selectorFields');
+  const platformMessage = document.getElementById('platformMessage');
+  const presetSelect = document.getElementById('presetSelect');
+  const importFile = document.getElementById('importFile');
+  const sidebarPreferences = window.sidebarPreferences;
+  const appearancePlatform = document.getElementById('appearancePlatform');
+  const appearanceForm = document.getElementById('appearanceForm');
+  const appearanceMessage = document.getElementById('appearanceMessage');
+  const languageSelect = document.getElementById('languageSelect');
+  const sensitiveDataDetector = window.sensitiveDataDetector;
+  const sensitiveForm = document.getElementById('sensitiveForm');
+  const sensitiveMessage = document.getElementById('sensitiveMessage');
+  const detectorList = document.getElementById('detectorList');
+  const redactionLog = document.getElementById('redactionLog');
+  const notificationForm = document.getElementById('notificationForm');
+  const notificationMessage = document.getElementById('notificationMessage');
+  const configLoader = platformDetector.configLoader;
+  const remoteConfigForm = document.getElementById('remoteConfigForm');
+  const remoteConfigMessage = document.getElementById('remoteConfigMessage');
+  const remoteConfigStatus = document.getElementById('remoteConfigStatus');
+
+  let presets = {};
+  let editingKey = null;
+
+  /**
+   * 显示操作结果
+   */
+  function showMessage(text, isError = false) {
+    platformMessage.textContent = text;
+    platformMessage.classList.toggle('error', isError);
+  }
+
+  /**
+   * HTML 转义
+   */
+  function escapeHtml(text) {
+    const map = {
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#039;'
+    };
+    return String(text).replace(/[&<>"']/g, (m) => map[m]);
+  }
+
+  /**
+   * 按行拆分文本框内容
+   */
+  function splitLines(value) {
+    return value.split('\n').map((line) => line.trim()).filter(Boolean);
+  }
+
+  /**
+   * 重新加载内置和自定义平台
+   */
+  async function reloadPlatforms() {
+    await platformDetector.init();
+    await renderPlatformList();
+    renderAppearancePlatforms();
+  }
+
+  /**
+   * 检查平台的站点权限是否已授予
+   */
+  function hasPermission(platform) {
+    const origins = PlatformDetector.toMatchPatterns(platform.urls);
+    if (origins.length === 0) return Promise.resolve(false);
+    return chrome.permissions.contains({ origins });
+  }
+
+  /**
+   * 请求平台的站点权限（必须在用户操作中调用）
+   */
+  function requestPermission(platform) {
+    const origins = PlatformDetector.toMatchPatterns(platform.urls);
+    return chrome.permissions.request({ origins });
+  }
+
+  /**
+   * 渲染平台列表
+   */
+  async function renderPlatformList() {
+    const platforms = platformDetector.platformsConfig.platforms;
+    const rows = await Promise.all(
+      Object.entries(platforms).map(async ([key, platform]) => {
+        const isBundled = Boolean(platformDetector.bundledPlatforms[key]);
+        const isCustom = Boolean(platformDetector.customPlatforms[key]);
+        const source = i18n.t(isBundled ? (isCustom ? 'sourceModified' : 'sourceBundled') : 'sourceCustom');
+        const granted = await hasPermission(platform);
+
+        return `
+          <tr data-key="${escapeHtml(key)}" class="${platform.enabled === false ? 'disabled' : ''}">
+            <td>${escapeHtml(platform.name || key)}</td>
+            <td><code>${escapeHtml(key)}</code></td>
+            <td>${(platform.urls || []).map((url) => `<code>${escapeHtml(url)}</code>`).join('<br>')}</td>
+            <td><span class="badge ${isCustom ? 'custom' : ''}">${source}</span></td>
+            <td>${granted ? i18n.t('permissionGranted') : `<button class="options-button small" data-action="grant">${i18n.t('permissionGrant')}</button>`}</td>
+            <td class="row-actions">
+              <button class="options-button small" data-action="edit">${i18n.t('actionEdit')}</button>
+              ${isCustom ? `<button class="options-button small" data-action="remove">${i18n.t(isBundled ? 'actionReset' : 'actionDelete')}</button>` : ''}
+            </td>
+          </tr>
+        `;
+      })
+    );
+    platformList.innerHTML = rows.join('');
+  }
+
+  /**
+   * 生成选择器输入字段
+   */
+  function renderSelectorFields() {
+    selectorFields.innerHTML = SELECTOR_FIELDS.map(
+      (field) => `
+        <label class="form-field">
+          <span>${i18n.t('selectorLabel', i18n.t(field.labelKey))}</span>
+          <input type="text" name="selector-${field.key}" ${field.key === 'userMessage' ? 'required' : ''}>
+        </label>
+        ${field.fallback ? `
+        <label class="form-field">
+          <span>${i18n.t('fallbackSelectorLabel', i18n.t(field.labelKey))}</span>
+          <textarea name="fallback-${field.key}" rows="2"></textarea>
+        </label>` : '<div></div>'}
+      `
+    ).join('');
+  }
+
+  /**
+   * 打开编辑表单
+   */
+  function openForm(key, platform) {
+    editingKey = key;
+    platformFormTitle.textContent = key ? i18n.t('platformEditNamed', platform.name || key) : i18n.t('platformsAdd');
+
+    const elements = platformForm.elements;
+    elements.key.value = key || '';
+    elements.key.readOnly = Boolean(key);
+    elements.name.value = platform.name || '';
+    elements.urls.value = (platform.urls || []).join('\n');
+    elements.conversationIdPattern.value = platform.conversationIdPattern || '';
+    elements.enabled.checked = platform.enabled !== false;
+
+    const selectors = platform.selectors || {};
+    SELECTOR_FIELDS.forEach((field) => {
+      elements[`selector-${field.key}`].value = selectors[field.key] || '';
+      if (field.fallback) {
+        elements[`fallback-${field.key}`].value = (selectors.fallbackSelectors?.[field.key] || []).join('\n');
+      }
+    });
+
+    platformForm.hidden = false;
+    platformForm.scrollIntoView({ behavior: 'smooth' });
+  }
+
+  /**
+   * 从表单读取平台定义
+   * config 为完整定义（用于校验和请求权限）；override 为需要保存的内容，
+   * 内置平台只保存相对内置定义的差异
+   */
+  function readForm() {
+    const elements = platformForm.elements;
+    const base = (editingKey && platformDetector.platformsConfig.platforms[editingKey]) || {};
+    const selectors = { ...base.selectors, fallbackSelectors: { ...base.selectors?.fallbackSelectors } };
+
+    SELECTOR_FIELDS.forEach((field) => {
+      const value = elements[`selector-${field.key}`].value.trim();
+      if (value) {
+        selectors[field.key] = value;
+      } else {
+        delete selectors[field.key];
+      }
+      if (field.fallback) {
+        selectors.fallbackSelectors[field.key] = splitLines(elements[`fallback-${field.key}`].value);
+      }
+    });
+
+    const config = {
+      ...base,
+      name: elements.name.value.trim(),
+      urls: splitLines(elements.urls.value),
+      conversationIdPattern: elements.conversationIdPattern.value.trim(),
+      enabled: elements.enabled.checked,
+      selectors
+    };
+    if (!config.conversationIdPattern) {
+      delete config.conversationIdPattern;
+    }
+
+    const key = elements.key.value.trim();
+    const bundled = platformDetector.bundledPlatforms[key];
+    return { key, config, override: bundled ? PlatformDetector.diffPlatform(bundled, config) : config };
+  }
+
+  /**
+   * 校验平台定义（导入和保存时使用）
+   */
+  function validatePlatform(key, config) {
+    if (!/^[a-z0-9-]+$/.test(key)) {
+      return i18n.t('errorInvalidKey', key);
+    }
+    if (!config || typeof config !== 'object' || !Array.isArray(config.urls) || config.urls.length === 0) {
+      return i18n.t('errorMissingUrls', key);
+    }
+    if (!config.selectors?.userMessage) {
+      return i18n.t('errorMissingUserSelector', key);
+    }
+    if (config.conversationIdPattern) {
+      try {
+        new RegExp(config.conversationIdPattern);
+      } catch (error) {
+        return i18n.t('errorInvalidConversationIdPattern', [key, config.conversationIdPattern]);
+      }
+    }
+
+    const selectorList = [
+      ...SELECTOR_FIELDS.map((field) => config.selectors[field.key]),
+      ...Object.values(config.selectors.fallbackSelectors || {}).flat()
+    ].filter(Boolean);
+    for (const selector of selectorList) {
+      try {
+        document.createDocumentFragment().querySelector(selector);
+      } catch (error) {
+        return i18n.t('errorInvalidSelector', [key, selector]);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 保存平台并重新渲染（内置平台没有差异时恢复默认）
+   */
+  async function savePlatform(key, override) {
+    if (platformDetector.bundledPlatforms[key] && Object.keys(override).length === 0) {
+      await PlatformDetector.removeCustomPlatform(key);
+    } else {
+      await PlatformDetector.saveCustomPlatform(key, override);
+    }
+    await reloadPlatforms();
+  }
+
+  /**
+   * 导出自定义平台定义
+   */
+  function exportPlatforms() {
+    const data = JSON.stringify({ platforms: platformDetector.customPlatforms }, null, 2);
+    const url = URL.createObjectURL(new Blob([data], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'aichathelper-platforms.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * 导入平台定义（格式与导出一致：{ platforms: { key: config } }）
+   */
+  async function importPlatforms(file) {
+    try {
+      const data = JSON.parse(await file.text());
+      const platforms = data.platforms || {};
+      const entries = Object.entries(platforms);
+      if (entries.length === 0) {
+        showMessage(i18n.t('importEmpty'), true);
+        return;
+      }
+
+      // 导出的内置平台只包含差异，合并内置定义后再校验
+      const merged = PlatformDetector.mergePlatforms(platformDetector.bundledPlatforms, platforms);
+      for (const [key] of entries) {
+        const error = validatePlatform(key, merged[key]);
+        if (error) {
+          showMessage(error, true);
+          return;
+        }
+      }
+
+      for (const [key, config] of entries) {
+        await PlatformDetector.saveCustomPlatform(key, config);
+      }
+      await reloadPlatforms();
+      showMessage(i18n.t('importDone', entries.length));
+    } catch (error) {
+      showMessage(i18n.t('importFailed', error.message), true);
+    }
+  }
+
+  /**
+   * 加载平台预设
+   */
+  async function loadPresets() {
+    try {
+      const response = await fetch(chrome.runtime.getURL('src/config/platformPresets.json'));
+      presets = (await response.json()).presets || {};
+      presetSelect.innerHTML += Object.entries(presets)
+        .map(([key, preset]) => `<option value="${escapeHtml(key)}">${escapeHtml(preset.name)}</option>`)
+        .join('');
+    } catch (error) {
+      console.error('Failed to load platform presets:', error);
+    }
+  }
+
+  /**
+   * 渲染外观设置的平台选项（已保存过外观的平台标注“已自定义”）
+   */
+  function renderAppearancePlatforms() {
+    const selected = appearancePlatform.value;
+    appearancePlatform.innerHTML = Object.entries(platformDetector.platformsConfig.platforms)
+      .map(
+        ([key, platform]) =>
+          `<option value="${escapeHtml(key)}">${escapeHtml(platform.name || key)}${sidebarPreferences.has(key) ? i18n.t('appearanceCustomized') : ''}</option>`
+      )
+      .join('');
+    if (selected && platformDetector.platformsConfig.platforms[selected]) {
+      appearancePlatform.value = selected;
+    }
+    renderAppearanceForm();
+  }
+
+  /**
+   * 将所选平台的外观偏好填入表单
+   */
+  function renderAppearanceForm() {
+    const preferences = sidebarPreferences.get(appearancePlatform.value);
+    const elements = appearanceForm.elements;
+    elements.dock.value = preferences.dock;
+    elements.width.value = preferences.width;
+    elements.width.min = SidebarPreferences.MIN_WIDTH;
+    elements.width.max = SidebarPreferences.MAX_WIDTH;
+    elements.theme.value = preferences.theme;
+    elements.density.value = preferences.density;
+  }
+
+  /**
+   * 显示外观设置的操作结果
+   */
+  function showAppearanceMessage(text) {
+    appearanceMessage.textContent = text;
+  }
+
+  /**
+   * 显示敏感信息检测设置的操作结果
+   */
+  function showSensitiveMessage(text, isError = false) {
+    sensitiveMessage.textContent = text;
+    sensitiveMessage.classList.toggle('error', isError);
+  }
+
+  /**
+   * 渲染敏感信息检测设置
+   */
+  function renderSensitiveForm() {
+    const settings = sensitiveDataDetector.settings;
+    const elements = sensitiveForm.elements;
+    elements.enabled.checked = settings.enabled;
+    elements.guardInput.checked = settings.guardInput;
+    elements.entropyThreshold.value = settings.entropyThreshold;
+    elements.customPatterns.value = settings.customPatterns.map((rule) => `${rule.name}: ${rule.pattern}`).join('\n');
+
+    detectorList.innerHTML = [...Object.keys(SensitiveDataDetector.DETECTORS), 'entropy']
+      .map(
+        (id) => `
+        <label class="form-checkbox">
+          <input type="checkbox" name="detector" value="${id}"${settings.disabledDetectors.includes(id) ? '' : ' checked'}>
+          <span>${escapeHtml(sensitiveDataDetector.getLabel(id))}</span>
+        </label>`
+      )
+      .join('');
+  }
+
+  /**
+   * 解析自定义规则（每行“名称: 正则表达式”），无效时抛出错误
+   */
+  function parseCustomPatterns(value) {
+    return splitLines(value).map((line) => {
+      const separator = line.indexOf(':');
+      const name = separator > 0 ? line.slice(0, separator).trim() : '';
+      const pattern = separator > 0 ? line.slice(separator + 1).trim() : '';
+      if (!name || !pattern) {
+        throw new Error(i18n.t('sensitivePatternFormat', line));
+      }
+      try {
+        new RegExp(pattern, 'g');
+      } catch (error) {
+        throw new Error(i18n.t('sensitivePatternInvalid', [name, error.message]));
+      }
+      return { name, pattern };
+    });
+  }
+
+  /**
+   * 渲染脱敏记录
+   */
+  async function renderRedactionLog() {
+    const entries = await sensitiveDataDetector.getLog();
+    const actionKeys = { redacted: 'sensitiveActionRedacted', ignored: 'sensitiveActionIgnored', sentAnyway: 'sensitiveActionSentAnyway' };
+    const platforms = platformDetector.platformsConfig.platforms;
+
+    redactionLog.innerHTML = entries.length
+      ? entries
+          .map(
+            (entry) => `
+        <tr>
+          <td>${escapeHtml(new Date(entry.time).toLocaleString())}</td>
+          <td>${escapeHtml(platforms[entry.platform]?.name || entry.platform)}</td>
+          <td>${escapeHtml(i18n.t(actionKeys[entry.action] || entry.action))}</td>
+          <td>${escapeHtml(entry.detectors.map((group) => `${group.label} × ${group.count}`).join(', '))}</td>
+        </tr>`
+          )
+          .join('')
+      : `<tr><td colspan="4">${i18n.t('sensitiveLogEmpty')}</td></tr>`;
+  }
+
+  /**
+   * 渲染回答完成通知的设置
+   */
+  async function renderNotificationForm() {
+    const { replyNotification } = await chrome.storage.sync.get(['replyNotification']);
+    const settings = { enabled: false, minSeconds: 30, ...replyNotification };
+    notificationForm.elements.enabled.checked = settings.enabled;
+    notificationForm.elements.minSeconds.value = settings.minSeconds;
+  }
+
+  /**
+   * 显示远程配置区域的提示
+   */
+  function showRemoteConfigMessage(text, isError = false) {
+    remoteConfigMessage.textContent = text;
+    remoteConfigMessage.classList.toggle('error', isError);
+  }
+
+  /**
+   * 渲染远程配置的设置和状态
+   */
+  async function renderRemoteConfig() {
+    const settings = await configLoader.getSettings();
+    const cache = await configLoader.getCache();
+    const info = platformDetector.getConfigInfo();
+    const elements = remoteConfigForm.elements;
+    elements.url.value = settings.url;
+    elements.verification.value = settings.verification;
+    elements.sha256.value = settings.sha256;
+    elements.publicKey.value = settings.publicKey;
+
+    const describe = (entry) => (entry ? `${entry.version} · ${new Date(entry.fetchedAt).toLocaleString()}` : '-');
+    const lastCheck = cache.lastCheck
+      ? `${new Date(cache.lastCheck.time).toLocaleString()} · ${
+          cache.lastCheck.success ? i18n.t('remoteConfigCheckOk', cache.lastCheck.version) : cache.lastCheck.error
+        }`
+      : '-';
+    const rows = [
+      [
+        'remoteConfigActive',
+        info?.version ? i18n.t(info.source === 'remote' ? 'popupConfigRemote' : 'popupConfigBundled', info.version) : '-'
+      ],
+      ['remoteConfigCurrent', describe(cache.current)],
+      ['remoteConfigLastKnownGood', describe(cache.lastKnownGood)],
+      ['remoteConfigRejected', cache.rejected.join(', ') || '-'],
+      ['remoteConfigLastCheck', lastCheck]
+    ];
+    remoteConfigStatus.innerHTML = rows
+      .map(([key, value]) => `<tr><th>${i18n.t(key)}</th><td>${escapeHtml(value)}</td></tr>`)
+      .join('');
+  }
+
+  /**
+   * 请求 Service Worker 立即检查远程配置
+   */
+  function checkRemoteConfig() {
+    showRemoteConfigMessage(i18n.t('remoteConfigChecking'));
+    chrome.runtime.sendMessage({ action: 'refreshPlatformsConfig' }, async (result) => {
+      if (chrome.runtime.lastError || !result) {
+        showRemoteConfigMessage(i18n.t('remoteConfigCheckFailed', chrome.runtime.lastError?.message || ''), true);
+      } else if (!result.success) {
+        showRemoteConfigMessage(i18n.t('remoteConfigCheckFailed', result.error), true);
+      } else if (!result.version) {
+        showRemoteConfigMessage(i18n.t('remoteConfigNoUrl'));
+      } else {
+        showRemoteConfigMessage(i18n.t(result.updated ? 'remoteConfigUpdated' : 'remoteConfigUpToDate', result.version));
+      }
+      await reloadPlatforms();
+      await renderRemoteConfig();
+    });
+  }
+
+  /**
+   * 绑定事件
+   */
+  platformList.addEventListener('click', async (e) => {
+    const button = e.target.closest('[data-action]');
+    const key = button?.closest('tr')?.dataset.key;
+    if (!button || !key) return;
+
+    const platform = platformDetector.platformsConfig.platforms[key];
+    if (button.dataset.action === 'edit') {
+      openForm(key, platform);
+    } else if (button.dataset.action === 'grant') {
+      const granted = await requestPermission(platform);
+      showMessage(granted ? i18n.t('grantDone', platform.name) : i18n.t('grantDenied'), !granted);
+      await renderPlatformList();
+    } else if (button.dataset.action === 'remove') {
+      await PlatformDetector.removeCustomPlatform(key);
+      await reloadPlatforms();
+      showMessage(i18n.t(platformDetector.bundledPlatforms[key] ? 'platformResetDone' : 'platformDeleteDone', platform.name));
+    }
+  });
+
+  document.getElementById('addPlatformBtn').addEventListener('click', () => {
+    openForm(null, { urls: [], selectors: {} });
+  });
+
+  presetSelect.addEventListener('change', () => {
+    const preset = presets[presetSelect.value];
+    if (preset) {
+      openForm(null, preset);
+      platformForm.elements.key.value = presetSelect.value;
+    }
+    presetSelect.value = '';
+  });
+
+  document.getElementById('cancelEditBtn').addEventListener('click', () => {
+    platformForm.hidden = true;
+    editingKey = null;
+  });
+
+  platformForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const { key, config, override } = readForm();
+    const error = validatePlatform(key, config);
+    if (error) {
+      showMessage(error, true);
+      return;
+    }
+
+    // 权限请求必须在用户操作的同步调用栈中发起
+    requestPermission(config).then(async (granted) => {
+      await savePlatform(key, override);
+      platformForm.hidden = true;
+      editingKey = null;
+      showMessage(i18n.t(granted ? 'platformSaved' : 'platformSavedWithoutPermission', config.name), !granted);
+    });
+  });
+
+  document.getElementById('exportBtn').addEventListener('click', exportPlatforms);
+  document.getElementById('importBtn').addEventListener('click', () => importFile.click());
+  importFile.addEventListener('change', () => {
+    if (importFile.files[0]) {
+      importPlatforms(importFile.files[0]);
+      importFile.value = '';
+    }
+  });
+
+  appearancePlatform.addEventListener('change', () => {
+    showAppearanceMessage('');
+    renderAppearanceForm();
+  });
+
+  appearanceForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const elements = appearanceForm.elements;
+    const key = appearancePlatform.value;
+    await sidebarPreferences.set(
+      {
+        dock: elements.dock.value,
+        width: Number(elements.width.value),
+        theme: elements.theme.value,
+        density: elements.density.value
+      },
+      key
+    );
+    renderAppearancePlatforms();
+    showAppearanceMessage(i18n.t('appearanceSaved', platformDetector.platformsConfig.platforms[key]?.name || key));
+  });
+
+  document.getElementById('resetAppearanceBtn').addEventListener('click', async () => {
+    await sidebarPreferences.reset(appearancePlatform.value);
+    renderAppearancePlatforms();
+    showAppearanceMessage(i18n.t('appearanceResetDone'));
+  });
+
+  sensitiveForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const elements = sensitiveForm.elements;
+    let customPatterns;
+    try {
+      customPatterns = parseCustomPatterns(elements.customPatterns.value);
+    } catch (error) {
+      showSensitiveMessage(error.message, true);
+      return;
+    }
+
+    const enabledDetectors = Array.from(detectorList.querySelectorAll('input[name="detector"]:checked')).map((input) => input.value);
+    await sensitiveDataDetector.save({
+      enabled: elements.enabled.checked,
+      guardInput: elements.guardInput.checked,
+      disabledDetectors: [...Object.keys(SensitiveDataDetector.DETECTORS), 'entropy'].filter((id) => !enabledDetectors.includes(id)),
+      entropyThreshold: Number(elements.entropyThreshold.value),
+      customPatterns
+    });
+    renderSensitiveForm();
+    showSensitiveMessage(i18n.t('sensitiveSaved'));
+  });
+
+  document.getElementById('clearRedactionLogBtn').addEventListener('click', async () => {
+    await sensitiveDataDetector.clearLog();
+    await renderRedactionLog();
+  });
+
+  notificationForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const settings = {
+      enabled: notificationForm.elements.enabled.checked,
+      minSeconds: Number(notificationForm.elements.minSeconds.value)
+    };
+
+    // 通知权限为可选权限，请求必须在用户操作的同步调用栈中发起
+    const granted = settings.enabled ? chrome.permissions.request({ permissions: ['notifications'] }) : Promise.resolve(true);
+    granted.then(async (ok) => {
+      await chrome.storage.sync.set({ replyNotification: { ...settings, enabled: settings.enabled && ok } });
+      notificationMessage.textContent = i18n.t(ok ? 'notifySaved' : 'notifyDenied');
+      notificationMessage.classList.toggle('error', !ok);
+      await renderNotificationForm();
+    });
+  });
+
+  remoteConfigForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const elements = remoteConfigForm.elements;
+    const settings = {
+      url: elements.url.value.trim(),
+      verification: elements.verification.value,
+      sha256: elements.sha256.value.trim().toLowerCase(),
+      publicKey: elements.publicKey.value.trim()
+    };
+    if (settings.url && settings.verification === 'signature' && !settings.publicKey) {
+      showRemoteConfigMessage(i18n.t('remoteConfigKeyRequired'), true);
+      return;
+    }
+
+    // 下载配置需要目标站点的访问权限，请求必须在用户操作的同步调用栈中发起
+    const granted = settings.url ? chrome.permissions.request({ origins: [`${new URL(settings.url).origin}/*`] }) : Promise.resolve(true);
+    granted.then(async (ok) => {
+      if (!ok) {
+        showRemoteConfigMessage(i18n.t('grantDenied'), true);
+        return;
+      }
+      // 保存后 Service Worker 会立即检查一次
+      await configLoader.saveSettings(settings);
+      showRemoteConfigMessage(i18n.t('remoteConfigSaved'));
+      await renderRemoteConfig();
+    });
+  });
+
+  document.getElementById('checkConfigBtn').addEventListener('click', checkRemoteConfig);
+
+  document.getElementById('resetConfigBtn').addEventListener('click', async () => {
+    await configLoader.clearCache();
+    await reloadPlatforms();
+    await renderRemoteConfig();
+    showRemoteConfigMessage(i18n.t('remoteConfigResetDone'));
+  });
+
+  // 缓存的远程配置变化（下载或回滚）后刷新状态
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[configLoader.cacheKey]) {
+      reloadPlatforms().then(renderRemoteConfig);
+    }
+  });
+
+  // 切换界面语言后重新加载设置页
+  languageSelect.addEventListener('change', async () => {
+    await i18n.setLanguage(languageSelect.value);
+    location.reload();
+  });
+
+  // 侧边栏中修改外观后同步到表单
+  sidebarPreferences.watch(() => renderAppearancePlatforms());
+
+  // 初始化
+  await i18n.load();
+  i18n.localize();
+  languageSelect.value = i18n.language;
+  renderSelectorFields();
+  await sidebarPreferences.load();
+  await loadPresets();
+  await reloadPlatforms();
+  await sensitiveDataDetector.load();
+  renderSensitiveForm();
+  await renderRedactionLog();
+  await renderNotificationForm();
+  await renderRemoteConfig();
+});
@@ -3,30 +3,54 @@
  * 处理弹窗中的交互和与 content script 的通信
  */
 
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
   const toggleBtn = document.getElementById('toggleBtn');
   const refreshBtn = document.getElementById('refreshBtn');
   const platformNameSpan = document.getElementById('platformName');
   const messageCountSpan = document.getElementById('messageCount');
   const sidebarStatusSpan = document.getElementById('sidebarStatus');
+  const configVersionSpan = document.getElementById('configVersion');
+  const replyStatusSpan = document.getElementById('replyStatus');
+  const exportButtons = document.querySelectorAll('.export-button');
+  const exportResult = document.getElementById('exportResult');
+  const librarySearch = document.getElementById('librarySearch');
+  const libraryList = document.getElementById('libraryList');
+  const libraryFill = document.getElementById('libraryFill');
+  const libraryResult = document.getElementById('libraryResult');
+  const statsModel = document.getElementById('statsModel');
+  const statsSummary = document.getElementById('statsSummary');
+  const comparePrompt = document.getElementById('comparePrompt');
+  const compareTargets = document.getElementById('compareTargets');
+  const compareSendBtn = document.getElementById('compareSendBtn');
+  const compareResult = document.getElementById('compareResult');
+  const promptLibrary = window.promptLibrary;
 
   /**
    * 获取当前标签页并发送消息
+   * @param {string} action - 动作名称
+   * @param {Object} payload - 附加参数
+   * @param {Function} onResponse - 响应回调，默认更新状态显示
+   * @param {Function|null} onError - 没有活动标签页或 content script 未响应时的回调
    */
-  function sendMessageToTab(action) {
+  function sendMessageToTab(action, payload = {}, onResponse = updateStatus, onError = null) {
     chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-      if (tabs[0]) {
-        chrome.tabs.sendMessage(tabs[0].id, { action }, (response) => {
-          if (chrome.runtime.lastError) {
-            console.log('Content script not available');
-            platformNameSpan.textContent = '不支持的页面';
-            messageCountSpan.textContent = '-';
-            sidebarStatusSpan.textContent = '未启用';
-          } else if (response) {
-            updateStatus(response);
-          }
-        });
+      if (!tabs[0]) {
+        onError?.();
+        return;
       }
+      chrome.tabs.sendMessage(tabs[0].id, { action, ...payload }, (response) => {
+        if (chrome.runtime.lastError) {
+          console.log('Content script not available');
+          platformNameSpan.textContent = i18n.t('popupUnsupported');
+          messageCountSpan.textContent = '-';
+          sidebarStatusSpan.textContent = i18n.t('popupDisabled');
+          onError?.();
+        } else if (response) {
+          onResponse(response);
+        } else {
+          onError?.();
+        }
+      });
     });
   }
 
@@ -34,23 +58,233 @@ document.addEventListener('DOMContentLoaded', () => {
    * 更新状态显示
    */
   function updateStatus(status) {
-    platformNameSpan.textContent = status.platform || '未知';
+    platformNameSpan.textContent = status.platform || i18n.t('popupUnknown');
     messageCountSpan.textContent = status.messageCount || 0;
-    sidebarStatusSpan.textContent = status.sidebarVisible ? '已启用' : '已隐藏';
+    sidebarStatusSpan.textContent = i18n.t(status.sidebarVisible ? 'popupEnabled' : 'popupHidden');
+    configVersionSpan.textContent = status.config?.version
+      ? i18n.t(status.config.source === 'remote' ? 'popupConfigRemote' : 'popupConfigBundled', status.config.version)
+      : '-';
+    replyStatusSpan.textContent = status.streaming?.active
+      ? i18n.t('popupReplyStreaming', [Math.round(status.streaming.elapsed / 1000), status.streaming.length])
+      : i18n.t('popupReplyIdle');
+    replyStatusSpan.classList.toggle('streaming', Boolean(status.streaming?.active));
 
     // 更新按钮文本
     if (status.sidebarVisible) {
-      toggleBtn.innerHTML = '<span class="button-icon">👁️</span><span class="button-text">隐藏侧边栏</span>';
+      toggleBtn.innerHTML = `<span class="button-icon">👁️</span><span class="button-text">${i18n.t('popupHideSidebar')}</span>`;
     } else {
-      toggleBtn.innerHTML = '<span class="button-icon">👁️‍🗨️</span><span class="button-text">显示侧边栏</span>';
+      toggleBtn.innerHTML = `<span class="button-icon">👁️‍🗨️</span><span class="button-text">${i18n.t('popupShowSidebar')}</span>`;
     }
   }
 
+  /**
+   * HTML 转义
+   */
+  function escapeHtml(text) {
+    const map = {
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#039;'
+    };
+    return text.replace(/[&<>"']/g, (m) => map[m]);
+  }
+
+  /**
+   * 渲染提示词模板列表
+   */
+  function renderLibrary() {
+    const templates = promptLibrary.search(librarySearch.value);
+    if (templates.length === 0) {
+      libraryList.innerHTML = `<p class="library-empty">${i18n.t(librarySearch.value ? 'libraryNoMatch' : 'popupLibraryEmpty')}</p>`;
+      return;
+    }
+
+    libraryList.innerHTML = templates
+      .map(
+        (template) => `
+        <button class="library-item" data-id="${escapeHtml(template.id)}" title="${escapeHtml(template.text)}">
+          <span class="library-name">${escapeHtml(template.name)}</span>
+          ${template.tags.map((tag) => `<span class="library-tag">${escapeHtml(tag)}</span>`).join('')}
+        </button>`
+      )
+      .join('');
+  }
+
+  /**
+   * 将提示词插入当前页面的输入框
+   */
+  function insertPrompt(text) {
+    libraryResult.textContent = '';
+    sendMessageToTab('insertPrompt', { text }, (response) => {
+      libraryResult.textContent = i18n.t(response.success ? 'popupInserted' : 'popupInputNotFound');
+    });
+  }
+
+  /**
+   * 选择模板：有变量时显示变量表单
+   */
+  function selectTemplate(template) {
+    const variables = PromptLibrary.parseVariables(template.text);
+    if (variables.length === 0) {
+      insertPrompt(template.text);
+      return;
+    }
+
+    libraryFill.dataset.id = template.id;
+    libraryFill.innerHTML = `
+      <div class="library-name">${escapeHtml(template.name)}</div>
+      ${variables
+        .map(
+          (name) => `
+        <label class="library-field">
+          <span>${escapeHtml(name)}</span>
+          <input type="text" data-variable="${escapeHtml(name)}">
+        </label>`
+        )
+        .join('')}
+      <div class="library-fill-actions">
+        <button type="submit" class="export-button">${i18n.t('actionInsert')}</button>
+        <button type="button" class="export-button" data-action="cancel">${i18n.t('actionCancel')}</button>
+      </div>
+    `;
+    libraryFill.hidden = false;
+    libraryList.hidden = true;
+    libraryFill.querySelector('input')?.focus();
+  }
+
+  /**
+   * 关闭变量表单
+   */
+  function closeFillForm() {
+    libraryFill.hidden = true;
+    libraryList.hidden = false;
+  }
+
+  /**
+   * 渲染对话统计
+   * @param {Object} stats - content script 返回的统计信息
+   */
+  function renderStats(stats) {
+    statsModel.value = stats.model.key;
+    if (stats.totals.turns === 0) {
+      statsSummary.innerHTML = `<p class="stats-empty">${i18n.t('popupNoData')}</p>`;
+      return;
+    }
+
+    const format = ConversationStats.formatCount;
+    const { totals, histogram } = stats;
+    const percent = Math.round(stats.contextUsage * 100);
+    let state = '';
+    let hint = '';
+    if (stats.contextUsage >= 1) {
+      state = 'over';
+      hint = i18n.t('statsOverContext');
+    } else if (stats.contextUsage >= ConversationStats.WARNING_RATIO) {
+      state = 'warning';
+      hint = i18n.t('statsNearContext');
+    }
+    const maxCount = Math.max(...histogram.map((bucket) => bucket.count), 1);
+
+    statsSummary.innerHTML = `
+      <div class="stats-grid">
+        <div class="stats-cell"><span class="stats-value">${format(totals.tokens)}</span><span class="stats-label">${i18n.t('statsTokens')}</span></div>
+        <div class="stats-cell"><span class="stats-value">${format(totals.characters)}</span><span class="stats-label">${i18n.t('statsCharacters')}</span></div>
+        <div class="stats-cell"><span class="stats-value">${format(totals.words)}</span><span class="stats-label">${i18n.t('statsWords')}</span></div>
+        <div class="stats-cell"><span class="stats-value">${totals.codeBlocks}</span><span class="stats-label">${i18n.t('statsCodeBlocks')}</span></div>
+      </div>
+      <div class="stats-context">
+        <span>${i18n.t('statsContextUsage')}</span>
+        <span>${i18n.t('statsContextValue', [format(totals.tokens), format(stats.model.contextWindow), percent])}</span>
+      </div>
+      <div class="stats-meter ${state}"><span style="width: ${Math.min(percent, 100)}%"></span></div>
+      ${hint ? `<p class="stats-hint">${hint}</p>` : ''}
+      <div class="stats-histogram">
+        ${histogram.map((bucket) => `<span class="stats-bar" style="height: ${(bucket.count / maxCount) * 100}%" title="${i18n.t('statsBucketTitle', [bucket.label, bucket.count])}"></span>`).join('')}
+      </div>
+      <div class="stats-bar-labels">
+        ${histogram.map((bucket) => `<span>${bucket.label}</span>`).join('')}
+      </div>
+      <ol class="stats-longest">
+        ${stats.longestPrompts
+          .slice(0, 3)
+          .map(
+            (item) => `
+          <li data-index="${item.index}" title="${i18n.t('popupJumpToTurn', item.index + 1)}">
+            <span class="stats-preview">${item.index + 1}. ${escapeHtml(item.preview)}</span>
+            <span class="stats-count">${i18n.t('statsCharacterCount', item.characters)}</span>
+          </li>`
+          )
+          .join('')}
+      </ol>
+    `;
+  }
+
+  /**
+   * 获取对话统计
+   * @param {string} model - 切换估算使用的模型（可选）
+   */
+  function loadStats(model) {
+    sendMessageToTab('getStats', model ? { model } : {}, renderStats);
+  }
+
+  /**
+   * 列出可对比的平台标签页（各平台最近使用的一个）
+   */
+  function loadCompareTargets() {
+    chrome.runtime.sendMessage({ action: 'getCompareTargets' }, (response) => {
+      const targets = (!chrome.runtime.lastError && response?.targets) || [];
+      compareTargets.innerHTML = targets.length
+        ? targets
+            .map(
+              (target) => `
+          <label class="compare-target" title="${escapeHtml(target.title)}">
+            <input type="checkbox" value="${escapeHtml(target.platform)}" checked>
+            <span>${escapeHtml(target.platformName)}</span>
+          </label>`
+            )
+            .join('')
+        : `<p class="stats-empty">${i18n.t('compareNoTargets')}</p>`;
+      compareSendBtn.disabled = targets.length === 0;
+    });
+  }
+
+  /**
+   * 将提问发送到所选平台，完成后由 Service Worker 打开对比页面
+   */
+  function broadcastPrompt() {
+    const text = comparePrompt.value.trim();
+    const platforms = Array.from(compareTargets.querySelectorAll('input:checked')).map((input) => input.value);
+    if (!text || platforms.length === 0) {
+      compareResult.textContent = i18n.t('compareSelectPlatforms');
+      return;
+    }
+
+    compareResult.textContent = i18n.t('compareSending');
+    chrome.runtime.sendMessage({ action: 'broadcastPrompt', text, platforms }, (response) => {
+      if (chrome.runtime.lastError || !response?.success) {
+        compareResult.textContent = i18n.t('popupCompareFailed');
+        return;
+      }
+      compareResult.textContent = '';
+      comparePrompt.value = '';
+    });
+  }
+
   /**
    * 初始化弹窗
    */
-  function init() {
+  async function init() {
+    await i18n.load();
+    i18n.localize();
+    statsModel.innerHTML = Object.entries(ConversationStats.MODELS)
+      .map(([key, model]) => `<option value="${key}">${escapeHtml(model.name)}</option>`)
+      .join('');
     sendMessageToTab('getStatus');
+    loadStats();
+    promptLibrary.load().then(renderLibrary);
+    loadCompareTargets();
   }
 
   /**
@@ -69,14 +303,87 @@ document.addEventListener('DOMContentLoaded', () => {
     // 延迟更新状态
     setTimeout(() => {
       sendMessageToTab('getStatus');
+      loadStats();
     }, 500);
   });
 
+  exportButtons.forEach((button) => {
+    button.addEventListener('click', () => {
+      exportResult.textContent = i18n.t('popupExporting');
+      sendMessageToTab(
+        'exportConversation',
+        { format: button.dataset.format },
+        (response) => {
+          exportResult.textContent = response.success
+            ? i18n.t('popupExported', [response.turnCount, response.filename])
+            : i18n.t('popupExportFailed', response.error);
+        },
+        // 不支持的页面或 content script 尚未加载时不会有响应
+        () => {
+          exportResult.textContent = i18n.t('popupExportFailed', i18n.t('popupUnsupported'));
+        }
+      );
+    });
+  });
+
+  compareSendBtn.addEventListener('click', broadcastPrompt);
+
+  document.getElementById('compareViewBtn').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('src/compare.html') });
+  });
+
+  document.getElementById('historyBtn').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('src/history.html') });
+  });
+
+  document.getElementById('optionsBtn').addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+  });
+
+  statsModel.addEventListener('change', () => loadStats(statsModel.value));
+
+  statsSummary.addEventListener('click', (e) => {
+    const item = e.target.closest('[data-index]');
+    if (item) {
+      sendMessageToTab('navigatePrompt', { index: parseInt(item.dataset.index, 10) }, () => {});
+    }
+  });
+
+  librarySearch.addEventListener('input', renderLibrary);
+
+  libraryList.addEventListener('click', (e) => {
+    const item = e.target.closest('.library-item');
+    const template = item && promptLibrary.get(item.dataset.id);
+    if (template) {
+      selectTemplate(template);
+    }
+  });
+
+  libraryFill.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const template = promptLibrary.get(libraryFill.dataset.id);
+    if (!template) return;
+
+    const values = {};
+    libraryFill.querySelectorAll('input[data-variable]').forEach((input) => {
+      values[input.dataset.variable] = input.value;
+    });
+    insertPrompt(PromptLibrary.fill(template.text, values));
+    closeFillForm();
+  });
+
+  libraryFill.addEventListener('click', (e) => {
+    if (e.target.dataset.action === 'cancel') {
+      closeFillForm();
+    }
+  });
+
   // 初始化
-  init();
+  await init();
 
   // 每 2 秒更新一次状态
   setInterval(() => {
     sendMessageToTab('getStatus');
+    loadStats();
   }, 2000);
 });
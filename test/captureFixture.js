@@ -0,0 +1,115 @@
+/**
+ * 从浏览器“另存为网页”保存的对话页面生成测试 fixture
+ * 移除脚本、样式和内联资源，只保留提取消息所需的 DOM 结构，写入 test/fixtures/<name>.html，
+ * 然后用扩展加载一次并输出识别到的平台和消息数量
+ *
+ * 用法: node test/captureFixture.js <saved-page.html> <name> [--url <page-url>]
+ * 未指定 --url 时读取 Chrome 保存页面中的 “saved from url” 注释
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+const { loadExtension, FIXTURES_DIR } = require('./helpers/loadExtension');
+
+const REMOVED_ELEMENTS = 'script, noscript, style, link, iframe, template, object, embed, base, meta:not([charset])';
+
+/**
+ * 解析命令行参数
+ * @param {Array<string>} args - 参数
+ * @returns {Object} { source, name, url }
+ */
+function parseArgs(args) {
+  const positional = [];
+  let url = null;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--url') {
+      url = args[++i];
+    } else {
+      positional.push(args[i]);
+    }
+  }
+  return { source: positional[0], name: positional[1], url };
+}
+
+/**
+ * 读取 Chrome 保存页面时写入的原始地址
+ * @param {string} html - 页面 HTML
+ * @returns {string|null}
+ */
+function findSavedUrl(html) {
+  const match = html.match(/<!--\s*saved from url=\(\d+\)(\S+?)\s*-->/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * 清理页面：移除脚本、样式、内联事件和体积较大的属性
+ * @param {Document} document - 页面文档
+ */
+function cleanDocument(document) {
+  document.querySelectorAll(REMOVED_ELEMENTS).forEach((el) => el.remove());
+  // 图标只保留 svg 元素本身
+  document.querySelectorAll('svg').forEach((svg) => svg.replaceChildren());
+
+  document.querySelectorAll('*').forEach((el) => {
+    Array.from(el.attributes).forEach((attr) => {
+      const name = attr.name.toLowerCase();
+      if (name === 'style' || name === 'srcset' || name.startsWith('on')) {
+        el.removeAttribute(attr.name);
+      } else if ((name === 'src' || name === 'href') && attr.value.startsWith('data:')) {
+        el.setAttribute(attr.name, '');
+      }
+    });
+  });
+
+  // 移除注释（包括保存页面时写入的注释）
+  const walker = document.createTreeWalker(document, document.defaultView.NodeFilter.SHOW_COMMENT);
+  const comments = [];
+  while (walker.nextNode()) comments.push(walker.currentNode);
+  comments.forEach((comment) => comment.remove());
+}
+
+async function main() {
+  const { source, name, url: urlArg } = parseArgs(process.argv.slice(2));
+  if (!source || !name) {
+    console.error('Usage: node test/captureFixture.js <saved-page.html> <name> [--url <page-url>]');
+    process.exit(1);
+  }
+
+  const html = fs.readFileSync(source, 'utf8');
+  const url = urlArg || findSavedUrl(html);
+  if (!url) {
+    console.error('The page URL is unknown; pass it with --url');
+    process.exit(1);
+  }
+
+  const dom = new JSDOM(html, { url });
+  cleanDocument(dom.window.document);
+
+  const date = new Date().toISOString().slice(0, 10);
+  const output = `<!-- fixture-url: ${url} -->\n<!-- captured: ${date} from ${path.basename(source)} -->\n${dom.serialize()}\n`;
+  const target = path.join(FIXTURES_DIR, `${name}.html`);
+  fs.writeFileSync(target, output);
+  console.log(`Wrote ${path.relative(process.cwd(), target)} (${Math.round(output.length / 1024)} KB)`);
+
+  // 用扩展加载一次，确认选择器仍能匹配
+  const env = await loadExtension(name);
+  try {
+    const platform = env.window.platformDetector.getPlatformConfig();
+    if (!platform) {
+      console.warn(`No platform matches ${new URL(url).host}`);
+      return;
+    }
+    const messages = env.window.messageExtractor.extractMessages();
+    const answered = messages.filter((msg) => msg.assistantText).length;
+    console.log(`Platform: ${platform.key}, turns: ${messages.length}, with replies: ${answered}`);
+    env.warnings.forEach((warning) => console.warn(`Warning: ${warning}`));
+  } finally {
+    env.close();
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,134 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension } = require('./helpers/loadExtension');
+
+/**
+ * 模拟站点：输入框有内容后才启用发送按钮，记录点击次数
+ */
+function simulateComposer(document) {
+  const inputBox = document.querySelector('#prompt-textarea');
+  const sendButton = document.querySelector('button[data-testid="send-button"]');
+  const state = { clicks: 0 };
+  inputBox.addEventListener('input', () => setTimeout(() => sendButton.removeAttribute('disabled'), 50));
+  sendButton.addEventListener('click', () => state.clicks++);
+  return state;
+}
+
+/**
+ * 在对话末尾追加一条 ChatGPT 回答
+ */
+function appendReply(document, text) {
+  const article = document.createElement('article');
+  article.dataset.testid = 'conversation-turn-6';
+  article.innerHTML = `<div data-message-author-role="assistant"><div class="markdown prose"><p>${text}</p></div></div>`;
+  document.querySelector('article[data-testid="conversation-turn-5"]').after(article);
+}
+
+test('sends the prompt once the send button is enabled and reports the reply', async () => {
+  const env = await loadExtension('chatgpt');
+  const { window, document } = env;
+  const responder = window.compareResponder;
+  try {
+    Object.defineProperty(responder.constructor, 'SETTLE_DELAY', { get: () => 20 });
+    const composer = simulateComposer(document);
+    window.messageExtractor.extractMessages();
+
+    const result = await responder.submit('c1', 'Thanks!');
+    assert.equal(result.success, true);
+    assert.equal(composer.clicks, 1);
+    assert.equal(document.querySelector('#prompt-textarea').textContent, 'Thanks!');
+
+    appendReply(document, 'You are welcome!');
+    window.messageExtractor.extractMessages();
+    responder.track();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    const updates = env.messages.filter((message) => message.action === 'compareUpdate');
+    assert.deepEqual(
+      updates.map((update) => [update.compareId, update.status, update.text]),
+      [
+        ['c1', 'answering', ''],
+        ['c1', 'answering', 'You are welcome!'],
+        ['c1', 'done', 'You are welcome!']
+      ]
+    );
+    assert.equal(responder.pending, null);
+  } finally {
+    responder.finish();
+    await env.close();
+  }
+});
+
+test('the sensitive data guard does not block prompts sent for comparison', async () => {
+  const env = await loadExtension('chatgpt');
+  const { window, document } = env;
+  const responder = window.compareResponder;
+  try {
+    await window.sensitiveDataDetector.load();
+    window.inputGuard.start();
+    const composer = simulateComposer(document);
+
+    const result = await responder.submit('c4', 'Please email alice@example.com the summary');
+    assert.equal(result.success, true);
+    assert.equal(composer.clicks, 1);
+    assert.equal(window.inputGuard.panel, null);
+  } finally {
+    responder.finish();
+    window.inputGuard.stop();
+    await env.close();
+  }
+});
+
+test('reports why the prompt could not be sent', async () => {
+  const env = await loadExtension('chatgpt');
+  const { window, document } = env;
+  const responder = window.compareResponder;
+  try {
+    Object.defineProperty(responder.constructor, 'SEND_TIMEOUT', { get: () => 100 });
+    assert.deepEqual({ ...(await responder.submit('c2', 'Hello')) }, { success: false, error: 'sendFailed' });
+    // 等待发送按钮启用期间不逐次输出警告
+    assert.equal(env.warnings.filter((warning) => warning.includes('Send button')).length, 0);
+
+    document.querySelector('#prompt-textarea').remove();
+    assert.deepEqual({ ...(await responder.submit('c2', 'Hello')) }, { success: false, error: 'inputNotFound' });
+    assert.equal(env.messages.length, 0);
+  } finally {
+    await env.close();
+  }
+});
+
+test('only clicks a send button inside the composer', async () => {
+  const env = await loadExtension('deepseek');
+  const { window, document } = env;
+  const responder = window.compareResponder;
+  try {
+    Object.defineProperty(responder.constructor, 'SEND_TIMEOUT', { get: () => 100 });
+    Object.defineProperty(responder.constructor, 'SETTLE_DELAY', { get: () => 20 });
+    window.messageExtractor.extractMessages();
+
+    // 页面其他位置可点击的 role="button" 不是发送按钮
+    const unrelated = document.createElement('div');
+    unrelated.setAttribute('role', 'button');
+    unrelated.setAttribute('aria-disabled', 'false');
+    let unrelatedClicks = 0;
+    unrelated.addEventListener('click', () => unrelatedClicks++);
+    document.body.appendChild(unrelated);
+
+    assert.deepEqual({ ...(await responder.submit('c3', 'Hello')) }, { success: false, error: 'inputNotFound' });
+    assert.equal(unrelatedClicks, 0);
+
+    const sendButton = document.createElement('div');
+    sendButton.setAttribute('role', 'button');
+    sendButton.setAttribute('aria-disabled', 'false');
+    let sendClicks = 0;
+    sendButton.addEventListener('click', () => sendClicks++);
+    document.querySelector('#chat-input').after(sendButton);
+
+    assert.equal((await responder.submit('c3', 'Hello')).success, true);
+    assert.equal(sendClicks, 1);
+    assert.equal(unrelatedClicks, 0);
+  } finally {
+    responder.finish();
+    await env.close();
+  }
+});
@@ -0,0 +1,204 @@
+/**
+ * 测试环境
+ * 在 jsdom 中打开保存的对话页面，按 manifest 中的顺序加载 content script（content.js 除外），
+ * 并提供 chrome.* API 的内存实现
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { webcrypto } = require('node:crypto');
+const { TextEncoder } = require('node:util');
+const { JSDOM } = require('jsdom');
+
+const ROOT_DIR = path.resolve(__dirname, '../..');
+const EXTENSION_DIR = path.join(ROOT_DIR, 'extension');
+const FIXTURES_DIR = path.join(ROOT_DIR, 'test/fixtures');
+const EXTENSION_ORIGIN = 'chrome-extension://aichathelper-test/';
+
+/**
+ * 读取 fixture（第一行的 fixture-url 注释为页面地址）
+ * @param {string} name - fixture 文件名（不含 .html）
+ * @returns {Object} { html, url }
+ */
+function readFixture(name) {
+  const html = fs.readFileSync(path.join(FIXTURES_DIR, `${name}.html`), 'utf8');
+  const match = html.match(/<!--\s*fixture-url:\s*(\S+)\s*-->/);
+  if (!match) {
+    throw new Error(`Fixture ${name} has no fixture-url comment`);
+  }
+  return { html, url: match[1] };
+}
+
+/**
+ * chrome.storage 存储区的内存实现（同时支持回调和 Promise）
+ * @param {Object} initial - 初始数据
+ * @returns {Object}
+ */
+function createStorageArea(initial = {}) {
+  const data = JSON.parse(JSON.stringify(initial));
+  const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+  return {
+    data,
+    get(keys, callback) {
+      const result = {};
+      if (keys === null || keys === undefined) {
+        Object.assign(result, clone(data));
+      } else if (typeof keys === 'string' || Array.isArray(keys)) {
+        [].concat(keys).forEach((key) => {
+          if (key in data) result[key] = clone(data[key]);
+        });
+      } else {
+        Object.entries(keys).forEach(([key, fallback]) => {
+          result[key] = key in data ? clone(data[key]) : fallback;
+        });
+      }
+      callback?.(result);
+      return Promise.resolve(result);
+    },
+    set(items, callback) {
+      Object.assign(data, clone(items));
+      callback?.();
+      return Promise.resolve();
+    },
+    remove(keys, callback) {
+      [].concat(keys).forEach((key) => delete data[key]);
+      callback?.();
+      return Promise.resolve();
+    }
+  };
+}
+
+/**
+ * chrome.i18n 的实现，读取扩展自带的语言包
+ * @param {string} uiLanguage - 浏览器界面语言
+ * @returns {Object}
+ */
+function createI18n(uiLanguage) {
+  const locale = /^zh/i.test(uiLanguage) ? 'zh_CN' : 'en';
+  const catalog = JSON.parse(fs.readFileSync(path.join(EXTENSION_DIR, `_locales/${locale}/messages.json`), 'utf8'));
+
+  return {
+    getUILanguage: () => uiLanguage,
+    getMessage(key, substitutions = []) {
+      const entry = catalog[key];
+      if (!entry) return '';
+      const values = [].concat(substitutions);
+      return entry.message.replace(/\$([a-zA-Z0-9_@]+)\$/g, (match, name) => {
+        const placeholder = entry.placeholders?.[name.toLowerCase()];
+        return placeholder ? placeholder.content.replace(/\$(\d)/g, (m, index) => values[index - 1] ?? '') : match;
+      });
+    }
+  };
+}
+
+/**
+ * 读取扩展文件的 fetch 实现（相对路径、绝对路径和 chrome-extension:// 地址均指向扩展目录，
+ * 其他 http(s) 地址交给 Node 的 fetch，用于本地服务器模拟远程配置）
+ * @returns {Function}
+ */
+function createFetch() {
+  return async (url, options) => {
+    if (/^https?:\/\//.test(String(url))) {
+      return fetch(url, options);
+    }
+    const relative = String(url).replace(EXTENSION_ORIGIN, '').replace(/^\/+/, '');
+    const file = path.join(EXTENSION_DIR, relative);
+    if (!file.startsWith(EXTENSION_DIR) || !fs.existsSync(file)) {
+      return { ok: false, status: 404, json: async () => { throw new Error('Not found'); }, text: async () => '' };
+    }
+    const content = fs.readFileSync(file, 'utf8');
+    return { ok: true, status: 200, json: async () => JSON.parse(content), text: async () => content };
+  };
+}
+
+/**
+ * 加载 fixture 并初始化扩展的 content script
+ * @param {string} name - fixture 文件名（不含 .html）
+ * @param {Object} options - { url, uiLanguage, sync, local }
+ *   url 覆盖 fixture 中记录的页面地址；sync / local 为存储区的初始数据
+ * @returns {Promise<Object>} { window, document, chrome, messages, scrolledElements, warnings, close }
+ */
+async function loadExtension(name, { url, uiLanguage = 'en-US', sync = {}, local = {} } = {}) {
+  const fixture = readFixture(name);
+  const dom = new JSDOM(fixture.html, { url: url || fixture.url, runScripts: 'outside-only', pretendToBeVisual: true });
+  const { window } = dom;
+  const sentMessages = [];
+  const scrolledElements = [];
+  const warnings = [];
+
+  window.chrome = {
+    runtime: {
+      id: 'aichathelper-test',
+      lastError: undefined,
+      getURL: (file) => `${EXTENSION_ORIGIN}${file}`,
+      onMessage: { addListener() {} },
+      sendMessage(message, callback) {
+        sentMessages.push(message);
+        callback?.();
+      }
+    },
+    storage: {
+      local: createStorageArea(local),
+      sync: createStorageArea(sync),
+      onChanged: { addListener() {} }
+    },
+    i18n: createI18n(uiLanguage)
+  };
+  window.fetch = createFetch();
+  // 扩展的日志较多，测试中只输出错误，警告留给测试检查
+  window.console = {
+    ...console,
+    log() {},
+    info() {},
+    debug() {},
+    warn: (...args) => warnings.push(args.map(String).join(' ')),
+    error: console.error
+  };
+  // jsdom 没有布局，记录滚动目标即可
+  window.Element.prototype.scrollIntoView = function scrollIntoView() {
+    scrolledElements.push(this);
+  };
+  // jsdom 没有实现编辑命令，返回 false 时扩展改为直接写入文本
+  window.document.execCommand = () => false;
+  // jsdom 没有实现表单提交（会输出 Not implemented 错误），点击表单中的发送按钮时取消提交
+  window.addEventListener('submit', (e) => e.preventDefault());
+  // 配置的哈希和签名校验使用 WebCrypto
+  if (!window.crypto?.subtle) {
+    Object.defineProperty(window, 'crypto', { value: webcrypto, configurable: true });
+  }
+  if (!window.TextEncoder) {
+    window.TextEncoder = TextEncoder;
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(path.join(EXTENSION_DIR, 'manifest.json'), 'utf8'));
+  const context = dom.getInternalVMContext();
+  manifest.content_scripts[0].js
+    .filter((file) => !file.endsWith('content.js'))
+    .forEach((file) => {
+      new vm.Script(fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8'), { filename: file }).runInContext(context);
+    });
+
+  // 与 content.js 的初始化顺序一致
+  await window.platformDetector.init();
+  window.platformDetector.detectPlatform();
+  await window.i18n.load();
+
+  return {
+    window,
+    document: window.document,
+    chrome: window.chrome,
+    messages: sentMessages,
+    scrolledElements,
+    warnings,
+    // 等侧边栏样式加载完成后再关闭窗口，避免加载回调在窗口关闭后访问 document
+    close: async () => {
+      await window.shadowHost?.stylesLoaded;
+      window.sidebarManager?.destroy();
+      window.close();
+    }
+  };
+}
+
+module.exports = { loadExtension, readFixture, FIXTURES_DIR };
@@ -0,0 +1,196 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension } = require('./helpers/loadExtension');
+
+/**
+ * 提取 fixture 中的对话，返回提问和回答文本
+ * 扩展创建的数组属于 jsdom 的 realm，比较前用 Array.from 转换
+ */
+async function extract(name) {
+  const env = await loadExtension(name);
+  const messages = env.window.messageExtractor.extractMessages();
+  return { env, messages, turns: Array.from(messages, (msg) => [msg.userText, msg.assistantText]) };
+}
+
+test('extracts ChatGPT turns with their replies', async () => {
+  const { env, messages, turns } = await extract('chatgpt');
+  try {
+    assert.equal(messages.length, 3);
+    assert.equal(turns[0][0], 'How do I remove duplicates from an array in JavaScript?');
+    assert.match(turns[0][1], /^The simplest way is to use a Set:/);
+    assert.equal(turns[1][0], 'What about arrays of objects, deduplicated by id?');
+    assert.match(turns[1][1], /new Map/);
+    assert.deepEqual(turns[2], ['Thanks!', '']);
+    assert.deepEqual(Array.from(messages, (msg) => msg.index), [0, 1, 2]);
+  } finally {
+    await env.close();
+  }
+});
+
+test('extracts Claude, Gemini and Doubao turns', async () => {
+  const expected = {
+    claude: [
+      ['Explain ROW_NUMBER() vs RANK() in SQL.', /leaves gaps after ties/],
+      ['And DENSE_RANK()?', /without gaps/]
+    ],
+    gemini: [
+      ['Summarize the plot of Hamlet in two sentences.', /Prince Hamlet seeks revenge/],
+      ['Who is Ophelia?', /daughter of Polonius/]
+    ],
+    doubao: [
+      ['帮我写一句生日祝福', /平安喜乐/],
+      ['再短一点', /生日快乐/]
+    ]
+  };
+
+  for (const [name, turns] of Object.entries(expected)) {
+    const { env, messages } = await extract(name);
+    try {
+      assert.equal(messages.length, turns.length, name);
+      turns.forEach(([userText, reply], idx) => {
+        assert.equal(messages[idx].userText, userText, name);
+        assert.match(messages[idx].assistantText, reply, name);
+      });
+    } finally {
+      await env.close();
+    }
+  }
+});
+
+test('extracts DeepSeek turns through the .fbb737a4 path', async () => {
+  const { env, messages, turns } = await extract('deepseek');
+  try {
+    assert.equal(messages.length, 3);
+    assert.equal(turns[0][0], '用 Python 读取一个 CSV 文件并统计每列的空值数量');
+    assert.match(turns[0][1], /isnull\(\)\.sum\(\)/);
+    assert.equal(turns[1][0], '如果文件很大怎么办？');
+    assert.match(turns[1][1], /chunksize/);
+    assert.deepEqual(turns[2], ['谢谢', '']);
+    assert.ok(messages.every((msg) => msg.userElement.classList.contains('ds-message')));
+
+    const content = env.window.messageExtractor.getContentElement(messages[0], 'assistant');
+    assert.ok(content.classList.contains('ds-markdown'));
+  } finally {
+    await env.close();
+  }
+});
+
+test('records selector health for the matched chain', async () => {
+  const { env } = await extract('claude');
+  try {
+    const matched = env.window.messageExtractor.matchedSelectors;
+    assert.equal(matched.userMessage, '.user-message');
+    assert.equal(matched.assistantMessage, '.assistant-message');
+  } finally {
+    await env.close();
+  }
+});
+
+test('assigns stable content hashes and keeps ids across re-extraction', async () => {
+  const { env, messages } = await extract('chatgpt');
+  try {
+    const ids = Array.from(messages, (msg) => msg.id);
+    const hashes = Array.from(messages, (msg) => msg.hash);
+    assert.ok(hashes.every((hash) => /^[0-9a-f]{8}$/.test(hash)));
+
+    const again = env.window.messageExtractor.extractMessages();
+    assert.deepEqual(Array.from(again, (msg) => msg.id), ids);
+    assert.deepEqual(Array.from(again, (msg) => msg.hash), hashes);
+  } finally {
+    await env.close();
+  }
+});
+
+for (const name of ['chatgpt', 'deepseek']) {
+  test(`re-extracting an unchanged ${name} conversation keeps message versions`, async () => {
+    const { env, messages } = await extract(name);
+    try {
+      const versions = Array.from(messages, (msg) => msg.version);
+      const again = env.window.messageExtractor.extractMessages();
+      assert.deepEqual(Array.from(again, (msg) => msg.version), versions);
+      assert.deepEqual(Array.from(again, (msg) => msg.id), Array.from(messages, (msg) => msg.id));
+    } finally {
+      await env.close();
+    }
+  });
+}
+
+test('builds the reply outline from headings and code blocks', async () => {
+  const { env, messages } = await extract('chatgpt');
+  try {
+    const outline = env.window.messageExtractor.getOutline(messages[0]);
+    assert.deepEqual(
+      Array.from(outline, (entry) => (entry.type === 'heading' ? `h${entry.level} ${entry.text}` : `code ${entry.language}`)),
+      ['h3 Using Set', 'code javascript', 'h3 Using filter', 'code javascript']
+    );
+  } finally {
+    await env.close();
+  }
+});
+
+test('detects branch controls and switches branches', async () => {
+  const { env, messages } = await extract('chatgpt');
+  try {
+    assert.equal(messages[0].branch, null);
+    assert.deepEqual({ ...messages[1].branch }, { index: 2, total: 2 });
+
+    const previous = env.document.querySelector('button[aria-label="Previous response"]');
+    let clicks = 0;
+    previous.addEventListener('click', () => clicks++);
+    assert.equal(env.window.messageExtractor.switchBranch(messages[1], -1), true);
+    assert.equal(clicks, 1);
+    // 已经是最后一个分支
+    assert.equal(env.window.messageExtractor.switchBranch(messages[1], 1), false);
+  } finally {
+    await env.close();
+  }
+});
+
+test('applies DOM mutations incrementally', async () => {
+  const { env, messages } = await extract('chatgpt');
+  const { window, document } = env;
+  const extractor = window.messageExtractor;
+  const observer = new window.MutationObserver(() => {});
+  const container = document.querySelector('main');
+  observer.observe(container, { childList: true, subtree: true, characterData: true });
+
+  try {
+    const ids = Array.from(messages, (msg) => msg.id);
+
+    // 追加回答，再追加一轮新的提问
+    const reply = document.createElement('article');
+    reply.innerHTML = '<div data-message-author-role="assistant"><div class="markdown"><p>You are welcome.</p></div></div>';
+    const prompt = document.createElement('article');
+    prompt.innerHTML = '<div data-message-author-role="user"><div class="whitespace-pre-wrap">One more question</div></div>';
+    const thread = document.querySelector('[data-testid="conversation-turn-5"]').parentElement;
+    thread.append(reply, prompt);
+
+    const result = extractor.applyMutations(observer.takeRecords());
+    assert.deepEqual({ ...result }, { added: 1, removed: 0, updated: 1 });
+
+    const updated = extractor.getMessages();
+    assert.equal(updated.length, 4);
+    assert.deepEqual(Array.from(updated.slice(0, 3), (msg) => msg.id), ids);
+    assert.equal(updated[2].assistantText, 'You are welcome.');
+    assert.equal(updated[3].userText, 'One more question');
+
+    // 删除第一轮提问
+    document.querySelector('[data-testid="conversation-turn-1"]').remove();
+    extractor.applyMutations(observer.takeRecords());
+    assert.deepEqual(Array.from(extractor.getMessages(), (msg) => msg.index), [0, 1, 2]);
+    assert.equal(extractor.getMessages()[0].userText, 'What about arrays of objects, deduplicated by id?');
+  } finally {
+    observer.disconnect();
+    await env.close();
+  }
+});
+
+test('returns no messages when selectors do not match', async () => {
+  const env = await loadExtension('chatgpt', { sync: { 'customPlatform:chatgpt': { selectors: { userMessage: '.missing', fallbackSelectors: { userMessage: [] } } } } });
+  try {
+    assert.equal(env.window.messageExtractor.extractMessages().length, 0);
+    assert.ok(env.warnings.includes('No user messages found'));
+  } finally {
+    await env.close();
+  }
+});
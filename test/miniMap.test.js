@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension } = require('./helpers/loadExtension');
+
+const TURN_HEIGHT = 300;
+
+/**
+ * jsdom 没有布局：每轮提问高 100、回答高 200，文档可滚动区域为全部轮次的高度
+ */
+function stubLayout(env) {
+  const { window } = env;
+  const messages = window.messageExtractor.getMessages();
+  const scroller = window.document.documentElement;
+  let scrollTop = 0;
+  const rect = (top, height) => ({ top: top - scrollTop, bottom: top - scrollTop + height, left: 0, right: 800, width: 800, height });
+
+  messages.forEach((msg, idx) => {
+    msg.userElement.getBoundingClientRect = () => rect(idx * TURN_HEIGHT, 100);
+    if (msg.assistantElement) {
+      msg.assistantElement.getBoundingClientRect = () => rect(idx * TURN_HEIGHT + 100, msg.assistantElement.stubHeight || 200);
+    }
+  });
+  Object.defineProperty(scroller, 'scrollHeight', { configurable: true, get: () => messages.length * TURN_HEIGHT });
+  Object.defineProperty(scroller, 'clientHeight', { configurable: true, get: () => TURN_HEIGHT });
+  Object.defineProperty(scroller, 'clientWidth', { configurable: true, get: () => 800 });
+  Object.defineProperty(scroller, 'scrollTop', {
+    configurable: true,
+    get: () => scrollTop,
+    set: (value) => {
+      scrollTop = value;
+    }
+  });
+  return { messages, scroller };
+}
+
+test('draws proportional blocks for prompts and replies with bookmark and search marks', async () => {
+  const env = await loadExtension('chatgpt');
+  try {
+    const { window } = env;
+    window.messageExtractor.extractMessages();
+    const { messages } = stubLayout(env);
+    window.bookmarkStore.toggleStar(messages[1]);
+    window.messageSearch.setOptions({ query: 'objects' });
+    window.sidebarManager.updateSidebar();
+    window.miniMap.render();
+
+    const rail = window.shadowHost.root.querySelector('.aichathelper-minimap');
+    assert.equal(rail.hidden, false);
+
+    const blocks = Array.from(rail.querySelectorAll('.aichathelper-minimap-block'));
+    // 最后一轮还没有回答
+    assert.deepEqual(
+      blocks.map((block) => block.className.replace('aichathelper-minimap-block ', '')),
+      ['user', 'assistant', 'user starred matched', 'assistant starred matched', 'user']
+    );
+
+    const total = messages.length * TURN_HEIGHT;
+    assert.equal(parseFloat(blocks[2].style.top), (TURN_HEIGHT / total) * 100);
+    assert.equal(parseFloat(blocks[3].style.height), (200 / total) * 100);
+    assert.equal(parseFloat(rail.querySelector('.aichathelper-minimap-viewport').style.height), (TURN_HEIGHT / total) * 100);
+
+    // 回答流式输出时高度变化，重绘后块的高度随之变化
+    messages[1].assistantElement.stubHeight = 150;
+    window.miniMap.render();
+    assert.equal(parseFloat(blocks[3].style.height), (150 / total) * 100);
+  } finally {
+    await env.close();
+  }
+});
+
+test('clicking or dragging the rail scrolls the conversation', async () => {
+  const env = await loadExtension('claude');
+  try {
+    const { window } = env;
+    window.messageExtractor.extractMessages();
+    const { messages, scroller } = stubLayout(env);
+    window.sidebarManager.updateSidebar();
+    window.miniMap.render();
+
+    const rail = window.shadowHost.root.querySelector('.aichathelper-minimap');
+    rail.getBoundingClientRect = () => ({ top: 0, bottom: TURN_HEIGHT, left: 0, right: 14, width: 14, height: TURN_HEIGHT });
+    const total = messages.length * TURN_HEIGHT;
+
+    rail.dispatchEvent(new window.MouseEvent('pointerdown', { bubbles: true, button: 0, clientY: TURN_HEIGHT / 2 }));
+    assert.equal(scroller.scrollTop, total / 2 - TURN_HEIGHT / 2);
+    assert.ok(rail.classList.contains('dragging'));
+
+    rail.dispatchEvent(new window.MouseEvent('pointermove', { bubbles: true, clientY: TURN_HEIGHT }));
+    assert.equal(scroller.scrollTop, total - TURN_HEIGHT / 2);
+    assert.equal(parseFloat(rail.querySelector('.aichathelper-minimap-viewport').style.top), ((total - TURN_HEIGHT / 2) / total) * 100);
+
+    rail.dispatchEvent(new window.MouseEvent('pointerup', { bubbles: true }));
+    assert.ok(!rail.classList.contains('dragging'));
+
+    // 隐藏侧边栏时一起隐藏
+    window.sidebarManager.hide();
+    window.miniMap.render();
+    assert.equal(rail.hidden, true);
+  } finally {
+    await env.close();
+  }
+});
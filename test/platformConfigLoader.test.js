@@ -0,0 +1,147 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { loadExtension } = require('./helpers/loadExtension');
+
+const BUNDLED = JSON.parse(fs.readFileSync(path.resolve(__dirname, '../extension/src/config/platforms.json'), 'utf8'));
+
+/**
+ * 生成比内置配置版本更高、ChatGPT 用户消息选择器不同的远程配置
+ */
+function remoteConfig(version, userMessage = '[data-message-author-role="user"]') {
+  const config = JSON.parse(JSON.stringify(BUNDLED));
+  config.version = version;
+  config.platforms.chatgpt.selectors.userMessage = userMessage;
+  return config;
+}
+
+/**
+ * 启动本地服务器提供远程配置文件
+ * @param {Object} files - 路径到内容的映射
+ * @returns {Promise<Object>} { baseUrl, close }
+ */
+async function serve(files) {
+  const server = http.createServer((req, res) => {
+    const body = files[req.url];
+    res.writeHead(body === undefined ? 404 : 200);
+    res.end(body);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+test('bundled config passes schema validation and invalid configs are rejected', async () => {
+  const env = await loadExtension('chatgpt');
+  try {
+    const loader = env.window.platformDetector.configLoader;
+    assert.deepEqual([...(await loader.validate(BUNDLED))], []);
+
+    const broken = remoteConfig('2.0.0', 'div[');
+    delete broken.platforms.claude.urls;
+    broken.platforms.gemini.selectors.unknownRole = 'div';
+    const errors = await loader.validate(broken);
+    assert.ok(errors.includes('$.platforms.claude.urls: is required'));
+    assert.ok(errors.some((error) => error.startsWith('$.platforms.gemini.selectors.unknownRole')));
+
+    // schema 通过后再检查选择器语法
+    const badSelector = await loader.validate(remoteConfig('2.0.0', 'div['));
+    assert.deepEqual([...badSelector], ['$.platforms.chatgpt.selectors.userMessage: invalid selector div[']);
+  } finally {
+    await env.close();
+  }
+});
+
+test('refresh downloads a newer config verified by its .sha256 file', async () => {
+  const text = JSON.stringify(remoteConfig('1.2.0'));
+  const hash = crypto.createHash('sha256').update(text).digest('hex');
+  const server = await serve({ '/platforms.json': text, '/platforms.json.sha256': `${hash}  platforms.json\n` });
+  const env = await loadExtension('chatgpt', { sync: { remoteConfig: { url: `${server.baseUrl}/platforms.json` } } });
+  try {
+    const loader = env.window.platformDetector.configLoader;
+    const result = await loader.refresh();
+    assert.deepEqual({ ...result }, { success: true, updated: true, version: '1.2.0' });
+
+    const cache = await loader.getCache();
+    assert.equal(cache.current.hash, hash);
+    assert.equal(cache.current.verified, false);
+
+    // 页面加载时使用版本更高的缓存配置
+    await env.window.platformDetector.init();
+    assert.deepEqual({ ...env.window.platformDetector.getConfigInfo() }, { version: '1.2.0', source: 'remote', verified: false });
+  } finally {
+    await env.close();
+    await server.close();
+  }
+});
+
+test('refresh rejects configs whose hash or signature does not match', async () => {
+  const text = JSON.stringify(remoteConfig('1.2.0'));
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const otherKey = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' }).publicKey;
+  const signature = crypto.sign('sha256', Buffer.from(text), privateKey).toString('base64');
+  const server = await serve({ '/platforms.json': text, '/platforms.json.sig': signature });
+  const url = `${server.baseUrl}/platforms.json`;
+  const env = await loadExtension('chatgpt');
+  try {
+    const loader = env.window.platformDetector.configLoader;
+
+    await loader.saveSettings({ url, verification: 'sha256', sha256: '0'.repeat(64) });
+    const mismatch = await loader.refresh();
+    assert.equal(mismatch.success, false);
+    assert.match(mismatch.error, /SHA-256 mismatch/);
+
+    await loader.saveSettings({ url, verification: 'signature', publicKey: otherKey.export({ type: 'spki', format: 'pem' }) });
+    const forged = await loader.refresh();
+    assert.equal(forged.success, false);
+    assert.match(forged.error, /Signature verification failed/);
+    assert.equal((await loader.getCache()).current, null);
+
+    // 正确的公钥（openssl 输出的 DER 签名）
+    await loader.saveSettings({ url, verification: 'signature', publicKey: publicKey.export({ type: 'spki', format: 'der' }).toString('base64') });
+    const signed = await loader.refresh();
+    assert.equal(signed.success, true);
+    assert.equal((await loader.getCache()).current.version, '1.2.0');
+  } finally {
+    await env.close();
+    await server.close();
+  }
+});
+
+test('failed extraction rolls back to the last known good config', async () => {
+  const entry = (version, verified) => ({
+    version,
+    config: remoteConfig(version),
+    hash: '',
+    url: 'https://example.com/platforms.json',
+    fetchedAt: 0,
+    verified
+  });
+  const env = await loadExtension('chatgpt', {
+    local: { platformConfigCache: { current: entry('1.3.0', false), lastKnownGood: entry('1.2.0', true), rejected: [] } }
+  });
+  try {
+    const detector = env.window.platformDetector;
+    assert.equal(detector.getConfigInfo().version, '1.3.0');
+
+    await detector.configLoader.reportHealth('1.3.0', false);
+    const cache = await detector.configLoader.getCache();
+    assert.deepEqual([...cache.rejected], ['1.3.0']);
+    assert.equal(cache.current.version, '1.2.0');
+
+    await detector.init();
+    assert.deepEqual({ ...detector.getConfigInfo() }, { version: '1.2.0', source: 'remote', verified: true });
+
+    // 回滚后只剩内置配置时使用内置配置
+    await detector.configLoader.reportHealth('1.2.0', false);
+    await detector.init();
+    assert.equal(detector.getConfigInfo().source, 'bundled');
+  } finally {
+    await env.close();
+  }
+});
@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension } = require('./helpers/loadExtension');
+
+const EXPECTED = {
+  chatgpt: { name: 'ChatGPT', conversationId: '6720f1b2-8c3d-4a1e-9f00-0d1c2b3a4e5f' },
+  claude: { name: 'Anthropic Claude', conversationId: '3f1b9c2e-7d4a-4b8e-a1c0-5e6f7a8b9c0d' },
+  gemini: { name: 'Google Gemini', conversationId: '8e2d4c6a1b3f5e7d' },
+  deepseek: { name: 'DeepSeek', conversationId: '5b8f0e2c-1d3a-4c7e-9b6f-2a4d8e0c1f3b' },
+  doubao: { name: '字节豆包', conversationId: '1234567890123' }
+};
+
+for (const [key, expected] of Object.entries(EXPECTED)) {
+  test(`detects ${key} from its fixture`, async () => {
+    const env = await loadExtension(key);
+    try {
+      const detector = env.window.platformDetector;
+      assert.equal(detector.getPlatformConfig()?.key, key);
+      assert.equal(detector.getPlatformName(), expected.name);
+      assert.equal(detector.getConversationId(), expected.conversationId);
+      assert.equal(detector.hasConversationId(), true);
+    } finally {
+      await env.close();
+    }
+  });
+}
+
+test('new conversation pages have no conversation id', async () => {
+  const env = await loadExtension('chatgpt');
+  try {
+    const detector = env.window.platformDetector;
+    assert.equal(detector.hasConversationId(new URL('https://chatgpt.com/')), false);
+    assert.equal(detector.getConversationId(new URL('https://chatgpt.com/g/g-abc/c/xyz')), 'xyz');
+  } finally {
+    await env.close();
+  }
+});
+
+test('custom platforms in storage override bundled selectors', async () => {
+  const env = await loadExtension('chatgpt', {
+    sync: { 'customPlatform:chatgpt': { selectors: { userMessage: '.custom-user' } } }
+  });
+  try {
+    const selectors = env.window.platformDetector.getPlatformConfig().selectors;
+    assert.equal(selectors.userMessage, '.custom-user');
+    assert.equal(selectors.assistantMessage, '[data-message-author-role="assistant"], div[data-message-author-role="assistant"], div[data-testid="conversation-turn-assistant"]');
+  } finally {
+    await env.close();
+  }
+});
+
+test('unsupported hosts are not detected', async () => {
+  const env = await loadExtension('chatgpt', { url: 'https://example.com/c/abc' });
+  try {
+    assert.equal(env.window.platformDetector.getPlatformConfig(), null);
+    assert.equal(env.window.platformDetector.isSupportedPlatform(), false);
+  } finally {
+    await env.close();
+  }
+});
+
+test('edited bundled platforms store only the changed fields', async () => {
+  const env = await loadExtension('chatgpt');
+  try {
+    const Detector = env.window.platformDetector.constructor;
+    const bundled = env.window.platformDetector.bundledPlatforms.chatgpt;
+    const edited = JSON.parse(JSON.stringify({ ...bundled, enabled: true }));
+    assert.deepEqual({ ...Detector.diffPlatform(bundled, edited) }, {});
+
+    edited.enabled = false;
+    edited.selectors.userMessage = '.custom-user';
+    edited.selectors.fallbackSelectors.inputBox = ['textarea'];
+    delete edited.conversationIdPattern;
+    const override = JSON.parse(JSON.stringify(Detector.diffPlatform(bundled, edited)));
+    assert.deepEqual(override, {
+      enabled: false,
+      conversationIdPattern: '',
+      selectors: { userMessage: '.custom-user', fallbackSelectors: { inputBox: ['textarea'] } }
+    });
+
+    // 内置配置之后的更新仍然生效，用户的修改保留
+    const updated = JSON.parse(JSON.stringify(bundled));
+    updated.selectors.assistantMessage = '.new-assistant';
+    const merged = Detector.mergePlatforms({ chatgpt: updated }, { chatgpt: override }).chatgpt;
+    assert.equal(merged.selectors.assistantMessage, '.new-assistant');
+    assert.equal(merged.selectors.userMessage, '.custom-user');
+    assert.deepEqual([...merged.selectors.fallbackSelectors.inputBox], ['textarea']);
+    assert.deepEqual([...merged.selectors.fallbackSelectors.sendButton], [...bundled.selectors.fallbackSelectors.sendButton]);
+  } finally {
+    await env.close();
+  }
+});
@@ -0,0 +1,182 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension } = require('./helpers/loadExtension');
+
+/**
+ * 提取消息并渲染侧边栏
+ */
+async function renderSidebar(name, options) {
+  const env = await loadExtension(name, options);
+  env.window.messageExtractor.extractMessages();
+  env.window.sidebarManager.updateSidebar();
+  const root = env.window.shadowHost.root;
+  const items = () => Array.from(root.querySelectorAll('.aichathelper-message-item'));
+  return { env, root, items };
+}
+
+test('renders one sidebar item per turn inside the shadow root', async () => {
+  const { env, items } = await renderSidebar('chatgpt');
+  try {
+    assert.equal(env.document.getElementById('aichathelper-sidebar'), null);
+    assert.deepEqual(
+      items().map((item) => item.querySelector('.aichathelper-message-text').textContent.trim()),
+      [
+        'How do I remove duplicates from an array in JavaScript?',
+        'What about arrays of objects, deduplicated by id?',
+        'Thanks!'
+      ]
+    );
+    assert.deepEqual(items().map((item) => item.dataset.index), ['0', '1', '2']);
+  } finally {
+    await env.close();
+  }
+});
+
+test('renders DeepSeek turns in the sidebar', async () => {
+  const { env, items } = await renderSidebar('deepseek');
+  try {
+    assert.equal(items().length, 3);
+    assert.equal(items()[1].querySelector('.aichathelper-message-text').textContent.trim(), '如果文件很大怎么办？');
+  } finally {
+    await env.close();
+  }
+});
+
+test('clicking an item scrolls to and highlights the prompt', async () => {
+  const { env, items } = await renderSidebar('claude');
+  try {
+    const message = env.window.messageExtractor.getMessageByIndex(1);
+    items()[1].querySelector('.aichathelper-message-text').click();
+
+    assert.ok(env.scrolledElements.includes(message.userElement));
+    assert.ok(message.userElement.classList.contains('aichathelper-highlighted'));
+    assert.ok(items()[1].classList.contains('active'));
+  } finally {
+    await env.close();
+  }
+});
+
+test('keyboard navigation targets follow the active turn', async () => {
+  const { env } = await renderSidebar('gemini');
+  const sidebar = env.window.sidebarManager;
+  try {
+    assert.equal(sidebar.getNavigationTarget('next'), 0);
+    assert.equal(sidebar.getNavigationTarget('previous'), 1);
+    assert.equal(sidebar.getNavigationTarget('last'), 1);
+
+    sidebar.scrollToMessage(0);
+    assert.equal(sidebar.getNavigationTarget('next'), 1);
+    assert.equal(sidebar.getNavigationTarget('previous'), 0);
+    assert.equal(sidebar.getNavigationTarget('first'), 0);
+  } finally {
+    await env.close();
+  }
+});
+
+test('search filters the rendered turns', async () => {
+  const { env, root, items } = await renderSidebar('chatgpt');
+  try {
+    const input = root.querySelector('.aichathelper-search-input');
+    input.value = 'objects';
+    input.dispatchEvent(new env.window.Event('input'));
+
+    assert.deepEqual(items().map((item) => item.dataset.index), ['1']);
+  } finally {
+    await env.close();
+  }
+});
+
+test('shows branch controls and forwards clicks to the page', async () => {
+  const { env, items } = await renderSidebar('chatgpt');
+  try {
+    assert.equal(items()[0].querySelector('.aichathelper-branch'), null);
+
+    const branch = items()[1].querySelector('.aichathelper-branch');
+    assert.equal(branch.querySelector('.aichathelper-branch-label').textContent, 'Branch 2/2');
+    assert.equal(branch.querySelector('[data-direction="1"]').disabled, true);
+
+    let clicked = false;
+    env.document.querySelector('button[aria-label="Previous response"]').addEventListener('click', () => {
+      clicked = true;
+    });
+    branch.querySelector('[data-direction="-1"]').click();
+    assert.equal(clicked, true);
+    // 切换分支不会跳转到该轮
+    assert.equal(env.scrolledElements.length, 0);
+  } finally {
+    await env.close();
+  }
+});
+
+test('renders the interface in the configured language', async () => {
+  const { env, root } = await renderSidebar('chatgpt', { uiLanguage: 'zh-CN' });
+  try {
+    assert.equal(root.querySelector('.aichathelper-platform').textContent, '平台: ChatGPT');
+  } finally {
+    await env.close();
+  }
+});
+
+test('an open note editor stays on its prompt when a turn is inserted above it', async () => {
+  const { env, root, items } = await renderSidebar('chatgpt');
+  const { window, document } = env;
+  const observer = new window.MutationObserver(() => {});
+  observer.observe(document.querySelector('main'), { childList: true, subtree: true });
+  try {
+    const target = window.messageExtractor.getMessageByIndex(1);
+    items()[1].querySelector('.aichathelper-note-btn').click();
+    window.sidebarManager.noteDraft = 'follow up';
+
+    // 在第二轮之前插入一轮新的提问
+    const prompt = document.createElement('article');
+    prompt.innerHTML = '<div data-message-author-role="user"><div class="whitespace-pre-wrap">Inserted question</div></div>';
+    const turn = document.querySelector('[data-testid="conversation-turn-3"]');
+    turn.parentElement.insertBefore(prompt, turn);
+    window.messageExtractor.applyMutations(observer.takeRecords());
+    window.sidebarManager.updateSidebar();
+
+    assert.equal(target.index, 2);
+    const editor = root.querySelector('.aichathelper-note-editor');
+    assert.equal(editor.closest('.aichathelper-message-item').dataset.index, '2');
+
+    window.sidebarManager.finishEditingNote(true);
+    assert.equal(window.bookmarkStore.get(target).note, 'follow up');
+    assert.equal(window.bookmarkStore.get(window.messageExtractor.getMessageByIndex(1)), null);
+  } finally {
+    observer.disconnect();
+    await env.close();
+  }
+});
+
+test('shows export failures in the sidebar footer', async () => {
+  const { env, root } = await renderSidebar('chatgpt');
+  try {
+    env.window.conversationExporter.download = () => {
+      throw new Error('disk full');
+    };
+    const errors = [];
+    env.window.console.error = (...args) => errors.push(args);
+    root.querySelector('.aichathelper-export-option[data-format="markdown"]').click();
+
+    const status = root.querySelector('.aichathelper-footer-status');
+    assert.equal(status.hidden, false);
+    assert.equal(status.textContent, 'Export failed: disk full');
+    assert.ok(status.classList.contains('error'));
+    assert.equal(root.querySelector('.aichathelper-platform').hidden, true);
+    assert.equal(errors.length, 1);
+  } finally {
+    await env.close();
+  }
+});
+
+test('destroy removes the shadow host from the page', async () => {
+  const { env } = await renderSidebar('chatgpt');
+  try {
+    await env.window.shadowHost.stylesLoaded;
+    assert.ok(env.document.getElementById('aichathelper-root'));
+    env.window.sidebarManager.destroy();
+    assert.equal(env.document.getElementById('aichathelper-root'), null);
+  } finally {
+    await env.close();
+  }
+});
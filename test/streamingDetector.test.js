@@ -0,0 +1,146 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension } = require('./helpers/loadExtension');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('detects a streaming reply from the stop button and marks it in the sidebar', async () => {
+  const env = await loadExtension('chatgpt');
+  try {
+    const { window, document } = env;
+    const detector = window.streamingDetector;
+    window.messageExtractor.extractMessages();
+    window.sidebarManager.updateSidebar();
+
+    const started = [];
+    detector.onStart = (message) => started.push(message);
+    detector.start();
+    assert.equal(detector.isStreaming(), false);
+    // 空闲时不轮询
+    assert.equal(detector.pollTimer, null);
+    assert.deepEqual({ ...detector.getProgress() }, { active: false, elapsed: 0, length: 0 });
+
+    const stopButton = document.createElement('button');
+    stopButton.dataset.testid = 'stop-button';
+    document.body.appendChild(stopButton);
+    detector.check();
+
+    const last = window.messageExtractor.getMessageByIndex(2);
+    assert.equal(detector.isStreaming(), true);
+    assert.notEqual(detector.pollTimer, null);
+    assert.deepEqual(started, [last]);
+    assert.equal(detector.getProgress().active, true);
+
+    window.sidebarManager.updateSidebar();
+    const items = window.shadowHost.root.querySelectorAll('.aichathelper-message-item');
+    assert.ok(items[2].classList.contains('streaming'));
+    assert.ok(items[2].querySelector('.aichathelper-message-streaming'));
+    assert.equal(items[1].querySelector('.aichathelper-message-streaming'), null);
+  } finally {
+    env.window.streamingDetector.stop();
+    await env.close();
+  }
+});
+
+test('skips token-by-token extraction while streaming and re-extracts once it settles', async () => {
+  const env = await loadExtension('claude');
+  const { window, document } = env;
+  try {
+    const detector = window.streamingDetector;
+    const observer = window.conversationObserver;
+    window.messageExtractor.extractMessages();
+
+    const message = window.messageExtractor.getMessageByIndex(1);
+    const originalText = message.assistantText;
+    const finished = [];
+    let resyncs = 0;
+    observer.onChange = (changes) => {
+      if (changes.resync) resyncs++;
+    };
+    detector.onFinish = (info) => {
+      finished.push(info);
+      observer.resync();
+    };
+    observer.start();
+
+    // Claude 在生成中的回答上标记 data-is-streaming（备用选择器）
+    const streamingMarker = document.querySelectorAll('[data-is-streaming]')[1];
+    streamingMarker.setAttribute('data-is-streaming', 'true');
+    detector.check();
+    assert.equal(detector.isStreaming(), true);
+    assert.equal(detector.getStreamingElement(), message.assistantElement);
+
+    const paragraph = document.createElement('p');
+    paragraph.textContent = 'A streamed sentence.';
+    window.messageExtractor.getContentElement(message, 'assistant').appendChild(paragraph);
+    await wait(0);
+    assert.equal(message.assistantText, originalText);
+    assert.ok(detector.getProgress().length > originalText.length);
+
+    streamingMarker.setAttribute('data-is-streaming', 'false');
+    detector.check();
+    assert.equal(detector.isStreaming(), true);
+    await wait(detector.constructor.SETTLE_DELAY + 50);
+
+    assert.equal(detector.isStreaming(), false);
+    assert.equal(finished.length, 1);
+    assert.equal(finished[0].message, message);
+    assert.equal(resyncs, 1);
+    assert.ok(message.assistantText.includes('A streamed sentence.'));
+  } finally {
+    window.conversationObserver.stop();
+    await env.close();
+  }
+});
+
+test('page changes after the indicator disappears postpone the end of the reply', async () => {
+  const env = await loadExtension('claude');
+  const { window, document } = env;
+  const detector = window.streamingDetector;
+  try {
+    Object.defineProperty(detector.constructor, 'SETTLE_DELAY', { get: () => 100 });
+    window.messageExtractor.extractMessages();
+    const finished = [];
+    detector.onFinish = (info) => finished.push(info);
+
+    const streamingMarker = document.querySelectorAll('[data-is-streaming]')[1];
+    streamingMarker.setAttribute('data-is-streaming', 'true');
+    detector.check();
+    streamingMarker.setAttribute('data-is-streaming', 'false');
+    detector.check();
+
+    // 对话仍在变化（由对话监听调用 check），重新开始计时
+    await wait(60);
+    detector.check();
+    await wait(60);
+    assert.equal(finished.length, 0);
+    assert.equal(detector.isStreaming(), true);
+
+    await wait(80);
+    assert.equal(finished.length, 1);
+    assert.equal(detector.isStreaming(), false);
+    assert.equal(detector.pollTimer, null);
+  } finally {
+    detector.stop();
+    await env.close();
+  }
+});
+
+test('the Gemini stop button is an indicator, not a send button', async () => {
+  const env = await loadExtension('gemini');
+  const { window, document } = env;
+  try {
+    const button = document.querySelector('button.send-button');
+    assert.equal(window.promptInserter.getSendButton(), button);
+    assert.equal(window.streamingDetector.findIndicator(), null);
+
+    // 生成中 Gemini 把发送按钮切换为停止按钮
+    button.classList.add('stop');
+    button.setAttribute('aria-label', 'Stop response');
+    assert.equal(window.promptInserter.getSendButton(), null);
+    assert.equal(window.promptInserter.send(), false);
+    assert.equal(window.streamingDetector.findIndicator(), button);
+  } finally {
+    await env.close();
+  }
+});
@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension } = require('./helpers/loadExtension');
+
+const FOLDED = 'aichathelper-folded';
+
+test('folds a turn in the page from its sidebar item and unfolds it when clicked in the page', async () => {
+  const env = await loadExtension('chatgpt');
+  try {
+    const { window } = env;
+    window.messageExtractor.extractMessages();
+    window.sidebarManager.updateSidebar();
+
+    const items = () => window.shadowHost.root.querySelectorAll('.aichathelper-message-item');
+    const message = window.messageExtractor.getMessageByIndex(1);
+    items()[1].querySelector('.aichathelper-turn-fold-btn').click();
+
+    assert.ok(message.userElement.classList.contains(FOLDED));
+    assert.ok(message.assistantElement.classList.contains(FOLDED));
+    assert.match(message.assistantElement.dataset.aichathelperSummary, new RegExp(String(message.assistantText.length)));
+    assert.ok(items()[1].classList.contains('folded'));
+    assert.ok(!window.messageExtractor.getMessageByIndex(0).userElement.classList.contains(FOLDED));
+
+    // 在页面上点击折叠的回答只展开回答，不触发宿主页面的点击处理
+    let hostClicks = 0;
+    message.assistantElement.addEventListener('click', () => hostClicks++);
+    message.assistantElement.click();
+    assert.equal(hostClicks, 0);
+    assert.ok(!message.assistantElement.classList.contains(FOLDED));
+    assert.equal(message.assistantElement.dataset.aichathelperSummary, undefined);
+    assert.ok(message.userElement.classList.contains(FOLDED));
+
+    // 还有部分折叠时，再次点击按钮展开整轮
+    items()[1].querySelector('.aichathelper-turn-fold-btn').click();
+    assert.ok(!message.userElement.classList.contains(FOLDED));
+    assert.ok(!items()[1].classList.contains('folded'));
+  } finally {
+    await env.close();
+  }
+});
+
+test('collapse all replies from the header survives re-rendered host elements', async () => {
+  const env = await loadExtension('claude');
+  try {
+    const { window } = env;
+    window.messageExtractor.extractMessages();
+    window.sidebarManager.updateSidebar();
+
+    const root = window.shadowHost.root;
+    const option = root.querySelector('.aichathelper-fold-option[data-role="assistant"]');
+    assert.equal(option.textContent, 'Collapse all replies');
+    option.click();
+    assert.equal(option.textContent, 'Expand all replies');
+
+    const messages = window.messageExtractor.getMessages();
+    const replies = messages.filter((msg) => msg.assistantElement);
+    assert.ok(replies.length > 0);
+    assert.ok(replies.every((msg) => msg.assistantElement.classList.contains(FOLDED)));
+    assert.ok(messages.every((msg) => !msg.userElement.classList.contains(FOLDED)));
+
+    // 单独展开的一轮在宿主页面整体重新渲染后保持展开，其余回答仍折叠
+    window.turnFolder.toggleTurn(0);
+    assert.ok(!messages[0].assistantElement.classList.contains(FOLDED));
+    let container = messages[0].userElement.parentElement;
+    while (!container.contains(messages[0].assistantElement)) container = container.parentElement;
+    const html = container.innerHTML.replaceAll(FOLDED, '');
+    container.innerHTML = html;
+    window.messageExtractor.extractMessages();
+    window.sidebarManager.updateSidebar();
+
+    const rerendered = window.messageExtractor.getMessages().filter((msg) => msg.assistantElement);
+    assert.equal(rerendered.length, replies.length);
+    assert.notEqual(rerendered[0].assistantElement, replies[0].assistantElement);
+    assert.ok(!rerendered[0].assistantElement.classList.contains(FOLDED));
+    assert.ok(rerendered.slice(1).every((msg) => msg.assistantElement.classList.contains(FOLDED)));
+
+    // 切换对话后保留「全部折叠」，清除单轮状态
+    window.sidebarManager.resetConversation();
+    window.messageExtractor.extractMessages();
+    window.sidebarManager.updateSidebar();
+    assert.ok(window.messageExtractor.getMessages()[0].assistantElement.classList.contains(FOLDED));
+  } finally {
+    await env.close();
+  }
+});